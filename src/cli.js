@@ -6,6 +6,8 @@
  *
  * Usage:
  *   YAMLTest -f <file.yaml>
+ *   YAMLTest -f a.yaml -f tests/     # several files and/or directories
+ *   YAMLTest -f 'tests/*.yaml'       # glob pattern (quote it)
  *   YAMLTest -f -                    # read from stdin
  *   YAMLTest -f <<EOF
  *   - name: test
@@ -14,14 +16,68 @@
  *     expect: { statusCode: 200 }
  *   EOF
  *
+ * Reporters:
+ *   --reporter junit --output report.xml   # console output + JUnit XML file
+ *   --reporter junit                       # JUnit XML on stdout instead
+ *   --reporter json                        # full per-test details as JSON
+ *   --reporter tap                         # TAP version 13
+ *   --reporter html --output report.html   # offline HTML page with request /
+ *                                          # response and failure details
+ *
+ * Selection:
+ *   --grep '^login'                # only tests whose name matches the regex
+ *   --tag smoke --exclude-tag slow # only tests tagged smoke, but not slow
+ *   --list                         # print the selected tests without running
+ *   --dry-run                      # print the resolved requests and kubectl
+ *                                  # commands without sending anything
+ *   --state-dir .yamltest          # record the outcome of the run in
+ *                                  # .yamltest/last-run.json
+ *   --rerun-failed                 # only the tests that failed or were skipped in
+ *                                  # the last recorded run, plus the tests they
+ *                                  # need for their setVars values
+ *
+ * Flakiness:
+ *   --repeat 20                    # run the suite 20 times; per-test pass rate,
+ *                                  # mean / p95 duration and attempts, flaky tests
+ *
+ * Variables:
+ *   --var HOST=api.example.com     # value for $HOST / ${HOST} (repeatable)
+ *   --env-file .env                # KEY=VALUE lines; --var wins over the file,
+ *                                  # both win over the environment
+ *   --seed 1234                    # repeat the values of ${uuid()}, ${randomInt(1,9)}, ...
+ *   --secret 'DB_*'                # mask the values of these variables in logs and
+ *                                  # reports (as for *TOKEN, *PASSWORD, ... by default)
+ *
  * Exit codes:
- *   0  – all tests passed
- *   1  – one or more tests failed / usage error
+ *   0    – all tests passed
+ *   1    – one or more tests, setup or teardown steps failed / usage error
+ *   130  – interrupted with SIGINT (Ctrl+C)
+ *   143  – interrupted with SIGTERM
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { runTests } = require('./runner');
+const fg = require('fast-glob');
+const { runTests, listTests, planTests, parseSuite, selectTests, summarizeRuns, testName } = require('./runner');
+const { cleanupResources, collectVariableReferences } = require('./core');
+const { validateSuite } = require('./validate');
+const { formatJUnit, formatJson, formatTap, formatHtml } = require('./reporters');
+const { createSecretStore } = require('./secrets');
+
+// Exit status after an interruption, following the shell's 128 + signal number
+const SIGNAL_EXIT_CODES = {
+  SIGINT: 130,
+  SIGTERM: 143,
+};
+
+// Report formats selectable with --reporter ('console' is the built-in output)
+const REPORTERS = {
+  junit: formatJUnit,
+  json: formatJson,
+  tap: formatTap,
+  html: formatHtml,
+};
 
 // ── ANSI colours (disabled when NO_COLOR is set or stdout is not a TTY) ──────
 const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
@@ -36,18 +92,113 @@ const c = {
 // ── Argument parsing ──────────────────────────────────────────────────────────
 function parseArgs(argv) {
   const args = argv.slice(2); // strip node + script
-  const opts = { file: null, check: false };
+  const opts = {
+    files: [],
+    check: false,
+    list: false,
+    dryRun: false,
+    reporter: 'console',
+    output: null,
+    concurrency: 1,
+    timeout: null,
+    failFast: true,
+    grep: null,
+    tags: [],
+    excludeTags: [],
+    vars: [],
+    envFiles: [],
+    seed: null,
+    secrets: [],
+    rerunFailed: false,
+    stateDir: null,
+    repeat: 1,
+  };
 
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '-f' || args[i] === '--file') {
-      opts.file = args[i + 1] || null;
+      if (args[i + 1]) opts.files.push(args[i + 1]);
       i++;
     } else if (args[i].startsWith('-f=')) {
-      opts.file = args[i].slice(3);
+      opts.files.push(args[i].slice(3));
+    } else if (args[i].startsWith('--file=')) {
+      opts.files.push(args[i].slice(7));
     } else if (args[i] === '--help' || args[i] === '-h') {
       opts.help = true;
     } else if (args[i] === '--check') {
       opts.check = true;
+    } else if (args[i] === '--reporter') {
+      opts.reporter = args[i + 1] || null;
+      i++;
+    } else if (args[i].startsWith('--reporter=')) {
+      opts.reporter = args[i].slice(11);
+    } else if (args[i] === '-o' || args[i] === '--output') {
+      opts.output = args[i + 1] || null;
+      i++;
+    } else if (args[i].startsWith('--output=')) {
+      opts.output = args[i].slice(9);
+    } else if (args[i] === '--concurrency' || args[i] === '-j') {
+      opts.concurrency = Number(args[i + 1]);
+      i++;
+    } else if (args[i].startsWith('--concurrency=')) {
+      opts.concurrency = Number(args[i].slice(14));
+    } else if (args[i] === '--timeout') {
+      opts.timeout = Number(args[i + 1]);
+      i++;
+    } else if (args[i].startsWith('--timeout=')) {
+      opts.timeout = Number(args[i].slice(10));
+    } else if (args[i] === '--repeat') {
+      opts.repeat = Number(args[i + 1]);
+      i++;
+    } else if (args[i].startsWith('--repeat=')) {
+      opts.repeat = Number(args[i].slice(9));
+    } else if (args[i] === '--no-fail-fast') {
+      opts.failFast = false;
+    } else if (args[i] === '--grep') {
+      opts.grep = args[i + 1] || null;
+      i++;
+    } else if (args[i].startsWith('--grep=')) {
+      opts.grep = args[i].slice(7);
+    } else if (args[i] === '--tag') {
+      if (args[i + 1]) opts.tags.push(args[i + 1]);
+      i++;
+    } else if (args[i].startsWith('--tag=')) {
+      opts.tags.push(args[i].slice(6));
+    } else if (args[i] === '--exclude-tag') {
+      if (args[i + 1]) opts.excludeTags.push(args[i + 1]);
+      i++;
+    } else if (args[i].startsWith('--exclude-tag=')) {
+      opts.excludeTags.push(args[i].slice(14));
+    } else if (args[i] === '--list') {
+      opts.list = true;
+    } else if (args[i] === '--dry-run') {
+      opts.dryRun = true;
+    } else if (args[i] === '--rerun-failed') {
+      opts.rerunFailed = true;
+    } else if (args[i] === '--state-dir') {
+      opts.stateDir = args[i + 1] || null;
+      i++;
+    } else if (args[i].startsWith('--state-dir=')) {
+      opts.stateDir = args[i].slice(12);
+    } else if (args[i] === '--var') {
+      if (args[i + 1] !== undefined) opts.vars.push(args[i + 1]);
+      i++;
+    } else if (args[i].startsWith('--var=')) {
+      opts.vars.push(args[i].slice(6));
+    } else if (args[i] === '--env-file') {
+      if (args[i + 1]) opts.envFiles.push(args[i + 1]);
+      i++;
+    } else if (args[i].startsWith('--env-file=')) {
+      opts.envFiles.push(args[i].slice(11));
+    } else if (args[i] === '--seed') {
+      opts.seed = args[i + 1] || '';
+      i++;
+    } else if (args[i].startsWith('--seed=')) {
+      opts.seed = args[i].slice(7);
+    } else if (args[i] === '--secret') {
+      if (args[i + 1]) opts.secrets.push(args[i + 1]);
+      i++;
+    } else if (args[i].startsWith('--secret=')) {
+      opts.secrets.push(args[i].slice(9));
     }
   }
 
@@ -62,6 +213,7 @@ function printUsage() {
       '',
       c.bold('USAGE'),
       '  YAMLTest -f <file.yaml>',
+      '  YAMLTest -f a.yaml -f tests/ -f \'smoke/**/*.yaml\'',
       '  YAMLTest -f -              # read YAML from stdin',
       '  YAMLTest -f <<EOF',
       '  - name: my-test',
@@ -76,8 +228,41 @@ function printUsage() {
       '  EOF',
       '',
       c.bold('OPTIONS'),
-      '  -f, --file <path|->   YAML file to run, or - for stdin',
+      '  -f, --file <path|->   YAML file, directory or glob to run, or - for stdin',
+      '                        (repeatable; directories are searched for *.yaml/*.yml)',
       '  --check               Validate YAML structure only; do not run tests',
+      '  --reporter <name>     Report format: console (default), junit, json, tap, html',
+      '  -o, --output <path>   Write the report to a file and keep console output;',
+      '                        without it the report replaces console output',
+      '  -j, --concurrency <n> Run up to n tests of a file at the same time (default: 1);',
+      '                        tests sharing setVars variables keep their order',
+      '  --timeout <seconds>   Fail tests that run longer than this; tests can set',
+      '                        their own timeoutSeconds (default: no timeout)',
+      '  --no-fail-fast        Run every test even after a failure',
+      '  --repeat <n>          Run the suite n times and report each test\'s pass rate,',
+      '                        durations and attempts; tests that failed in some runs or',
+      '                        passed only after retries are flagged as flaky',
+      '  --grep <regex>        Only run tests whose name matches the regex',
+      '  --tag <tag>           Only run tests carrying the tag (repeatable; any matches)',
+      '  --exclude-tag <tag>   Never run tests carrying the tag (repeatable)',
+      '  --var <KEY=VALUE>     Set a variable for $KEY / ${KEY} references (repeatable);',
+      '                        takes precedence over --env-file and the environment',
+      '  --env-file <path>     Read variables from a .env file (repeatable; later files',
+      '                        win); takes precedence over the environment',
+      '  --seed <value>        Seed for generated values such as ${uuid()}; printed when',
+      '                        tests fail, so the run can be repeated with the same values',
+      '  --secret <name>       Mask the value of this variable (or of those matching a',
+      '                        pattern like DB_*) as **** in logs and reports (repeatable);',
+      '                        *TOKEN, *SECRET, *PASSWORD, *API_KEY variables and',
+      '                        Authorization / Cookie headers are always masked',
+      '  --list                Print the selected tests without running them',
+      '  --dry-run             Print the resolved request and kubectl commands of each',
+      '                        selected test without sending anything',
+      '  --state-dir <dir>     Record the outcome of each test in <dir>/last-run.json',
+      '  --rerun-failed        Only run the tests that failed or were skipped in the last',
+      '                        recorded run, plus the tests setting variables they use;',
+      '                        without -f, the files of the last run.  Reads and updates',
+      '                        the state in --state-dir (default: .yamltest)',
       '  -h, --help            Show this help',
       '',
       c.bold('ENVIRONMENT'),
@@ -112,50 +297,769 @@ async function readInput(filePath) {
   return fs.readFileSync(resolved, 'utf8');
 }
 
+/**
+ * Expand the -f arguments into a flat, de-duplicated list of input files.
+ * Plain paths are kept as-is, directories are searched recursively for YAML
+ * files and glob patterns are expanded.  Each argument must match something.
+ *
+ * @param {string[]} inputs - Raw -f values (paths, directories, globs or -)
+ * @returns {string[]} - Files to run, in the order they were given
+ */
+function expandInputs(inputs) {
+  const files = [];
+  const seen = new Set();
+
+  for (const input of inputs) {
+    if (input === '-') {
+      if (!seen.has(input)) files.push(input);
+      seen.add(input);
+      continue;
+    }
+
+    let matches;
+    if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      const pattern = fg.convertPathToPattern(input).replace(/\/$/, '') + '/**/*.{yaml,yml}';
+      matches = fg.sync(pattern, { onlyFiles: true }).sort();
+      if (matches.length === 0) {
+        throw new Error(`No YAML files found in directory: ${path.resolve(input)}`);
+      }
+    } else if (fg.isDynamicPattern(input)) {
+      matches = fg.sync(input, { onlyFiles: true }).sort();
+      if (matches.length === 0) {
+        throw new Error(`No files match pattern: ${input}`);
+      }
+    } else {
+      matches = [input];
+    }
+
+    for (const file of matches) {
+      const key = path.resolve(file);
+      if (!seen.has(key)) files.push(file);
+      seen.add(key);
+    }
+  }
+
+  return files;
+}
+
+// ── Variables ─────────────────────────────────────────────────────────────────
+const VARIABLE_ASSIGNMENT = /^(?:export\s+)?([A-Z_][A-Z0-9_]*)\s*=\s*(.*)$/i;
+
+/**
+ * Parse the KEY=VALUE lines of a .env file.  Blank lines and # comments are
+ * ignored and an `export ` prefix is allowed.  Values may be quoted: single
+ * quotes keep the text as-is, double quotes understand \n, \" and \\;
+ * unquoted values end at a " #" comment.
+ *
+ * @param {string} content - File content
+ * @param {string} file - File name, for error messages
+ * @returns {object} - Variable values
+ */
+function parseEnvFile(content, file) {
+  const vars = {};
+
+  content.split(/\r?\n/).forEach((line, i) => {
+    const text = line.trim();
+    if (!text || text.startsWith('#')) return;
+
+    const match = text.match(VARIABLE_ASSIGNMENT);
+    if (!match) {
+      throw new Error(`${file}:${i + 1}: expected KEY=VALUE, got "${text}"`);
+    }
+
+    const [, name, raw] = match;
+    const quote = raw[0];
+    if ((quote === '"' || quote === "'") && raw.indexOf(quote, 1) !== -1) {
+      const value = raw.slice(1, raw.lastIndexOf(quote));
+      vars[name] = quote === "'"
+        ? value
+        : value.replace(/\\(["\\n])/g, (_, ch) => (ch === 'n' ? '\n' : ch));
+    } else {
+      vars[name] = raw.replace(/\s+#.*$/, '');
+    }
+  });
+
+  return vars;
+}
+
+/**
+ * Collect the variables given with --env-file and --var.  --var values win
+ * over the files, and a later file wins over an earlier one.
+ *
+ * @param {{envFiles: string[], vars: string[]}} opts - Parsed arguments
+ * @returns {object} - Variable values for runTests
+ */
+function loadVariables(opts) {
+  const vars = {};
+
+  for (const file of opts.envFiles) {
+    const resolved = path.resolve(file);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Env file not found: ${resolved}`);
+    }
+    Object.assign(vars, parseEnvFile(fs.readFileSync(resolved, 'utf8'), file));
+  }
+
+  for (const assignment of opts.vars) {
+    const match = assignment.match(/^([A-Z_][A-Z0-9_]*)=([\s\S]*)$/i);
+    if (!match) {
+      throw new Error(`Invalid --var "${assignment}": expected KEY=VALUE`);
+    }
+    vars[match[1]] = match[2];
+  }
+
+  return vars;
+}
+
 // ── Output formatting ─────────────────────────────────────────────────────────
 function formatDuration(ms) {
   if (ms < 1000) return `${ms}ms`;
   return `${(ms / 1000).toFixed(2)}s`;
 }
 
-function printResults(result) {
-  const { total, passed, failed, skipped, results } = result;
+// Includes in stdin input resolve against the current directory
+function sourcePath(file) {
+  return file === '-' ? undefined : file;
+}
+
+function displayName(file) {
+  return file === '-' ? '<stdin>' : path.relative(process.cwd(), path.resolve(file));
+}
+
+function stepsFailed(steps) {
+  return steps.some((r) => !r.passed && !r.skipped);
+}
+
+function hasFailures(result) {
+  return result.failed > 0 || result.interrupted || stepsFailed(result.setup) || stepsFailed(result.teardown);
+}
+
+/**
+ * Console output of one file's run, built on the events of runTests: each
+ * test's line is printed as soon as the test and the tests declared before
+ * it have ended, so the output streams in declared order while the run goes
+ * on, also with --concurrency.  Setup and teardown steps are listed under
+ * their phase; the file heading is only shown when several files run.
+ *
+ * @param {string} file - The input file
+ * @param {boolean} showFiles - Whether several files run
+ * @returns {object} - onSuiteStart / onTestEnd callbacks for runTests
+ */
+function consoleReporter(file, showFiles) {
+  const indent = showFiles ? '  ' : '';
+  const headed = new Set();
+  const ended = new Map();
+  let tests = [];
+  let next = 0;
+
+  return {
+    onSuiteStart(event) {
+      tests = event.tests;
+      process.stdout.write('\n');
+      if (showFiles) {
+        process.stdout.write(`  ${c.bold(displayName(file))}\n`);
+      }
+    },
+    onTestEnd({ phase, index, result }) {
+      if (phase === 'tests') {
+        ended.set(index, result);
+        for (; next < tests.length && (!tests[next].selected || ended.has(next)); next++) {
+          if (tests[next].selected) printTestLines([ended.get(next)], indent);
+        }
+        return;
+      }
+      if (!headed.has(phase)) {
+        process.stdout.write(`${indent}  ${c.dim(phase)}\n`);
+        headed.add(phase);
+      }
+      printTestLines([result], `${indent}  `);
+    },
+  };
+}
+
+/**
+ * Print one combined summary line for the results of every file (their test
+ * lines are streamed by consoleReporter), plus a line for suite setup /
+ * teardown steps when there are any, and the seed of generated values when
+ * something failed and a test generated values (see showSeed).
+ *
+ * @param {Array<{file: string, result: RunResult}>} fileResults
+ */
+function printSummary(fileResults) {
+  const steps = { setup: [], teardown: [] };
+  for (const { result } of fileResults) {
+    steps.setup.push(...result.setup);
+    steps.teardown.push(...result.teardown);
+  }
+
+  process.stdout.write('\n');
+  process.stdout.write(`  ${summaryLine(fileResults)}\n`);
+
+  const stepParts = ['setup', 'teardown']
+    .filter((phase) => steps[phase].length > 0)
+    .map((phase) => `${phase}: ${stepSummary(steps[phase])}`);
+  if (stepParts.length > 0) {
+    process.stdout.write(`  ${stepParts.join(c.dim(' | '))}\n`);
+  }
+
+  if (showSeed(fileResults)) {
+    const { seed } = fileResults[0].result;
+    process.stdout.write(c.dim(`  seed: ${seed} (re-run with --seed ${seed} to repeat generated values)`) + '\n');
+  }
+
+  process.stdout.write('\n');
+}
+
+// Counts of the tests of every file: "2 passed | 1 failed | 3 total"
+function summaryLine(fileResults) {
+  const showFiles = fileResults.length > 1;
+  const totals = { total: 0, passed: 0, failed: 0, skipped: 0, deselected: 0, interrupted: 0, conditional: 0 };
+  let interrupted = false;
+
+  for (const { result } of fileResults) {
+    totals.total += result.total;
+    totals.passed += result.passed;
+    totals.failed += result.failed;
+    totals.skipped += result.skipped;
+    totals.deselected += result.deselected || 0;
+    totals.interrupted += result.results.filter((r) => r.interrupted).length;
+    totals.conditional += result.results.filter((r) => r.conditional).length;
+    interrupted = interrupted || result.interrupted;
+  }
+
+  const { total, passed, deselected } = totals;
+  // Tests stopped part-way count as failed in the results, and tests skipped by
+  // their skip / if fields as skipped; list both on their own
+  const failed = totals.failed - totals.interrupted;
+  const skipped = totals.skipped - totals.conditional;
+
+  const summaryParts = [];
+  if (passed > 0) summaryParts.push(c.green(`${passed} passed`));
+  if (failed > 0) summaryParts.push(c.red(`${failed} failed`));
+  if (totals.interrupted > 0) summaryParts.push(c.yellow(`${totals.interrupted} interrupted`));
+  if (skipped > 0) summaryParts.push(c.yellow(`${skipped} skipped`));
+  if (totals.conditional > 0) summaryParts.push(c.dim(`${totals.conditional} skipped by condition`));
+  if (deselected > 0) summaryParts.push(c.dim(`${deselected} deselected`));
+  summaryParts.push(`${total} total`);
+  if (showFiles) summaryParts.push(`${fileResults.length} files`);
+  if (interrupted && totals.interrupted === 0) summaryParts.push(c.yellow('interrupted'));
+
+  return summaryParts.join(c.dim(' | '));
+}
+
+function stepSummary(steps) {
+  const passed = steps.filter((r) => r.passed).length;
+  const failed = steps.filter((r) => !r.passed && !r.skipped && !r.interrupted).length;
+  const interrupted = steps.filter((r) => r.interrupted).length;
+  const skipped = steps.filter((r) => r.skipped && !r.conditional).length;
+  const conditional = steps.filter((r) => r.conditional).length;
+
+  const parts = [];
+  if (passed > 0) parts.push(c.green(`${passed} passed`));
+  if (failed > 0) parts.push(c.red(`${failed} failed`));
+  if (interrupted > 0) parts.push(c.yellow(`${interrupted} interrupted`));
+  if (skipped > 0) parts.push(c.yellow(`${skipped} skipped`));
+  if (conditional > 0) parts.push(c.dim(`${conditional} skipped by condition`));
+  return parts.join(', ');
+}
+
+/**
+ * One line summing up a run of --repeat, followed by the failed tests and
+ * steps with the first line of their error, and the seed of the run when
+ * something failed and a test generated values (see showSeed).
+ *
+ * @param {number} run - 1-based number of the run
+ * @param {number} count - Number of runs
+ * @param {Array<{file: string, result: RunResult}>} fileResults
+ */
+function printRunLine(run, count, fileResults) {
+  if (run === 1) process.stdout.write('\n');
+  process.stdout.write(`  ${c.dim(`run ${run}/${count}`)}  ${summaryLine(fileResults)}\n`);
+
+  const showFiles = fileResults.length > 1;
+  for (const { file, result } of fileResults) {
+    const failed = [...result.setup, ...result.results, ...result.teardown]
+      .filter((r) => !r.passed && !r.skipped && !r.deselected);
+    for (const r of failed) {
+      const where = showFiles ? `${displayName(file)} › ` : '';
+      const error = r.error ? `: ${r.error.split('\n')[0]}` : '';
+      process.stdout.write(`      ${c.red('✗')} ${where}${r.name}${c.dim(error)}\n`);
+    }
+  }
+  if (showSeed(fileResults)) {
+    const { seed } = fileResults[0].result;
+    process.stdout.write(c.dim(`      seed: ${seed}`) + '\n');
+  }
+}
+
+/**
+ * Whether the seed of a run is worth printing: something failed and a
+ * template function drew generated values from it, so that --seed repeats
+ * them.
+ *
+ * @param {Array<{file: string, result: RunResult}>} fileResults
+ * @returns {boolean}
+ */
+function showSeed(fileResults) {
+  return fileResults.some(({ result }) => hasFailures(result)) &&
+    fileResults.some(({ result }) => result.seedUsed);
+}
+
+/**
+ * The statistics of each file's tests over the runs of --repeat (see
+ * summarizeRuns).  A run cut short by an interruption may lack the last files.
+ *
+ * @param {Array<Array<{file: string, result: RunResult}>>} runs - The results of each run
+ * @returns {Array<{file: string, tests: TestStats[]}>}
+ */
+function repeatStats(runs) {
+  return runs[0].map(({ file }, i) => ({
+    file,
+    tests: summarizeRuns(runs.filter((run) => run[i]).map((run) => run[i].result)),
+  }));
+}
+
+/**
+ * Print the statistics of every test over the runs of --repeat: pass rate,
+ * mean and 95th percentile duration and attempts, flagging flaky tests, and
+ * a line counting the tests that passed every run, the flaky ones and those
+ * that never passed.
+ *
+ * @param {Array<{file: string, tests: TestStats[]}>} fileStats - See repeatStats
+ * @param {number} count - Number of runs
+ */
+function printRepeatSummary(fileStats, count) {
+  const showFiles = fileStats.length > 1;
+  const indent = showFiles ? '  ' : '';
+  const totals = { passed: 0, flaky: 0, failed: 0, skipped: 0 };
 
   process.stdout.write('\n');
+  for (const { file, tests } of fileStats) {
+    if (showFiles) {
+      process.stdout.write(`  ${c.bold(displayName(file))}\n`);
+    }
+    for (const t of tests) {
+      if (t.runs === 0) {
+        totals.skipped++;
+        process.stdout.write(`${indent}  ${c.yellow('○')} ${c.dim(t.name)} ${c.dim(`(skipped in all ${count} runs)`)}\n`);
+        continue;
+      }
+
+      let mark;
+      if (t.flaky) {
+        totals.flaky++;
+        mark = c.yellow('~');
+      } else if (t.passed === t.runs) {
+        totals.passed++;
+        mark = c.green('✓');
+      } else {
+        totals.failed++;
+        mark = c.red('✗');
+      }
+      const rate = `${Math.round(t.passRate * 100)}% (${t.passed}/${t.runs})`;
+      const details = [
+        `mean ${formatDuration(t.meanDurationMs)}`,
+        `p95 ${formatDuration(t.p95DurationMs)}`,
+        `${t.attempts} attempts` + (t.maxAttempts > 1 ? ` (max ${t.maxAttempts})` : ''),
+      ];
+      if (t.skipped > 0) details.push(`skipped ${t.skipped}×`);
+      const flaky = [];
+      if (t.failed > 0 && t.passed > 0) flaky.push(`failed ${t.failed} of ${t.runs} runs`);
+      if (t.retriedPasses > 0) flaky.push(`passed after retries in ${t.retriedPasses} of ${t.runs} runs`);
+
+      process.stdout.write(
+        `${indent}  ${mark} ${t.name} ${rate}  ${c.dim(details.join('  '))}` +
+          (flaky.length > 0 ? '  ' + c.yellow(`flaky: ${flaky.join(', ')}`) : '') +
+          '\n'
+      );
+    }
+  }
 
+  const parts = [];
+  if (totals.passed > 0) parts.push(c.green(`${totals.passed} passed`));
+  if (totals.flaky > 0) parts.push(c.yellow(`${totals.flaky} flaky`));
+  if (totals.failed > 0) parts.push(c.red(`${totals.failed} failed`));
+  if (totals.skipped > 0) parts.push(c.yellow(`${totals.skipped} skipped`));
+  parts.push(`${count} runs`);
+  if (showFiles) parts.push(`${fileStats.length} files`);
+
+  process.stdout.write(`\n  ${parts.join(c.dim(' | '))}\n\n`);
+}
+
+function printTestLines(results, indent) {
   for (const r of results) {
-    if (r.skipped) {
+    if (r.deselected) continue;
+
+    if (r.conditional) {
+      process.stdout.write(
+        `${indent}  ${c.dim('○')} ${c.dim(r.name)} ${c.dim(`(skipped: ${r.error})`)}\n`
+      );
+    } else if (r.skipped) {
       process.stdout.write(
-        `  ${c.yellow('○')} ${c.dim(r.name)} ${c.dim('(skipped)')}\n`
+        `${indent}  ${c.yellow('○')} ${c.dim(r.name)} ${c.dim('(skipped)')}\n`
       );
+    } else if (r.interrupted) {
+      process.stdout.write(
+        `${indent}  ${c.yellow('⊘')} ${c.bold(r.name)} ${c.dim(formatDuration(r.durationMs))} ${c.yellow('(interrupted)')}\n`
+      );
+      // Earlier attempts that failed before the interruption
+      printAttemptErrors((r.attemptErrors || []).filter(({ error }) => error !== r.error), indent);
     } else if (r.passed) {
       process.stdout.write(
-        `  ${c.green('✓')} ${r.name} ${c.dim(formatDuration(r.durationMs))}` +
+        `${indent}  ${c.green('✓')} ${r.name} ${c.dim(formatDuration(r.durationMs))}` +
           (r.attempts > 1 ? c.dim(` [${r.attempts} attempts]`) : '') +
           '\n'
       );
+      printAttemptErrors(r.attemptErrors, indent);
     } else {
       process.stdout.write(
-        `  ${c.red('✗')} ${c.bold(r.name)} ${c.dim(formatDuration(r.durationMs))}\n`
+        `${indent}  ${c.red('✗')} ${c.bold(r.name)} ${c.dim(formatDuration(r.durationMs))}` +
+          (r.attempts > 1 ? c.dim(` [${r.attempts} attempts]`) : '') +
+          '\n'
       );
+      // The last attempt's error is printed in full below
+      printAttemptErrors((r.attemptErrors || []).slice(0, -1), indent);
       if (r.error) {
         const lines = r.error.split('\n');
         for (const line of lines) {
-          process.stdout.write(`      ${c.red(line)}\n`);
+          process.stdout.write(`${indent}      ${c.red(line)}\n`);
         }
       }
     }
   }
+}
 
-  process.stdout.write('\n');
+// One line per failed attempt of a retried test, so it is visible why it was retried
+function printAttemptErrors(attemptErrors, indent) {
+  for (const { attempt, error } of attemptErrors || []) {
+    process.stdout.write(`${indent}      ${c.dim(`attempt ${attempt}: ${error.split('\n')[0]}`)}\n`);
+  }
+}
 
-  const summaryParts = [];
-  if (passed > 0) summaryParts.push(c.green(`${passed} passed`));
-  if (failed > 0) summaryParts.push(c.red(`${failed} failed`));
-  if (skipped > 0) summaryParts.push(c.yellow(`${skipped} skipped`));
-  summaryParts.push(`${total} total`);
+/**
+ * Print the tests selected in each file, one per line with their tags.
+ *
+ * @param {Array<{file: string, tests: Array<{name: string, tags: string[]}>}>} fileTests
+ */
+function printTestList(fileTests) {
+  const showFiles = fileTests.length > 1;
+  let count = 0;
+
+  for (const { file, tests } of fileTests) {
+    if (showFiles) {
+      process.stdout.write(`${c.bold(displayName(file))}\n`);
+    }
+    for (const t of tests) {
+      const tags = t.tags.length > 0 ? ' ' + c.dim(`[${t.tags.join(', ')}]`) : '';
+      process.stdout.write(`${showFiles ? '  ' : ''}${t.name}${tags}\n`);
+    }
+    count += tests.length;
+  }
+
+  process.stdout.write(c.dim(`\n${count} test${count === 1 ? '' : 's'} selected`) + '\n');
+}
+
+/**
+ * Print what each selected test would send: the resolved request, followed by
+ * the kubectl command lines needed to reach the target.
+ *
+ * @param {Array<{file: string, plans: Array<{phase: string, name: string, type: string, request: object, commands: string[]}>}>} filePlans
+ */
+function printTestPlans(filePlans) {
+  const showFiles = filePlans.length > 1;
+  const indent = showFiles ? '  ' : '';
+  let count = 0;
 
-  process.stdout.write(`  ${summaryParts.join(c.dim(' | '))}\n\n`);
+  for (const { file, plans } of filePlans) {
+    if (showFiles) {
+      process.stdout.write(`${c.bold(displayName(file))}\n`);
+    }
+    for (const plan of plans) {
+      const phase = plan.phase === 'tests' ? '' : ' ' + c.dim(`(${plan.phase})`);
+      process.stdout.write(`${indent}${c.bold(plan.name)}${phase}\n`);
+      for (const line of formatPlannedRequest(plan)) {
+        process.stdout.write(`${indent}  ${line}\n`);
+      }
+      for (const command of plan.commands) {
+        process.stdout.write(`${indent}  ${c.dim('$')} ${command}\n`);
+      }
+      if (plan.phase === 'tests') count++;
+    }
+  }
+
+  process.stdout.write(
+    c.dim(`\n${count} test${count === 1 ? '' : 's'} planned (dry run – nothing was sent)`) + '\n'
+  );
+}
+
+// Request lines of a planned test: "METHOD url" plus headers, params and body for
+// HTTP requests, the command with its environment for commands
+function formatPlannedRequest({ type, request }) {
+  if (type === 'wait') {
+    return [`wait for ${request.jsonPath}`];
+  }
+  if (type === 'command') {
+    const lines = [`command: ${request.command}`];
+    for (const [key, value] of Object.entries(request.env || {})) {
+      lines.push(`  ${key}=${value}`);
+    }
+    if (request.workingDir) lines.push(`  cwd: ${request.workingDir}`);
+    return lines;
+  }
+
+  // Body comparison tests plan two requests
+  const requests = Array.isArray(request) ? request : [request];
+  const lines = [];
+  for (const req of requests) {
+    lines.push(`${req.method} ${req.url}`);
+    for (const [key, value] of Object.entries(req.headers || {})) {
+      lines.push(`  ${key}: ${value}`);
+    }
+    if (req.params && Object.keys(req.params).length > 0) {
+      lines.push(`  params: ${JSON.stringify(req.params)}`);
+    }
+    if (req.body !== undefined) {
+      lines.push(`  body: ${typeof req.body === 'string' ? req.body : JSON.stringify(req.body)}`);
+    }
+  }
+  return lines;
+}
+
+function writeReport(outputPath, report) {
+  const resolved = path.resolve(outputPath);
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  fs.writeFileSync(resolved, report, 'utf8');
+}
+
+// ── Last run state (--state-dir, --rerun-failed) ─────────────────────────────
+// Where --rerun-failed finds the last run when no --state-dir is given,
+// relative to the current directory
+const DEFAULT_STATE_DIR = '.yamltest';
+
+// Outcomes that --rerun-failed runs again
+const RERUN_STATUSES = ['failed', 'interrupted', 'skipped'];
+
+// The state file of a run, or null when the run is not recorded: only runs
+// given a --state-dir and --rerun-failed runs are
+function lastRunFile(opts) {
+  if (opts.stateDir === null && !opts.rerunFailed) return null;
+  return path.join(opts.stateDir || DEFAULT_STATE_DIR, 'last-run.json');
+}
+
+// How a file is recorded: its path relative to the current directory, - for stdin
+function stateName(file) {
+  return file === '-' ? '-' : displayName(file);
+}
+
+function testStatus(result) {
+  if (result.deselected) return 'deselected';
+  if (result.conditional) return 'skipped by condition';
+  if (result.skipped) return 'skipped';
+  if (result.interrupted) return 'interrupted';
+  return result.passed ? 'passed' : 'failed';
+}
+
+/**
+ * Read the state of the last run.
+ *
+ * @param {string} stateFile - See lastRunFile
+ * @returns {{finishedAt: string, files: Array<{file: string, tests: Array<{index: number, name: string, status: string, source: string}>}>}}
+ * @throws {Error} - When no run was recorded or the file cannot be read
+ */
+function readLastRun(stateFile) {
+  const resolved = path.resolve(stateFile);
+  if (!fs.existsSync(resolved)) {
+    const stateDir = path.dirname(stateFile);
+    throw new Error(`No previous run recorded (${stateFile} not found); run the tests once with --state-dir ${stateDir}`);
+  }
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid ${stateFile}: ${err.message}`);
+  }
+  if (!state || !Array.isArray(state.files)) {
+    throw new Error(`Invalid ${stateFile}: expected a "files" array`);
+  }
+  return state;
+}
+
+/**
+ * Record the outcome, position and source file of every test of a run in
+ * the state file.  The source of a test is the file it was defined in: the
+ * input file, or the file it was included from.  A --rerun-failed run only
+ * updates the tests it ran, so that the next one picks up whatever still
+ * fails; any other run replaces the file.
+ *
+ * @param {string} stateFile - See lastRunFile
+ * @param {Array<{file: string, result: RunResult}>} fileResults
+ * @param {Array<{file: string, suite: Suite}>} inputs - The parsed inputs
+ * @param {object|null} previous - The state the run was selected from (--rerun-failed)
+ */
+function writeLastRun(stateFile, fileResults, inputs, previous) {
+  const files = fileResults.map(({ file, result }) => {
+    const { suite } = inputs.find((input) => input.file === file);
+    return {
+      file: stateName(file),
+      tests: result.results.map((r, i) => ({
+        index: i,
+        name: r.name,
+        status: testStatus(r),
+        source: suite.sources.tests[i] ? displayName(suite.sources.tests[i]) : stateName(file),
+      })),
+    };
+  });
+
+  const state = { finishedAt: new Date().toISOString(), files };
+  if (previous) {
+    state.files = previous.files.map((entry) => {
+      const update = files.find(({ file }) => file === entry.file);
+      if (!update) return entry;
+      const names = entry.tests.map((t) => t.name);
+      const tests = update.tests.map((t) => {
+        if (t.status !== 'deselected') return t;
+        const index = matchIndex(names, t.index, t.name);
+        return index === -1 ? t : { ...entry.tests[index], index: t.index };
+      });
+      return { file: entry.file, tests };
+    });
+    state.files.push(...files.filter(({ file }) => !previous.files.some((entry) => entry.file === file)));
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    fs.writeFileSync(stateFile, JSON.stringify(state, null, 2) + '\n', 'utf8');
+  } catch (err) {
+    warn(`Could not record the run in ${stateFile}: ${err.message}`);
+  }
+}
+
+// Recorded tests of a file that --rerun-failed runs again
+function rerunTests(entry) {
+  return entry ? entry.tests.filter((t) => RERUN_STATUSES.includes(t.status)) : [];
+}
+
+/**
+ * The files of the last run with tests to run again, for --rerun-failed
+ * without -f.  Stdin cannot be read again and files that are gone are left
+ * out, with a warning.
+ *
+ * @param {object} lastRun - See readLastRun
+ * @returns {string[]}
+ */
+function rerunFiles(lastRun) {
+  const files = [];
+  for (const entry of lastRun.files) {
+    if (rerunTests(entry).length === 0) continue;
+    if (entry.file === '-') {
+      warn('tests read from stdin failed in the last run; pass the input again with -f - to re-run them');
+    } else if (!fs.existsSync(entry.file)) {
+      warn(`${entry.file} is gone; its failed tests are not re-run`);
+    } else {
+      files.push(entry.file);
+    }
+  }
+  return files;
+}
+
+/**
+ * Where a test recorded at the given position is in a list of test names:
+ * at the same position while its name is still there, else at the position
+ * of the only test with its name (tests were added or removed before it).
+ *
+ * @param {string[]} names - Names of the tests, in order
+ * @param {number} index - Recorded position of the test
+ * @param {string} name - Recorded name of the test
+ * @returns {number} - -1 when the test no longer exists or cannot be told apart
+ */
+function matchIndex(names, index, name) {
+  if (names[index] === name) return index;
+  const matches = names.flatMap((other, i) => (other === name ? [i] : []));
+  return matches.length === 1 ? matches[0] : -1;
+}
+
+/**
+ * Narrow the inputs down to the tests --rerun-failed runs again: sets the
+ * `indexes` to select on each input and drops inputs without any.  Warns about
+ * recorded tests that no longer exist, and about variables a re-run test
+ * needs from a setVars rule (with export: true) of a test in another file of
+ * the last run that is not re-run before it, since such dependencies cannot
+ * be pulled in.
+ *
+ * @param {Array<{file: string, suite: Suite}>} inputs - The parsed inputs
+ * @param {object} lastRun - See readLastRun
+ * @param {object} vars - Variables given with --var / --env-file
+ * @param {object} filters - The other selection filters
+ * @returns {Array<object>} - The inputs to run
+ */
+function selectRerun(inputs, lastRun, vars, filters) {
+  const selected = [];
+  for (const input of inputs) {
+    const defined = input.suite.tests.map((def, i) => testName(def, i));
+    const indexes = [];
+    for (const test of rerunTests(lastRun.files.find(({ file }) => file === stateName(input.file)))) {
+      const index = matchIndex(defined, test.index, test.name);
+      if (index === -1) {
+        warn(`"${test.name}" (${displayName(input.file)}) failed in the last run but no longer exists`);
+      } else if (!indexes.includes(index)) {
+        indexes.push(index);
+      }
+    }
+    if (indexes.length > 0) selected.push({ ...input, indexes });
+  }
+
+  // Variables each input's selected tests set, in run order, to tell which
+  // values of other files are available when a test runs
+  const others = lastRunSuites(inputs, lastRun);
+  const available = new Set();
+  for (const input of selected) {
+    const selection = selectTests(input.suite.tests, { ...filters, indexes: input.indexes, dependencies: true });
+    const tests = input.suite.tests.filter((def, i) => selection[i]);
+    const steps = [...input.suite.setup, ...tests, ...input.suite.teardown];
+    const ownVariables = new Set(steps.flatMap((def) => Object.keys(def.setVars || {})));
+
+    for (const def of tests) {
+      const { setVars, ...rest } = def;
+      for (const name of collectVariableReferences(rest)) {
+        if (ownVariables.has(name) || available.has(name) || name in vars || process.env[name] !== undefined) continue;
+        const producer = setVarsProducer(others.filter((other) => other.file !== input.file), name);
+        if (producer) {
+          warn(`"${testName(def, input.suite.tests.indexOf(def))}" (${displayName(input.file)}) uses ${name}, ` +
+            `set by "${producer.name}" in ${displayName(producer.file)}, which is not re-run before it`);
+        }
+      }
+    }
+    steps.forEach((def) => Object.keys(def.setVars || {}).forEach((name) => available.add(name)));
+  }
+  return selected;
+}
+
+// The suites of the inputs and of the other files of the last run that can
+// still be read (those that cannot are left out)
+function lastRunSuites(inputs, lastRun) {
+  const suites = inputs.map(({ file, suite }) => ({ file, suite }));
+  for (const { file } of lastRun.files) {
+    if (file === '-' || suites.some((input) => stateName(input.file) === file)) continue;
+    try {
+      suites.push({ file, suite: parseSuite(fs.readFileSync(file, 'utf8'), { filePath: path.resolve(file) }) });
+    } catch (err) {
+      // gone or broken: its tests cannot be re-run either
+    }
+  }
+  return suites;
+}
+
+// A test of the given suites whose setVars sets the variable
+function setVarsProducer(suites, variable) {
+  for (const other of suites) {
+    const index = other.suite.tests.findIndex((def) => def.setVars && variable in def.setVars);
+    if (index !== -1) return { file: other.file, name: testName(other.suite.tests[index], index) };
+  }
+  return null;
+}
+
+function warn(message) {
+  process.stderr.write(c.yellow('Warning: ') + message + '\n');
 }
 
 // ── Main ──────────────────────────────────────────────────────────────────────
@@ -167,7 +1071,76 @@ async function main() {
     process.exit(0);
   }
 
-  if (!opts.file) {
+  if (opts.reporter !== 'console' && !REPORTERS[opts.reporter]) {
+    process.stderr.write(
+      c.red('Error: ') +
+        `Unknown reporter "${opts.reporter}". Use one of: console, ${Object.keys(REPORTERS).join(', ')}\n`
+    );
+    process.exit(1);
+  }
+
+  if (!Number.isInteger(opts.concurrency) || opts.concurrency < 1) {
+    process.stderr.write(c.red('Error: ') + '--concurrency must be a positive integer.\n');
+    process.exit(1);
+  }
+
+  if (!Number.isInteger(opts.repeat) || opts.repeat < 1) {
+    process.stderr.write(c.red('Error: ') + '--repeat must be a positive integer.\n');
+    process.exit(1);
+  }
+
+  if (opts.timeout !== null && !(opts.timeout > 0)) {
+    process.stderr.write(c.red('Error: ') + '--timeout must be a positive number of seconds.\n');
+    process.exit(1);
+  }
+
+  if (opts.seed === '') {
+    process.stderr.write(c.red('Error: ') + '--seed needs a value.\n');
+    process.exit(1);
+  }
+  // One seed for every file, so that a single --seed repeats the whole run;
+  // with --repeat every run gets its own, unless --seed is given
+  const newSeed = () => (opts.seed !== null ? opts.seed : String(crypto.randomInt(1, 2 ** 31)));
+  const seed = newSeed();
+
+  let grep = null;
+  if (opts.grep !== null) {
+    try {
+      grep = new RegExp(opts.grep);
+    } catch (err) {
+      process.stderr.write(c.red('Error: ') + `Invalid --grep pattern: ${err.message}\n`);
+      process.exit(1);
+    }
+  }
+  const filters = { grep, tags: opts.tags, excludeTags: opts.excludeTags };
+
+  let vars;
+  try {
+    vars = loadVariables(opts);
+  } catch (err) {
+    process.stderr.write(c.red('Error: ') + err.message + '\n');
+    process.exit(1);
+  }
+
+  const stateFile = lastRunFile(opts);
+  let lastRun = null;
+  if (opts.rerunFailed) {
+    try {
+      lastRun = readLastRun(stateFile);
+    } catch (err) {
+      process.stderr.write(c.red('Error: ') + err.message + '\n');
+      process.exit(1);
+    }
+    if (opts.files.length === 0) {
+      opts.files = rerunFiles(lastRun);
+      if (opts.files.length === 0) {
+        process.stdout.write('Nothing to re-run: no test failed or was skipped in the last run.\n');
+        process.exit(0);
+      }
+    }
+  }
+
+  if (opts.files.length === 0) {
     process.stderr.write(
       c.red('Error: ') + 'No input specified. Use -f <file> or -f - for stdin.\n\n'
     );
@@ -175,44 +1148,187 @@ async function main() {
     process.exit(1);
   }
 
-  let yamlContent;
+  // Read every input up front so a missing file aborts before anything runs
+  const inputs = [];
   try {
-    yamlContent = await readInput(opts.file);
+    for (const file of expandInputs(opts.files)) {
+      inputs.push({ file, yamlContent: await readInput(file) });
+    }
   } catch (err) {
     process.stderr.write(c.red('Error: ') + err.message + '\n');
     process.exit(1);
   }
 
-  if (!yamlContent || !yamlContent.trim()) {
-    process.stderr.write(c.red('Error: ') + 'Empty input – no YAML content to run.\n');
-    process.exit(1);
+  for (const { file, yamlContent } of inputs) {
+    if (!yamlContent || !yamlContent.trim()) {
+      const where = inputs.length > 1 ? ` (${displayName(file)})` : '';
+      process.stderr.write(c.red('Error: ') + `Empty input – no YAML content to run${where}.\n`);
+      process.exit(1);
+    }
   }
 
-  if (opts.check) {
+  // Parse and validate every file before executing any test
+  const errors = [];
+  for (const input of inputs) {
     try {
-      const { parseTestDefinitions } = require('./runner');
-      const { validateTestDefinitions } = require('./validate');
-      const defs = parseTestDefinitions(yamlContent);
-      validateTestDefinitions(defs);
-      process.stdout.write(c.green('ok') + '\n');
-      process.exit(0);
+      input.suite = parseSuite(input.yamlContent, { filePath: sourcePath(input.file) });
+      validateSuite(input.suite);
     } catch (err) {
-      process.stderr.write(c.red('invalid: ') + err.message + '\n');
+      errors.push(inputs.length > 1 ? `${displayName(input.file)}: ${err.message}` : err.message);
+    }
+  }
+
+  if (opts.check) {
+    if (errors.length > 0) {
+      process.stderr.write(c.red('invalid: ') + errors.join('\n\n') + '\n');
       process.exit(1);
     }
+    process.stdout.write(c.green('ok') + '\n');
+    process.exit(0);
   }
 
-  let result;
-  try {
-    result = await runTests(yamlContent);
-  } catch (err) {
-    process.stderr.write(c.red('Error: ') + err.message + '\n');
+  if (errors.length > 0) {
+    process.stderr.write(c.red('Error: ') + errors.join('\n\n') + '\n');
     process.exit(1);
   }
 
-  printResults(result);
+  // Each input's selection filters: --rerun-failed narrows them down to the
+  // recorded tests and pulls in the tests setting their variables
+  let selected = inputs.map((input) => ({ ...input, filters }));
+  if (lastRun) {
+    selected = selectRerun(inputs, lastRun, vars, filters).map(({ indexes, ...input }) => ({
+      ...input,
+      filters: { ...filters, indexes, dependencies: true },
+    }));
+    if (selected.length === 0) {
+      process.stdout.write('Nothing to re-run: no test of the given files failed or was skipped in the last run.\n');
+      process.exit(0);
+    }
+  }
+
+  if (opts.list) {
+    printTestList(selected.map(({ file, yamlContent, filters }) => ({
+      file,
+      tests: listTests(yamlContent, { ...filters, filePath: sourcePath(file) }),
+    })));
+    process.exit(0);
+  }
 
-  process.exit(result.failed > 0 ? 1 : 0);
+  // A single secret store for every run and the report, so that a secret
+  // seen in one file is masked in the output of all of them (see secrets.js)
+  const secretStore = createSecretStore();
+
+  if (opts.dryRun) {
+    try {
+      printTestPlans(selected.map(({ file, yamlContent, filters }) => ({
+        file,
+        plans: planTests(yamlContent, {
+          ...filters,
+          vars,
+          seed,
+          secrets: opts.secrets,
+          secretStore,
+          filePath: sourcePath(file),
+        }),
+      })));
+    } catch (err) {
+      process.stderr.write(c.red('Error: ') + err.message + '\n');
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  // The first SIGINT / SIGTERM stops the running tests (killing their child
+  // processes) and skips the rest, but still runs teardown steps and prints the
+  // partial results; a second one removes what is left behind and exits at once
+  const controller = new AbortController();
+  let interruptedBy = null;
+  const onSignal = (signal) => {
+    if (controller.signal.aborted) {
+      cleanupResources();
+      process.exit(SIGNAL_EXIT_CODES[interruptedBy]);
+    }
+    interruptedBy = signal;
+    process.stderr.write(
+      '\n' + c.yellow('Interrupted') + ' – stopping running tests, then running teardown (Ctrl+C again to force exit)\n'
+    );
+    controller.abort();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  // With --repeat, each run is summed up on one line instead of streaming its
+  // tests, and the statistics of every test follow at the end
+  const streaming = opts.reporter === 'console' || opts.output;
+  const repeating = opts.repeat > 1;
+  const runs = [];
+  for (let run = 1; run <= opts.repeat && !controller.signal.aborted; run++) {
+    const runSeed = run === 1 ? seed : newSeed();
+    const fileResults = [];
+    for (const { file, yamlContent, filters } of selected) {
+      if (controller.signal.aborted) break;
+      try {
+        const result = await runTests(yamlContent, {
+          ...(streaming && !repeating ? consoleReporter(file, selected.length > 1) : {}),
+          concurrency: opts.concurrency,
+          timeout: opts.timeout === null ? undefined : opts.timeout,
+          failFast: opts.failFast,
+          signal: controller.signal,
+          vars,
+          seed: runSeed,
+          secrets: opts.secrets,
+          secretStore,
+          filePath: sourcePath(file),
+          ...filters,
+        });
+        fileResults.push({ file, result });
+      } catch (err) {
+        const where = selected.length > 1 ? `${displayName(file)}: ` : '';
+        process.stderr.write(c.red('Error: ') + where + err.message + '\n');
+        process.exit(1);
+      }
+    }
+    runs.push(fileResults);
+    if (streaming && repeating) printRunLine(run, opts.repeat, fileResults);
+  }
+
+  // The last run is the one recorded and reported; with --repeat the JSON
+  // report also carries the statistics of every run
+  const fileResults = runs[runs.length - 1] || [];
+  const repeats = repeating ? repeatStats(runs) : null;
+  if (stateFile) writeLastRun(stateFile, fileResults, selected, lastRun);
+
+  if (streaming) {
+    if (repeats) printRepeatSummary(repeats, runs.length);
+    else printSummary(fileResults);
+  }
+
+  if (opts.reporter !== 'console') {
+    const report = REPORTERS[opts.reporter](
+      fileResults.map(({ file, result }, i) => ({
+        file: displayName(file),
+        result,
+        ...(repeats ? { repeat: { runs: runs.length, tests: repeats[i].tests } } : {}),
+      })),
+      secretStore
+    );
+    if (opts.output) {
+      try {
+        writeReport(opts.output, report);
+      } catch (err) {
+        process.stderr.write(c.red('Error: ') + `Failed to write report: ${err.message}\n`);
+        process.exit(1);
+      }
+    } else {
+      process.stdout.write(report);
+    }
+  }
+
+  if (interruptedBy) {
+    cleanupResources();
+    process.exit(SIGNAL_EXIT_CODES[interruptedBy]);
+  }
+  process.exit(runs.some((run) => run.some(({ result }) => hasFailures(result))) ? 1 : 0);
 }
 
 main().catch((err) => {
@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * Conditions for the `if` field of a test definition.
+ *
+ * A condition is a small boolean expression over variables:
+ *
+ *   $SCHEME == 'https'
+ *   ${REPLICAS} >= 3 && !$SKIP_SLOW
+ *   $VERSION =~ '^2\.' || $FORCE == true
+ *
+ * Operands are variables ($VAR or ${VAR}, the same syntax as everywhere else
+ * in a definition), quoted strings, numbers and true / false.  Operators, from
+ * lowest to highest precedence: ||, &&, !, then the comparisons ==, !=, <, <=,
+ * >, >= and =~ (regular expression match).  Parentheses group.
+ *
+ * Variables are strings; an unset variable is the empty string.  Comparisons
+ * are numeric when both sides are numbers and textual otherwise.  On its own,
+ * a value is true unless it is empty, "0" or "false".
+ */
+
+const COMPARISON_OPERATORS = ['==', '!=', '<=', '>=', '<', '>', '=~'];
+
+/**
+ * Split a condition into tokens.
+ * @param {string} expression - The condition
+ * @returns {Array<{kind: string, value: string, position: number}>}
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const rest = expression.slice(i);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      i += space[0].length;
+      continue;
+    }
+
+    const variable = rest.match(/^\$\{([A-Z_][A-Z0-9_]*)\}/i) || rest.match(/^\$([A-Z_][A-Z0-9_]*)/i);
+    const number = rest.match(/^-?\d+(\.\d+)?/);
+    const word = rest.match(/^[A-Z_][A-Z0-9_]*/i);
+    const operator = ['&&', '||', ...COMPARISON_OPERATORS, '!', '(', ')'].find((op) => rest.startsWith(op));
+
+    if (variable) {
+      tokens.push({ kind: 'variable', value: variable[1], position: i });
+      i += variable[0].length;
+    } else if (rest[0] === '"' || rest[0] === "'") {
+      const end = expression.indexOf(rest[0], i + 1);
+      if (end === -1) throw conditionError(expression, `unterminated string at position ${i + 1}`);
+      tokens.push({ kind: 'string', value: expression.slice(i + 1, end), position: i });
+      i = end + 1;
+    } else if (number) {
+      tokens.push({ kind: 'number', value: number[0], position: i });
+      i += number[0].length;
+    } else if (word && (word[0] === 'true' || word[0] === 'false')) {
+      tokens.push({ kind: 'string', value: word[0], position: i });
+      i += word[0].length;
+    } else if (operator) {
+      tokens.push({ kind: 'operator', value: operator, position: i });
+      i += operator.length;
+    } else {
+      const hint = word ? ` (variables are written $${word[0]})` : '';
+      throw conditionError(expression, `unexpected "${word ? word[0] : rest[0]}" at position ${i + 1}${hint}`);
+    }
+  }
+
+  return tokens;
+}
+
+function conditionError(expression, reason) {
+  return new Error(`Invalid condition "${expression}": ${reason}`);
+}
+
+/**
+ * Parse a condition into a syntax tree.  Throws on syntax errors, so it doubles
+ * as the check used by schema validation.
+ * @param {string} expression - The condition
+ * @returns {object} - Syntax tree for evaluateCondition
+ */
+function parseCondition(expression) {
+  const tokens = tokenize(expression);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOperator = (...values) => peek() && peek().kind === 'operator' && values.includes(peek().value);
+  const fail = (expected) => {
+    const found = peek() ? `"${peek().value}" at position ${peek().position + 1}` : 'end of condition';
+    throw conditionError(expression, `expected ${expected}, found ${found}`);
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isOperator('||')) {
+      pos++;
+      node = { op: '||', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isOperator('&&')) {
+      pos++;
+      node = { op: '&&', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (isOperator('!')) {
+      pos++;
+      return { op: '!', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    if (isOperator(...COMPARISON_OPERATORS)) {
+      const op = tokens[pos++].value;
+      return { op, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  const parseOperand = () => {
+    const token = peek();
+    if (isOperator('(')) {
+      pos++;
+      const node = parseOr();
+      if (!isOperator(')')) fail('")"');
+      pos++;
+      return node;
+    }
+    if (!token || token.kind === 'operator') fail('a variable or value');
+    pos++;
+    return token.kind === 'variable' ? { variable: token.value } : { value: token.value };
+  };
+
+  if (tokens.length === 0) throw conditionError(expression, 'condition is empty');
+  const tree = parseOr();
+  if (pos < tokens.length) fail('an operator');
+  return tree;
+}
+
+function isTruthy(value) {
+  return typeof value === 'boolean' ? value : !['', '0', 'false'].includes(String(value).toLowerCase());
+}
+
+function compare(op, left, right) {
+  const numeric = left !== '' && right !== '' && !isNaN(Number(left)) && !isNaN(Number(right));
+  const a = numeric ? Number(left) : String(left);
+  const b = numeric ? Number(right) : String(right);
+
+  switch (op) {
+    case '==': return a === b;
+    case '!=': return a !== b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '=~': return new RegExp(String(right)).test(String(left));
+  }
+}
+
+/**
+ * Evaluate a condition.
+ * @param {string} expression - The condition
+ * @param {function(string): (string|undefined)} lookup - Returns the value of a variable
+ * @returns {boolean}
+ */
+function evaluateCondition(expression, lookup) {
+  const evaluate = (node) => {
+    if ('variable' in node) {
+      const value = lookup(node.variable);
+      return value === undefined || value === null ? '' : String(value);
+    }
+    if ('value' in node) return node.value;
+
+    switch (node.op) {
+      case '||': return isTruthy(evaluate(node.left)) || isTruthy(evaluate(node.right));
+      case '&&': return isTruthy(evaluate(node.left)) && isTruthy(evaluate(node.right));
+      case '!': return !isTruthy(evaluate(node.operand));
+      default: return compare(node.op, evaluate(node.left), evaluate(node.right));
+    }
+  };
+
+  return isTruthy(evaluate(parseCondition(expression)));
+}
+
+module.exports = { parseCondition, evaluateCondition };
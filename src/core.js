@@ -1,18 +1,292 @@
 const axios = require('axios');
 const https = require('https');
 const fs = require('fs-extra');
-const { execSync, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const { JSONPath } = require('jsonpath-plus');
 const diff = require('deep-diff').diff;
 const yaml = require('js-yaml');
 const net = require('net');
+const { renderTemplates, templateVariables } = require('./template');
+const { isSecretName, createSecretStore, activateSecretStore, maskActiveSecrets } = require('./secrets');
 
 /**
- * Debug logging helper - only logs when DEBUG_MODE env var is set to 'true'
+ * Sections of a test definition whose strings are templates (see template.js).
+ * name, tags, skip, only, if and setVars are left as written.
+ */
+const TEMPLATE_SECTIONS = ['source', 'http', 'command', 'wait', 'httpBodyComparison', 'expect'];
+
+/**
+ * Debug logging helper - only logs when DEBUG_MODE env var is set to 'true',
+ * with the secret values of the runs in progress masked (see secrets.js)
  */
 function debugLog(...args) {
   if (process.env.DEBUG_MODE === 'true') {
-    console.debug(...args);
+    console.debug(...args.map(maskActiveSecrets));
+  }
+}
+
+/**
+ * Merge execution details (request, response, ...) into the report collected
+ * on the execution context, if the caller asked for one
+ * @param {object} context - Optional execution context ({ report })
+ * @param {object} details - Fields to record
+ */
+function recordDetails(context, details) {
+  if (context && context.report) {
+    Object.assign(context.report, details);
+  }
+}
+
+/**
+ * The request of an HTTP config as recorded on the execution report (like
+ * planHttpRequest, params and body only when the request has them)
+ * @param {object} http - Resolved HTTP config
+ * @returns {{url: string, method: string, headers: object, params?: object, body?: any}}
+ */
+function recordedRequest(http) {
+  return {
+    url: http.url + (http.path || ''),
+    method: http.method,
+    headers: http.headers || {},
+    ...(http.params ? { params: http.params } : {}),
+    ...(http.body !== undefined ? { body: http.body } : {}),
+  };
+}
+
+/**
+ * Run a single expectation check and record its outcome on the execution
+ * report, and pass it to the context's onAssertion callback. The check's
+ * error is re-thrown so validation still stops at the first failed expectation.
+ * @param {object} context - Optional execution context ({ report, onAssertion })
+ * @param {string} description - Human-readable description of the assertion
+ * @param {Function} check - Throws when the assertion fails
+ */
+function checkAssertion(context, description, check) {
+  const record = (assertion) => {
+    if (!context) return;
+    if (context.report) {
+      context.report.assertions = context.report.assertions || [];
+      context.report.assertions.push(assertion);
+    }
+    if (context.onAssertion) context.onAssertion(assertion);
+  };
+
+  try {
+    check();
+  } catch (error) {
+    record({ description, passed: false, error: error.message });
+    throw error;
+  }
+
+  record({ description, passed: true });
+}
+
+/**
+ * Build the error a test fails with when it exceeds its timeoutSeconds
+ * @param {number} seconds - The timeout that elapsed
+ * @returns {Error} - Error with code ETESTTIMEOUT
+ */
+function testTimeoutError(seconds) {
+  const error = new Error(`Test timed out after ${seconds}s`);
+  error.code = 'ETESTTIMEOUT';
+  return error;
+}
+
+/**
+ * Milliseconds left before the execution context's deadline
+ * @param {object} context - Optional execution context ({ deadline })
+ * @returns {number|undefined} - Remaining time, or undefined when the test has no timeout
+ */
+function remainingTime(context) {
+  return context && context.deadline ? Math.max(context.deadline - Date.now(), 0) : undefined;
+}
+
+/**
+ * Build the error a test fails with when the caller's signal stops it
+ * @returns {Error} - Error with code ETESTINTERRUPTED
+ */
+function testInterruptedError() {
+  const error = new Error('Test interrupted');
+  error.code = 'ETESTINTERRUPTED';
+  return error;
+}
+
+// Child processes and temporary files in use by running tests, so that an
+// interrupted run can clean up what the tests never got to (see cleanupResources)
+const activeProcesses = new Set();
+const activeTempFiles = new Set();
+
+/**
+ * Register a spawned child until it exits
+ * @param {ChildProcess} child - The child process
+ * @returns {ChildProcess} - The same child
+ */
+function trackProcess(child) {
+  activeProcesses.add(child);
+  child.on('exit', () => activeProcesses.delete(child));
+  child.on('error', () => activeProcesses.delete(child));
+  return child;
+}
+
+/**
+ * Kill a spawned child together with anything it started (local commands
+ * are spawned in their own process group on POSIX systems)
+ * @param {ChildProcess} child - The child process
+ * @param {string} [signal] - Signal to send
+ */
+function killProcessGroup(child, signal = 'SIGTERM') {
+  try {
+    if (process.platform !== 'win32' && child.pid) {
+      try {
+        process.kill(-child.pid, signal);
+        return;
+      } catch (groupError) {
+        // Not a process group leader - kill the child alone
+      }
+    }
+    child.kill(signal);
+  } catch (error) {
+    debugLog(`Error killing process ${child.pid}: ${error.message}`);
+  }
+}
+
+/**
+ * Run a shell command (kubectl) without blocking the event loop, so that
+ * other tests keep running meanwhile.  Once the test's timeout elapses the
+ * command is killed and a timeout error is thrown instead of the command's
+ * own failure; when the context's signal aborts, it is killed as well.
+ * Like execSync, a command that exits with a non-zero status fails with
+ * "Command failed: <cmd>" and its stderr, and the error carries `status`,
+ * `stdout` and `stderr`.
+ * @param {string} cmd - The shell command
+ * @param {object} [context] - Optional execution context ({ signal, deadline, timeoutSeconds })
+ * @returns {Promise<string>} - The command's stdout
+ */
+function execWithin(cmd, context = {}) {
+  const remaining = remainingTime(context);
+  if (remaining === 0) {
+    return Promise.reject(testTimeoutError(context.timeoutSeconds));
+  }
+
+  return new Promise((resolve, reject) => {
+    const shell = process.platform === 'win32' ? 'cmd' : 'sh';
+    const args = process.platform === 'win32' ? ['/c', cmd] : ['-c', cmd];
+    const child = trackProcess(spawn(shell, args, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: process.platform !== 'win32'
+    }));
+
+    const { signal } = context;
+    let stopReason = null;
+    const stop = (reason) => {
+      stopReason = reason;
+      killProcessGroup(child, 'SIGKILL');
+    };
+    const onAbort = () => stop(signal.reason || testInterruptedError());
+    const timer = remaining !== undefined
+      ? setTimeout(() => stop(testTimeoutError(context.timeoutSeconds)), remaining)
+      : null;
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('close', (status) => {
+      done();
+      if (stopReason) return reject(stopReason);
+      if (status === 0) return resolve(stdout);
+
+      const error = new Error(`Command failed: ${cmd}${stderr ? `\n${stderr}` : ''}`);
+      error.status = status;
+      error.stdout = stdout;
+      error.stderr = stderr;
+      reject(error);
+    });
+
+    child.on('error', (error) => {
+      done();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Kill every child process that is still running (port-forwards, local
+ * commands) and remove every temporary file still on disk. Synchronous, so it
+ * can run right before the process exits.
+ * @returns {{processes: number, tempFiles: number}} - How much was cleaned up
+ */
+function cleanupResources() {
+  const cleaned = { processes: activeProcesses.size, tempFiles: activeTempFiles.size };
+
+  for (const child of activeProcesses) {
+    killProcessGroup(child, 'SIGKILL');
+  }
+  activeProcesses.clear();
+
+  for (const file of activeTempFiles) {
+    try {
+      fs.removeSync(file);
+    } catch (error) {
+      debugLog(`Failed to remove temporary file ${file}: ${error.message}`);
+    }
+  }
+  activeTempFiles.clear();
+
+  return cleaned;
+}
+
+/**
+ * Run a dispatched test so that it can be stopped part-way. The test receives
+ * an execution context carrying its own AbortSignal, plus a deadline when the
+ * definition sets timeoutSeconds. The signal aborts - cancelling requests and
+ * killing child processes - when the timeout runs out or when the caller's
+ * context.signal aborts, and the test then fails with a timeout or
+ * interruption error.
+ * @param {object} testConfig - The validated test definition
+ * @param {object} context - Execution context passed on to the test
+ * @param {Function} run - Receives the bounded context, returns the test's promise
+ * @returns {Promise<boolean>}
+ */
+async function runStoppable(testConfig, context, run) {
+  const seconds = testConfig.timeoutSeconds;
+  const interrupt = context.signal;
+  if (interrupt && interrupt.aborted) {
+    throw testInterruptedError();
+  }
+
+  const controller = new AbortController();
+  const deadline = seconds ? Date.now() + seconds * 1000 : undefined;
+  const timer = seconds ? setTimeout(() => controller.abort(testTimeoutError(seconds)), seconds * 1000) : null;
+  const onInterrupt = () => controller.abort(testInterruptedError());
+  if (interrupt) interrupt.addEventListener('abort', onInterrupt, { once: true });
+
+  const stopped = new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+  });
+
+  try {
+    return await Promise.race([
+      run({ ...context, signal: controller.signal, deadline, timeoutSeconds: seconds }),
+      stopped,
+    ]);
+  } catch (error) {
+    if (controller.signal.aborted) throw controller.signal.reason;
+    // Whatever failed after the deadline failed because time ran out
+    throw deadline && Date.now() >= deadline ? testTimeoutError(seconds) : error;
+  } finally {
+    clearTimeout(timer);
+    if (interrupt) interrupt.removeEventListener('abort', onInterrupt);
   }
 }
 
@@ -29,7 +303,7 @@ const buildSelectorArgs = (selector) => {
   const namespaceArg = selector.metadata.namespace ? `-n ${selector.metadata.namespace}` : '';
 
   // Add context if specified
-  const contextArg = selector.context ? `--context=${resolveEnvVarsInString(selector.context)}` : '';
+  const contextArg = selector.context ? `--context=${selector.context}` : '';
 
   // Determine the selection method (name or labels)
   let selectorArg = '';
@@ -52,6 +326,38 @@ const buildSelectorArgs = (selector) => {
   };
 }
 
+/**
+ * Builds the kubectl command that fetches the resources matching a selector as JSON
+ * @param {object} selector - The Kubernetes selector
+ * @returns {string} - The kubectl command line
+ */
+const resourceJsonCommand = (selector) => {
+  const { kindArg, namespaceArg, selectorArg, contextArg } = buildSelectorArgs(selector);
+  return `kubectl ${contextArg} ${namespaceArg} get ${kindArg} ${selectorArg} -o json`;
+}
+
+/**
+ * Builds the kubectl command that looks up the first resource matching a selector
+ * @param {object} selector - The Kubernetes selector
+ * @returns {string} - The kubectl command line, printing the resource name
+ */
+const podLookupCommand = (selector) => {
+  const { kindArg, namespaceArg, selectorArg, contextArg } = buildSelectorArgs(selector);
+  return `kubectl ${contextArg} ${namespaceArg} get ${kindArg} ${selectorArg} -o jsonpath='{.items[0].metadata.name}'`;
+}
+
+/**
+ * Builds the kubectl command that looks up the first pod carrying the given labels
+ * @param {string} namespace - The namespace to search
+ * @param {string} context - Optional Kubernetes context
+ * @param {object} labels - The pod labels
+ * @returns {string} - The kubectl command line, printing the pod name
+ */
+const podByLabelsCommand = (namespace, context, labels) => {
+  const labelSelector = labelsToSelectorString(labels);
+  return `kubectl ${context ? `--context=${context}` : ''} -n ${namespace} get pods -l ${labelSelector} -o jsonpath='{.items[0].metadata.name}'`;
+}
+
 module.exports = {
   executeTest,
   executeHttpTest,
@@ -60,15 +366,65 @@ module.exports = {
   executeHttpBodyComparisonTest,
   filterJsonByJsonPath,
   executePodHttpRequestViaPodExec,
-  applySetVars
+  applySetVars,
+  collectVariableReferences,
+  lookupVariable,
+  stringifyVariable,
+  TEMPLATE_SECTIONS,
+  cleanupResources,
+  planTest
 };
 
 /**
  * Generic test executor - parses YAML test definition and dispatches to the appropriate test function
  * @param {string} yamlDefinition - The YAML string containing the test definition
+ * @param {object} [context] - Optional execution context; when it carries a `report` object the
+ *   resolved request, response/command result, evaluated assertions and captured variables are recorded on it.
+ *   A `signal` (AbortSignal) on it stops the test: requests are aborted, child processes killed and the
+ *   test fails with "Test interrupted". When the definition sets `timeoutSeconds`, it is enforced the same way.
+ *   A `vars` object on it is the variable store of the run: its values take precedence over process.env
+ *   (see lookupVariable) and values captured by setVars are written to it instead of process.env.
+ *   A `random` function on it (see seededRandom in template.js) is used by template functions such as
+ *   ${uuid()}, so that their values can be reproduced.
+ *   A `secrets` array on it adds variable names and patterns (e.g. "DB_*") to the secret ones of
+ *   secrets.js; secret values are masked in the error a failing test rejects with and in debug logs.
+ *   They are registered in the `secretStore` on it (see createSecretStore), or in a store of
+ *   this test alone when there is none.
+ *   An `onAssertion` function on it is called with each assertion ({description, passed, error?})
+ *   as soon as it has been evaluated.
  * @returns {Promise<boolean>} - Promise resolving to true when test passes, rejecting when it fails
  */
-async function executeTest(yamlDefinition) {
+async function executeTest(yamlDefinition, context = {}) {
+  if (!context.secretStore) context = { ...context, secretStore: createSecretStore() };
+  const deactivate = activateSecretStore(context.secretStore);
+  try {
+    const testConfig = loadTestDefinition(yamlDefinition);
+    renderDefinition(testConfig, context.vars, {
+      random: context.random,
+      secrets: context.secrets,
+      secretStore: context.secretStore,
+    });
+
+    if (testConfig.timeoutSeconds || context.signal) {
+      return await runStoppable(testConfig, context, (bounded) => dispatchTest(testConfig, bounded));
+    }
+    return await dispatchTest(testConfig, context);
+  } catch (error) {
+    if (error && typeof error.message === 'string') {
+      error.message = context.secretStore.mask(error.message);
+    }
+    throw error;
+  } finally {
+    deactivate();
+  }
+}
+
+/**
+ * Parse a YAML test definition and validate it against the schema
+ * @param {string} yamlDefinition - The YAML string containing the test definition
+ * @returns {object} - The validated test definition
+ */
+function loadTestDefinition(yamlDefinition) {
   let testConfig;
   
   try {
@@ -85,25 +441,200 @@ async function executeTest(yamlDefinition) {
   const { validateTestDefinitions } = require('./validate');
   validateTestDefinitions([testConfig]);
 
+  return testConfig;
+}
+
+/**
+ * Render the variable templates of a test definition in one pass, so the
+ * executors below see final values everywhere: URLs, headers, params, bodies,
+ * command strings and env, namespaces, label selectors, kubectl contexts,
+ * JSONPaths and expected values.  A command string can also reference the
+ * variables of its own `env`; references to variables that are not set are
+ * left in it for the shell, so that shell variables ($i, awk's $NF) work.
+ * The values of secret variables it uses, of secret variables in a command's
+ * env and of secret request headers are registered for masking (see secrets.js).
+ * @param {object} testConfig - The validated test definition (modified in place)
+ * @param {object} [vars] - Variable values (see lookupVariable)
+ * @param {object} [options] - Options for renderTemplates (planTest keeps references to unset
+ *   variables), plus `secrets`: extra secret variable names and patterns, and `secretStore`:
+ *   the store secret values are registered in (see createSecretStore)
+ * @throws {Error} - When a referenced variable is not set, naming the field (except in command strings)
+ */
+function renderDefinition(testConfig, vars, options = {}) {
+  const { secrets, secretStore = createSecretStore(), ...renderOptions } = options;
+  const lookup = (name) => {
+    const value = lookupVariable(name, vars);
+    if (value !== undefined && isSecretName(name, secrets)) secretStore.register(value);
+    return value;
+  };
+  for (const section of TEMPLATE_SECTIONS) {
+    if (testConfig[section] === undefined) continue;
+    if (section === 'command') {
+      const { command, ...rest } = testConfig.command;
+      const rendered = renderTemplates(rest, lookup, renderOptions, 'command');
+      const env = rendered.env || {};
+      secretStore.registerVariables(env, secrets);
+      const commandLookup = (name) => (Object.prototype.hasOwnProperty.call(env, name) ? env[name] : lookup(name));
+      const commandOptions = { ...renderOptions, keepUndefined: true };
+      testConfig.command = { command: renderTemplates(command, commandLookup, commandOptions, 'command.command'), ...rendered };
+    } else {
+      testConfig[section] = renderTemplates(testConfig[section], lookup, renderOptions, section);
+    }
+  }
+
+  const comparison = testConfig.httpBodyComparison;
+  for (const request of [testConfig, comparison && comparison.request1, comparison && comparison.request2]) {
+    if (request && request.http) secretStore.registerHeaders(request.http.headers);
+  }
+}
+
+/**
+ * Work out what a test would do without doing it (dry run). The definition
+ * goes through the same resolution steps as its executor and the request it
+ * would send, plus every kubectl command line it would run, are returned.
+ * References to variables that are not set are left as written, since
+ * earlier tests may set them through setVars.
+ * Nothing is sent and no command runs, so values only known at run time
+ * appear as placeholders: <pod> for a pod looked up by label (the lookup
+ * command is listed first), <local-port> for a port-forward and
+ * loadbalancer-ip for a discovered Service address.
+ * @param {string} yamlDefinition - The YAML string containing the test definition
+ * @param {object} [context] - Optional context; its `vars`, `random`, `secrets` and `secretStore` are
+ *   used as in executeTest.  The plan itself is not masked (planTests masks it).
+ * @returns {{request: object|Array, commands: string[]}} - The resolved request
+ *   (an array of two for comparisons) and the kubectl command lines in order
+ */
+function planTest(yamlDefinition, context = {}) {
+  const test = loadTestDefinition(yamlDefinition);
+  renderDefinition(test, context.vars, {
+    keepUndefined: true,
+    random: context.random,
+    secrets: context.secrets,
+    secretStore: context.secretStore,
+  });
+  const commands = [];
+
+  if (test.http) {
+    if (!test.http.url && test.source.type === 'local' && test.source.selector && test.source.selector.kind === 'Service') {
+      commands.push(resourceJsonCommand(test.source.selector));
+      test.http.url = `${test.http.scheme || 'http'}://loadbalancer-ip`;
+    }
+    resolveHttpConfig(test.http);
+    return { request: planHttpRequest(test, commands), commands };
+  }
+
+  if (test.command) {
+    const commandConfig = test.command;
+    if (test.source.type === 'pod') {
+      commands.push(podExecCommand(test, commandConfig, plannedPodName(test.source.selector, commands)));
+    }
+    return {
+      request: {
+        command: commandConfig.command,
+        env: commandConfig.env || {},
+        workingDir: commandConfig.workingDir || null,
+      },
+      commands,
+    };
+  }
+
+  if (test.wait) {
+    commands.push(resourceJsonCommand(test.wait.target));
+    return { request: { command: commands[0], jsonPath: test.wait.jsonPath || null }, commands };
+  }
+
+  const { request1, request2 } = test.httpBodyComparison;
+  const request = [request1, request2].map((requestConfig) => planHttpRequest(requestConfig, commands));
+  return { request, commands };
+}
+
+/**
+ * The name a pod selector resolves to at run time: the given name, or
+ * <pod> after the lookup command, which is added to the planned commands
+ * @param {object} selector - The Kubernetes selector
+ * @param {string[]} commands - Planned command lines
+ * @returns {string} - The pod name or placeholder
+ */
+function plannedPodName(selector, commands) {
+  if (selector.metadata.name) {
+    return selector.metadata.name;
+  }
+  commands.push(podLookupCommand(selector));
+  return '<pod>';
+}
+
+/**
+ * Plan one resolved HTTP request (see planTest)
+ * @param {object} requestConfig - Object with the resolved http block and its source
+ * @param {string[]} commands - Planned command lines; kubectl commands are appended
+ * @returns {object} - The request as it would be sent
+ */
+function planHttpRequest(requestConfig, commands) {
+  const { http: httpConfig, source } = requestConfig;
+  const request = {
+    method: httpConfig.method,
+    url: httpConfig.url + (httpConfig.path || ''),
+    headers: httpConfig.headers || {},
+    ...(httpConfig.params ? { params: httpConfig.params } : {}),
+    ...(httpConfig.body !== undefined ? { body: httpConfig.body } : {}),
+  };
+  if (source.type !== 'pod') {
+    return request;
+  }
+
+  const selector = source.selector;
+  const namespace = selector.metadata.namespace;
+  const context = selector.context;
+  const podByLabels = () => {
+    commands.push(podByLabelsCommand(namespace, context, selector.metadata.labels));
+    return '<pod>';
+  };
+
+  if (source.usePortForward) {
+    const parsedUrl = new URL(httpConfig.url);
+    const targetPort = parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80);
+    const target = selector.metadata.name ? namedPortForwardTarget(selector) : podByLabels();
+    commands.push(`kubectl ${portForwardArgs(context, namespace, target, '<local-port>', targetPort).join(' ')}`);
+    request.url = `${parsedUrl.protocol}//localhost:<local-port>${httpConfig.path || ''}`;
+  } else if (source.usePodExec) {
+    const sourcePodName = selector.metadata.name
+      ? `${buildSelectorArgs(selector).kindArg}/${selector.metadata.name}`
+      : plannedPodName(selector, commands);
+    commands.push(podExecCurlCommand(requestConfig, sourcePodName));
+  } else {
+    const podName = selector.metadata.name || podByLabels();
+    commands.push(debugPodCommand(namespace, podName, '/tmp/pod-http-request-<timestamp>.js', context, source.container));
+  }
+
+  return request;
+}
+
+/**
+ * Dispatch a parsed test definition to the executor for its type
+ * @param {object} testConfig - The validated test definition
+ * @param {object} context - Execution context (see executeTest)
+ * @returns {Promise<boolean>}
+ */
+async function dispatchTest(testConfig, context) {
   // Dispatch to the appropriate test function based on what's defined
   if (testConfig.http) {
     debugLog('Detected HTTP test, dispatching to executeHttpTest');
-    return executeHttpTest(testConfig);
+    return executeHttpTest(testConfig, context);
   }
   
   if (testConfig.command) {
     debugLog('Detected command test, dispatching to executeCommandTest');
-    return executeCommandTest(testConfig);
+    return executeCommandTest(testConfig, context);
   }
   
   if (testConfig.wait) {
     debugLog('Detected wait test, dispatching to executeKubectlWait');
-    return executeKubectlWait(testConfig.wait, testConfig.setVars);
+    return executeKubectlWait(testConfig.wait, testConfig.setVars, context);
   }
   
   if (testConfig.httpBodyComparison) {
     debugLog('Detected HTTP body comparison test, dispatching to executeHttpBodyComparisonTest');
-    return executeHttpBodyComparisonTest(testConfig);
+    return executeHttpBodyComparisonTest(testConfig, context);
   }
 
   throw new Error('Unknown test type: test definition must contain one of: http, command, wait, httpBodyComparison');
@@ -120,50 +651,64 @@ function getValueAtPath(obj, pathArray) {
 }
 
 /**
- * Format differences into a human-readable string for HTTP body comparison
+ * Group the differences between two bodies into the entries reported for a
+ * failed HTTP body comparison.  Edits, additions and deletions are kept as
+ * deep-diff reports them; the changes to the items of an array become one
+ * entry holding the array before and after, and the changes inside it are
+ * left out.
  * @param {Array} differences - Array of differences from deep-diff
  * @param {object} body1 - The first body (previous)
  * @param {object} body2 - The second body (current)
- * @returns {string} - Formatted difference string
+ * @returns {Array<{path: Array<string|number>, kind: string, lhs?: any, rhs?: any, items?: Array<{index: number, kind: string, lhs?: any, rhs?: any}>}>}
  */
-function formatHttpBodyDifferences(differences, body1, body2) {
-  let output = '';
-  const handledArrayPaths = new Set();
+function bodyDifferenceEntries(differences, body1, body2) {
+  const sides = (d) => ({
+    ...('lhs' in d ? { lhs: d.lhs } : {}),
+    ...('rhs' in d ? { rhs: d.rhs } : {}),
+  });
+  const isWithin = (path, arrayPath) => arrayPath.every((key, i) => path[i] === key);
 
+  const entries = [];
+  const arrays = [];
   differences.forEach(d => {
-    const path = d.path.join('.');
+    const path = d.path || [];
     if (d.kind === 'A') {
-      const arrayPath = d.path.join('.');
-      if (!handledArrayPaths.has(arrayPath)) {
-        const beforeArray = getValueAtPath(body1, d.path);
-        const afterArray = getValueAtPath(body2, d.path);
-
-        output += `• ${arrayPath}:\n\nBefore:\n${yaml.dump(beforeArray).trim().split('\n').join('\n')}\nAfter:\n${yaml.dump(afterArray).trim().split('\n').join('\n')}\n\n`;
-        handledArrayPaths.add(arrayPath);
-      }
-    } else {
-      // Check if this change is part of an already handled array
-      const isPartOfHandledArray = Array.from(handledArrayPaths).some(arrayPath => path.startsWith(arrayPath));
-
-      if (!isPartOfHandledArray) {
-        switch (d.kind) {
-          case 'E': // Edit
-            output += `• ${path}: ${JSON.stringify(d.lhs)} => ${JSON.stringify(d.rhs)}\n`;
-            break;
-          case 'N': // New
-            output += `• ${path}: Added ${JSON.stringify(d.rhs)}\n`;
-            break;
-          case 'D': // Deleted
-            output += `• ${path}: Removed ${JSON.stringify(d.lhs)}\n`;
-            break;
-          default:
-            output += `• ${path}: Changed\n`;
-        }
+      let array = arrays.find(entry => entry.path.length === path.length && isWithin(path, entry.path));
+      if (!array) {
+        array = { path, kind: 'A', lhs: getValueAtPath(body1, path), rhs: getValueAtPath(body2, path), items: [] };
+        arrays.push(array);
+        entries.push(array);
       }
+      array.items.push({ index: d.index, kind: d.item.kind, ...sides(d.item) });
+    } else if (!arrays.some(array => isWithin(path, array.path))) {
+      entries.push({ path, kind: d.kind, ...sides(d) });
     }
   });
 
-  return output;
+  return entries;
+}
+
+/**
+ * Format differences into a human-readable string for HTTP body comparison
+ * @param {Array} entries - Differences grouped by bodyDifferenceEntries
+ * @returns {string} - Formatted difference string
+ */
+function formatHttpBodyDifferences(entries) {
+  return entries.map(({ path, kind, lhs, rhs }) => {
+    const name = path.join('.');
+    switch (kind) {
+      case 'A': // Array items added or removed
+        return `• ${name}:\n\nBefore:\n${yaml.dump(lhs).trim()}\nAfter:\n${yaml.dump(rhs).trim()}\n\n`;
+      case 'E': // Edit
+        return `• ${name}: ${JSON.stringify(lhs)} => ${JSON.stringify(rhs)}\n`;
+      case 'N': // New
+        return `• ${name}: Added ${JSON.stringify(rhs)}\n`;
+      case 'D': // Deleted
+        return `• ${name}: Removed ${JSON.stringify(lhs)}\n`;
+      default:
+        return `• ${name}: Changed\n`;
+    }
+  }).join('');
 }
 
 /**
@@ -275,9 +820,24 @@ function deepCompare(obj1, obj2) {
 
 /**
  * Sleep function for async/await
+ * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} [signal] - Rejects early with the signal's reason when aborted
  */
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+async function sleep(ms, signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 /**
@@ -353,27 +913,62 @@ function compareValue(actual, comparison, description = 'Value') {
 }
 
 /**
- * Resolve environment variables in a URL
- * @param {*} url
- * @returns
+ * Describe a comparison configuration for assertion reports, e.g. "not contains \"x\""
+ * @param {object} comparison - The comparison configuration ({ comparator, value, negate })
+ * @returns {string} - Short description of the comparison
  */
-function resolveEnvVarsInString(value) {
-  return value.replace(/\$\{?([A-Z_][A-Z0-9_]*)\}?/gi, (match, varName) => {
-    const resolved = process.env[varName];
-    if (resolved === undefined) {
-      console.warn(`Warning: Environment variable ${varName} is not set`);
-      return match;
-    }
-    return resolved;
-  });
+function describeComparison(comparison) {
+  const operation = comparison.negate ? `not ${comparison.comparator}` : comparison.comparator;
+  return comparison.comparator !== 'exists' ? `${operation} ${JSON.stringify(comparison.value)}` : operation;
+}
+
+/**
+ * Look up the value of a variable: `vars` (values passed to the run with
+ * --var / --env-file / the vars option, plus those captured by setVars)
+ * take precedence over process.env
+ * @param {string} name - The variable name
+ * @param {object} [vars] - Variable values
+ * @returns {*} - The value (any JSON type for values in `vars`), or undefined when the variable is not set
+ */
+function lookupVariable(name, vars = {}) {
+  return Object.prototype.hasOwnProperty.call(vars, name) ? vars[name] : process.env[name];
+}
+
+/**
+ * The text of a variable value, as substituted into a longer string or
+ * exported to the environment: strings as-is, other values as JSON
+ * @param {*} value - The variable value
+ * @returns {string}
+ */
+function stringifyVariable(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
 }
 
-function resolveEnvVarsInUrl(url) {
-  return resolveEnvVarsInString(url);
+/**
+ * Collect the names of all variables referenced in any string nested inside
+ * a value (see templateVariables)
+ * @param {any} value - A string, array or object to scan
+ * @param {Set<string>} [names] - Set to add the names to
+ * @returns {Set<string>} - The referenced variable names
+ */
+function collectVariableReferences(value, names = new Set()) {
+  if (typeof value === 'string') {
+    templateVariables(value).forEach((name) => names.add(name));
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectVariableReferences(item, names));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((item) => collectVariableReferences(item, names));
+  }
+  return names;
 }
 
 /**
- * Apply setVars rules to extract values from test response data and store them in process.env.
+ * Apply setVars rules to extract values from test response data and store them in the variable
+ * store of the run (the context's `vars`).  Values keep their JSON type; strings are trimmed.
+ * A rule marked `export: true` also sets the value in process.env (as text, see stringifyVariable),
+ * and without a variable store (the single-test API) every value goes to process.env.
+ * A rule marked `secret: true`, or capturing a variable with a secret name (see secrets.js), has its
+ * value registered in the context's `secretStore`, which masks it in logs, errors and reports from then on.
  *
  * Supported extraction sources by test type:
  *
@@ -384,8 +979,10 @@ function resolveEnvVarsInUrl(url) {
  * @param {object} setVars - Map of variable names to extraction rules
  * @param {object} data    - The response/result data from the test execution
  * @param {string} testType - One of 'http', 'command', 'wait'
+ * @param {object} [context] - Optional execution context with the variable store (`vars`);
+ *   captured values are also recorded on its report
  */
-function applySetVars(setVars, data, testType) {
+function applySetVars(setVars, data, testType, context) {
   if (!setVars || typeof setVars !== 'object') return;
 
   for (const [varName, rule] of Object.entries(setVars)) {
@@ -490,9 +1087,22 @@ function applySetVars(setVars, data, testType) {
       throw new Error(`setVars "${varName}": extracted value is null or undefined`);
     }
 
-    const strValue = typeof value === 'string' ? value : JSON.stringify(value);
-    process.env[varName] = strValue.trim();
-    debugLog(`setVars: ${varName}=${strValue}`);
+    const stored = typeof value === 'string' ? value.trim() : value;
+    const secretStore = context && context.secretStore;
+    if (secretStore && (rule.secret || isSecretName(varName, context.secrets))) {
+      secretStore.register(stored);
+    }
+    const store = context && context.vars;
+    if (store) {
+      store[varName] = stored;
+    }
+    if (!store || rule.export) {
+      process.env[varName] = stringifyVariable(stored).trim();
+    }
+    if (context && context.report) {
+      context.report.vars = { ...context.report.vars, [varName]: stored };
+    }
+    debugLog(`setVars: ${varName}=${stringifyVariable(stored)}`);
   }
 }
 
@@ -500,22 +1110,20 @@ function applySetVars(setVars, data, testType) {
  * Discover the LoadBalancer IP and port for a Kubernetes service
  * @param {object} selector - The Kubernetes selector for the service
  * @param {number|string} portSpec - Optional port specification (port number, name, or index)
+ * @param {object} [context] - Optional execution context (see executeTest)
  * @returns {Promise<object>} - Object with { ip, port } properties
  */
-async function discoverServiceLoadBalancerIpAndPort(selector, portSpec) {
+async function discoverServiceLoadBalancerIpAndPort(selector, portSpec, context) {
   if (!selector || selector.kind !== 'Service') {
     throw new Error('Selector must be of kind "Service" for LoadBalancer IP discovery');
   }
 
-  const selectorArgs = buildSelectorArgs(selector);
-  const { kindArg, namespaceArg, selectorArg, contextArg } = selectorArgs;
-
   // Build kubectl command to get the service in JSON format
-  const cmd = `kubectl ${contextArg} ${namespaceArg} get ${kindArg} ${selectorArg} -o json`;
+  const cmd = resourceJsonCommand(selector);
   debugLog(`Discovering LoadBalancer IP and port: ${cmd}`);
 
   try {
-    const result = execSync(cmd, { encoding: 'utf8' });
+    const result = await execWithin(cmd, context);
     const service = JSON.parse(result);
 
     // Extract LoadBalancer IP
@@ -579,10 +1187,11 @@ async function discoverServiceLoadBalancerIpAndPort(selector, portSpec) {
 
 /**
  * HTTP test executor - throws on failure following Mocha conventions
- * @param {object} test - The test configuration
+ * @param {object} test - The test configuration, with its variables rendered (see renderDefinition)
+ * @param {object} [context] - Optional execution context (see executeTest)
  * @returns {Promise<void>} - Promise resolving when test passes, rejecting when it fails
  */
-async function executeHttpTest(test) {
+async function executeHttpTest(test, context = {}) {
   if (!test.http) {
     throw new Error('HTTP configuration missing for HTTP test');
   }
@@ -595,41 +1204,13 @@ async function executeHttpTest(test) {
   // Auto-discover LoadBalancer IP and port if URL is not set, source type is local, and kind is Service
   if (!test.http.url && test.source.type === 'local' && test.source.selector && test.source.selector.kind === 'Service') {
     debugLog('Auto-discovering LoadBalancer IP and port for Service');
-    const { ip, port } = await discoverServiceLoadBalancerIpAndPort(test.source.selector, test.http.port);
+    const { ip, port } = await discoverServiceLoadBalancerIpAndPort(test.source.selector, test.http.port, context);
     const scheme = test.http.scheme || 'http';
     test.http.url = `${scheme}://${ip}:${port}`;
     debugLog(`Auto-discovered URL: ${test.http.url}`);
   }
 
-  test.http.url = resolveEnvVarsInUrl(test.http.url);// Resolve environment variables in URL
-  test.http.method = test.http.method || 'GET';
-
-  // If the url contains a path component (beyond '/'), extract it and prepend it to the explicit
-  // path field so that both forms below are equivalent:
-  //   form 1:  url: "http://host:80"    path: /post
-  //   form 2:  url: "http://host:80/post"              (no explicit path)
-  if (test.http.url) {
-    const parsedUrl = new URL(test.http.url);
-    const urlPath = parsedUrl.pathname + (parsedUrl.search || '');
-    if (urlPath && urlPath !== '/') {
-      // Strip the path/query from the base url
-      test.http.url = `${parsedUrl.protocol}//${parsedUrl.host}`;
-      // Prepend the extracted path to any explicit path (avoid double slashes)
-      const explicitPath = test.http.path || '';
-      test.http.path = urlPath.replace(/\/$/, '') + (explicitPath ? (explicitPath.startsWith('/') ? explicitPath : '/' + explicitPath) : '');
-    }
-  }
-
-  test.http.path = test.http.path || '/';
-
-  // Resolve environment variables in headers
-  if (test.http.headers && typeof test.http.headers === 'object') {
-    for (const [key, value] of Object.entries(test.http.headers)) {
-      if (typeof value === 'string') {
-        test.http.headers[key] = resolveEnvVarsInString(value);
-      }
-    }
-  }
+  resolveHttpConfig(test.http);
 
   // Create a descriptive test name
   let testName = `${test.http.method} ${test.http.url}${test.http.path}`;
@@ -637,6 +1218,8 @@ async function executeHttpTest(test) {
     testName += ` (via pod ${test.source.selector.metadata.namespace || 'default'}/${test.source.selector.metadata.name || '<selector>'})`;
   }
 
+  recordDetails(context, { request: recordedRequest(test.http) });
+
   try {
     debugLog(`Executing HTTP test: ${testName}`);
     debugLog(`Request details: ${JSON.stringify({
@@ -652,14 +1235,14 @@ async function executeHttpTest(test) {
 
     if (test.source.type === 'local') {
       debugLog('Using local HTTP client');
-      response = await executeLocalHttpRequest(test.http);
+      response = await executeLocalHttpRequest(test.http, context);
     } else if (test.source.type === 'pod') {
       if (!test.source.selector) {
         throw new Error('Kubernetes selector is required for pod-based tests');
       }
 
       debugLog(`Using kubectl debug to access pod ${JSON.stringify(test.source.selector)}`);
-      response = await executePodHttpRequest(test);
+      response = await executePodHttpRequest(test, context);
     } else {
       throw new Error(`Unsupported source type: ${test.source.type}`);
     }
@@ -671,12 +1254,20 @@ async function executeHttpTest(test) {
       body: response.body
     }, null, 2)}`);
 
+    recordDetails(context, {
+      response: {
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: response.body,
+      },
+    });
+
     // Validate expectations - this will throw if validation fails
-    validateHttpExpectations(response, test.expect, testName);
+    validateHttpExpectations(response, test.expect, testName, context);
 
     // Apply setVars after successful validation
     if (test.setVars) {
-      applySetVars(test.setVars, response, 'http');
+      applySetVars(test.setVars, response, 'http', context);
     }
 
     debugLog(`Test passed: ${testName}`);
@@ -688,12 +1279,43 @@ async function executeHttpTest(test) {
   return true;
 }
 
+/**
+ * Resolve an HTTP test's request in place: the default method and a path
+ * embedded in the URL (variables are already rendered, see renderDefinition)
+ * @param {object} httpConfig - The test's http block
+ * @returns {object} - The same http block
+ */
+function resolveHttpConfig(httpConfig) {
+  httpConfig.method = httpConfig.method || 'GET';
+
+  // If the url contains a path component (beyond '/'), extract it and prepend it to the explicit
+  // path field so that both forms below are equivalent:
+  //   form 1:  url: "http://host:80"    path: /post
+  //   form 2:  url: "http://host:80/post"              (no explicit path)
+  if (httpConfig.url) {
+    const parsedUrl = new URL(httpConfig.url);
+    const urlPath = parsedUrl.pathname + (parsedUrl.search || '');
+    if (urlPath && urlPath !== '/') {
+      // Strip the path/query from the base url
+      httpConfig.url = `${parsedUrl.protocol}//${parsedUrl.host}`;
+      // Prepend the extracted path to any explicit path (avoid double slashes)
+      const explicitPath = httpConfig.path || '';
+      httpConfig.path = urlPath.replace(/\/$/, '') + (explicitPath ? (explicitPath.startsWith('/') ? explicitPath : '/' + explicitPath) : '');
+    }
+  }
+
+  httpConfig.path = httpConfig.path || '/';
+
+  return httpConfig;
+}
+
 /**
  * Execute an HTTP request locally
  * @param {object} httpConfig - The HTTP request configuration
+ * @param {object} [context] - Optional execution context; its `signal` aborts the request
  * @returns {Promise<object>} - The response object
  */
-async function executeLocalHttpRequest(httpConfig) {
+async function executeLocalHttpRequest(httpConfig, context = {}) {
   debugLog(`Executing local HTTP request: ${httpConfig.method} ${httpConfig.url}${httpConfig.path}`);
 
   // Configure HTTPS Agent with certificates if provided
@@ -754,6 +1376,7 @@ async function executeLocalHttpRequest(httpConfig) {
       maxRedirects: httpConfig.maxRedirects || 0,
       data: httpConfig.body,
       httpsAgent,
+      signal: context.signal,
       validateStatus: () => true // Don't throw error on non-2xx status codes
     });
 
@@ -773,9 +1396,10 @@ async function executeLocalHttpRequest(httpConfig) {
 /**
  * Execute an HTTP request from within a Kubernetes pod
  * @param {object} test - The test configuration
+ * @param {object} [context] - Optional execution context (see executeTest)
  * @returns {Promise<object>} - The response object
  */
-async function executePodHttpRequest(test) {
+async function executePodHttpRequest(test, context) {
   if (!test.source.selector || !test.http) {
     throw new Error('Kubernetes selector and HTTP configuration are required for pod tests');
   }
@@ -783,13 +1407,13 @@ async function executePodHttpRequest(test) {
   // Check if port-forward mode is requested
   if (test.source.usePortForward) {
     debugLog('Using port-forward mode for pod HTTP request');
-    return executePodHttpRequestViaPortForward(test);
+    return executePodHttpRequestViaPortForward(test, context);
   }
 
   // Check if pod-exec mode is requested
   if (test.source.usePodExec) {
     debugLog('Using pod-exec mode for pod HTTP request');
-    return executePodHttpRequestViaPodExec(test);
+    return executePodHttpRequestViaPodExec(test, context);
   }
 
   const selector = test.source.selector;
@@ -803,7 +1427,8 @@ async function executePodHttpRequest(test) {
     const stdout = await debugPodWithHttpRequest(
       { ...selector, kind: 'Pod' }, // Ensure kind is set to Pod
       httpConfig,
-      container
+      container,
+      context
     );
 
     debugLog(`Debug output raw length: ${stdout.length} bytes`);
@@ -840,17 +1465,47 @@ async function executePodHttpRequest(test) {
   }
 }
 
+/**
+ * The port-forward target of a selector that names its resource: the plain
+ * name for pods, kind/name for other resources (deployment/, service/, etc.)
+ * @param {object} selector - The Kubernetes selector
+ * @returns {string} - The port-forward target
+ */
+function namedPortForwardTarget(selector) {
+  const kind = selector.kind ? selector.kind.toLowerCase() : 'pod';
+  return kind === 'pod' ? selector.metadata.name : `${kind}/${selector.metadata.name}`;
+}
+
+/**
+ * Build the kubectl port-forward command arguments
+ * @param {string} context - Optional Kubernetes context
+ * @param {string} namespace - The namespace of the target
+ * @param {string} target - The port-forward target (see namedPortForwardTarget)
+ * @param {number|string} localPort - The local port
+ * @param {number|string} targetPort - The remote port
+ * @returns {string[]} - Arguments for kubectl
+ */
+function portForwardArgs(context, namespace, target, localPort, targetPort) {
+  const args = [];
+  if (context) {
+    args.push(`--context=${context}`);
+  }
+  args.push('-n', namespace, 'port-forward', target, `${localPort}:${targetPort}`);
+  return args;
+}
+
 /**
  * Execute an HTTP request via kubectl port-forward
  * This avoids creating ephemeral containers and is more reliable for repeated calls
  * @param {object} test - The test configuration
+ * @param {object} [executionContext] - Optional execution context; its `signal` stops the port-forward
  * @returns {Promise<object>} - The response object
  */
-async function executePodHttpRequestViaPortForward(test) {
+async function executePodHttpRequestViaPortForward(test, executionContext = {}) {
   const selector = test.source.selector;
   const httpConfig = test.http;
   const namespace = selector.metadata.namespace;
-  const context = selector.context ? resolveEnvVarsInString(selector.context) : selector.context;
+  const context = selector.context;
 
   // Parse the URL to extract the target port
   const url = require('url');
@@ -862,24 +1517,18 @@ async function executePodHttpRequestViaPortForward(test) {
   // Find the resource to port-forward to
   // kubectl port-forward supports: pod/name, deployment/name, service/name, etc.
   let portForwardTarget;
-  const kind = selector.kind ? selector.kind.toLowerCase() : 'pod';
-  
+
   if (selector.metadata.name) {
-    // Use the kind prefix for non-pod resources (deployment/, service/, etc.)
-    if (kind === 'pod') {
-      portForwardTarget = selector.metadata.name;
-    } else {
-      portForwardTarget = `${kind}/${selector.metadata.name}`;
-    }
+    portForwardTarget = namedPortForwardTarget(selector);
     debugLog(`Using port-forward target: ${portForwardTarget}`);
   } else if (selector.metadata.labels && Object.keys(selector.metadata.labels).length > 0) {
     // For label selectors, we need to find an actual pod name
     const labelSelector = labelsToSelectorString(selector.metadata.labels);
-    const getPodCmd = `kubectl ${context ? `--context=${context}` : ''} -n ${namespace} get pods -l ${labelSelector} -o jsonpath='{.items[0].metadata.name}'`;
+    const getPodCmd = podByLabelsCommand(namespace, context, selector.metadata.labels);
     debugLog(`Pod finder command: ${getPodCmd}`);
 
     try {
-      const podOutput = execSync(getPodCmd, { encoding: 'utf8' });
+      const podOutput = await execWithin(getPodCmd, executionContext);
       portForwardTarget = podOutput.trim().replace(/^'|'$/g, '');
     } catch (e) {
       throw new Error(`Failed to find pod with labels ${labelSelector} in namespace ${namespace}: ${e.message}`);
@@ -898,19 +1547,19 @@ async function executePodHttpRequestViaPortForward(test) {
   const localPort = await findFreePort();
   debugLog(`Using local port ${localPort} for port-forward to ${targetPort}`);
 
-  // Build port-forward command arguments
-  const args = [];
-  if (context) {
-    args.push(`--context=${context}`);
-  }
-  args.push('-n', namespace, 'port-forward', portForwardTarget, `${localPort}:${targetPort}`);
+  const args = portForwardArgs(context, namespace, portForwardTarget, localPort, targetPort);
 
   debugLog(`Starting port-forward: kubectl ${args.join(' ')}`);
 
   // Start port-forward process
-  const portForward = spawn('kubectl', args, {
+  const portForward = trackProcess(spawn('kubectl', args, {
     stdio: ['ignore', 'pipe', 'pipe']
-  });
+  }));
+
+  // Tear the port-forward down as soon as the test times out or is interrupted
+  const { signal } = executionContext;
+  const stopPortForward = () => portForward.kill('SIGTERM');
+  if (signal) signal.addEventListener('abort', stopPortForward, { once: true });
 
   let portForwardReady = false;
   let portForwardError = null;
@@ -965,7 +1614,7 @@ async function executePodHttpRequestViaPortForward(test) {
     debugLog('Port-forward is ready');
 
     // Small delay to ensure port-forward is fully established
-    await sleep(100);
+    await sleep(100, signal);
 
     // Modify the URL to use localhost with the forwarded port
     const localUrl = `${parsedUrl.protocol}//localhost:${localPort}`;
@@ -977,7 +1626,7 @@ async function executePodHttpRequestViaPortForward(test) {
     debugLog(`Executing local HTTP request to ${localUrl}${httpConfig.path}`);
 
     // Execute the request locally
-    const response = await executeLocalHttpRequest(modifiedHttpConfig);
+    const response = await executeLocalHttpRequest(modifiedHttpConfig, executionContext);
 
     debugLog('Successfully executed HTTP request via port-forward');
     return response;
@@ -985,6 +1634,7 @@ async function executePodHttpRequestViaPortForward(test) {
   } finally {
     // Clean up port-forward process
     debugLog('Cleaning up port-forward process');
+    if (signal) signal.removeEventListener('abort', stopPortForward);
     try {
       portForward.kill('SIGTERM');
       // Give it a moment to clean up gracefully
@@ -1001,9 +1651,10 @@ async function executePodHttpRequestViaPortForward(test) {
 /**
  * Execute an HTTP request via kubectl exec from a pod using curl
  * @param {object} test - The test configuration
+ * @param {object} [context] - Optional execution context (see executeTest)
  * @returns {Promise<object>} - The response object
  */
-async function executePodHttpRequestViaPodExec(test) {
+async function executePodHttpRequestViaPodExec(test, context) {
   const sourceSelector = test.source.selector;
   const httpConfig = test.http;
 
@@ -1015,17 +1666,16 @@ async function executePodHttpRequestViaPodExec(test) {
 
   try {
     // Get source pod name
-    const sourceSelectorArgs = buildSelectorArgs(sourceSelector);
-    const { kindArg: sourceKindArg, namespaceArg: sourceNamespaceArg, selectorArg: sourceSelectorArg, contextArg: sourceContextArg } = sourceSelectorArgs;
+    const { kindArg: sourceKindArg } = buildSelectorArgs(sourceSelector);
 
     let sourcePodName;
     if (sourceSelector.metadata.name) {
       sourcePodName = `${sourceKindArg}/${sourceSelector.metadata.name}`;
     } else {
-      const getSourcePodCmd = `kubectl ${sourceContextArg} ${sourceNamespaceArg} get ${sourceKindArg} ${sourceSelectorArg} -o jsonpath='{.items[0].metadata.name}'`;
+      const getSourcePodCmd = podLookupCommand(sourceSelector);
       debugLog(`Getting source pod name: ${getSourcePodCmd}`);
       try {
-        const result = execSync(getSourcePodCmd, { encoding: 'utf8' });
+        const result = await execWithin(getSourcePodCmd, context);
         sourcePodName = result.trim();
         if (!sourcePodName) {
           throw new Error('No source pod found matching the selector');
@@ -1035,71 +1685,12 @@ async function executePodHttpRequestViaPodExec(test) {
       }
     }
 
-    // Construct the curl command - use -i to include headers in response
-    let curlCmd = `curl -s -i -w '\\n---RESPONSE_END---\\n'`;
-
-    // Add method if not GET
-    if (httpConfig.method && httpConfig.method.toUpperCase() !== 'GET') {
-      curlCmd += ` -X ${httpConfig.method.toUpperCase()}`;
-    }
-
-    // Add headers
-    if (httpConfig.headers) {
-      Object.entries(httpConfig.headers).forEach(([key, value]) => {
-        curlCmd += ` -H '${key}: ${value}'`;
-      });
-    }
-
-    // Add request body if present
-    if (httpConfig.body) {
-      const bodyData = typeof httpConfig.body === 'string' ? httpConfig.body : JSON.stringify(httpConfig.body);
-      curlCmd += ` -d '${bodyData.replace(/'/g, "\\'")}'`;
-    }
-
-    // Add skip SSL verification if requested
-    if (httpConfig.skipSslVerification) {
-      curlCmd += ' -k';
-    }
-
-    // Construct the target URL - use the http.url directly like local requests
-    let targetUrl = httpConfig.url;
-    if (httpConfig.path) {
-      targetUrl += httpConfig.path;
-    }
-
-    // If the URL is an IP address and a Host header is set, use --resolve so curl
-    // uses the hostname for TLS SNI — matching how axios behaves for local requests.
-    const parsedTargetUrl = new URL(targetUrl);
-    const hostHeader = httpConfig.headers && Object.entries(httpConfig.headers).find(
-      ([k]) => k.toLowerCase() === 'host'
-    );
-    const urlHostIsIp = net.isIP(parsedTargetUrl.hostname) !== 0;
-    if (urlHostIsIp && hostHeader) {
-      const sniHostname = hostHeader[1];
-      const originalIp = parsedTargetUrl.hostname;
-      const port = parsedTargetUrl.port || (parsedTargetUrl.protocol === 'https:' ? '443' : '80');
-      // Rewrite the URL to use the hostname so curl sends SNI correctly
-      parsedTargetUrl.hostname = sniHostname;
-      parsedTargetUrl.port = port;
-      targetUrl = parsedTargetUrl.toString();
-      // --resolve maps hostname:port to the original IP so the connection still goes to the right place
-      curlCmd += ` --resolve '${sniHostname}:${port}:${originalIp}'`;
-      debugLog(`Added --resolve for SNI: ${sniHostname}:${port}:${originalIp}`);
-    }
-
-    curlCmd += ` '${targetUrl}'`;
-
-    // Build kubectl exec command
-    let kubectlCmd = `kubectl ${sourceContextArg} ${sourceNamespaceArg} exec ${sourcePodName}`;
-    if (test.source.container) {
-      kubectlCmd += ` -c ${test.source.container}`;
-    }
-    kubectlCmd += ` -- sh -c "${curlCmd}"`;
+    const kubectlCmd = podExecCurlCommand(test, sourcePodName);
 
     debugLog(`Executing curl via pod-exec: ${kubectlCmd}`);
 
     try {
-      const stdout = execSync(kubectlCmd, { encoding: 'utf8' });
+      const stdout = await execWithin(kubectlCmd, context);
       debugLog(`Pod-exec curl command completed successfully`);
       debugLog(`Raw output: ${stdout}`);
 
@@ -1125,6 +1716,8 @@ async function executePodHttpRequestViaPodExec(test) {
       return response;
 
     } catch (error) {
+      // A timed-out curl has no response to report
+      if (error.code === 'ETESTTIMEOUT') throw error;
       debugLog(`Pod-exec curl command failed: ${error.message}`);
 
       // Try to parse response from stdout even on error
@@ -1172,6 +1765,81 @@ async function executePodHttpRequestViaPodExec(test) {
   }
 }
 
+/**
+ * Build the kubectl exec command that runs an HTTP request with curl from a
+ * source pod (see executePodHttpRequestViaPodExec)
+ * @param {object} test - The test configuration
+ * @param {string} sourcePodName - The pod (kind/name) to exec into
+ * @returns {string} - The kubectl command line
+ */
+function podExecCurlCommand(test, sourcePodName) {
+  const httpConfig = test.http;
+
+  // Construct the curl command - use -i to include headers in response
+  let curlCmd = `curl -s -i -w '\\n---RESPONSE_END---\\n'`;
+
+  // Add method if not GET
+  if (httpConfig.method && httpConfig.method.toUpperCase() !== 'GET') {
+    curlCmd += ` -X ${httpConfig.method.toUpperCase()}`;
+  }
+
+  // Add headers
+  if (httpConfig.headers) {
+    Object.entries(httpConfig.headers).forEach(([key, value]) => {
+      curlCmd += ` -H '${key}: ${value}'`;
+    });
+  }
+
+  // Add request body if present
+  if (httpConfig.body) {
+    const bodyData = typeof httpConfig.body === 'string' ? httpConfig.body : JSON.stringify(httpConfig.body);
+    curlCmd += ` -d '${bodyData.replace(/'/g, "\\'")}'`;
+  }
+
+  // Add skip SSL verification if requested
+  if (httpConfig.skipSslVerification) {
+    curlCmd += ' -k';
+  }
+
+  // Construct the target URL - use the http.url directly like local requests
+  let targetUrl = httpConfig.url;
+  if (httpConfig.path) {
+    targetUrl += httpConfig.path;
+  }
+
+  // If the URL is an IP address and a Host header is set, use --resolve so curl
+  // uses the hostname for TLS SNI — matching how axios behaves for local requests.
+  const parsedTargetUrl = new URL(targetUrl);
+  const hostHeader = httpConfig.headers && Object.entries(httpConfig.headers).find(
+    ([k]) => k.toLowerCase() === 'host'
+  );
+  const urlHostIsIp = net.isIP(parsedTargetUrl.hostname) !== 0;
+  if (urlHostIsIp && hostHeader) {
+    const sniHostname = hostHeader[1];
+    const originalIp = parsedTargetUrl.hostname;
+    const port = parsedTargetUrl.port || (parsedTargetUrl.protocol === 'https:' ? '443' : '80');
+    // Rewrite the URL to use the hostname so curl sends SNI correctly
+    parsedTargetUrl.hostname = sniHostname;
+    parsedTargetUrl.port = port;
+    targetUrl = parsedTargetUrl.toString();
+    // --resolve maps hostname:port to the original IP so the connection still goes to the right place
+    curlCmd += ` --resolve '${sniHostname}:${port}:${originalIp}'`;
+    debugLog(`Added --resolve for SNI: ${sniHostname}:${port}:${originalIp}`);
+  }
+
+  curlCmd += ` '${targetUrl}'`;
+
+  // Build kubectl exec command
+  const { namespaceArg: sourceNamespaceArg, contextArg: sourceContextArg } = buildSelectorArgs(test.source.selector);
+  let kubectlCmd = `kubectl ${sourceContextArg} ${sourceNamespaceArg} exec ${sourcePodName}`;
+  if (test.source.container) {
+    kubectlCmd += ` -c ${test.source.container}`;
+  }
+  kubectlCmd += ` -- sh -c "${curlCmd}"`;
+
+  return kubectlCmd;
+}
+
 /**
  * Parse curl response output with headers (-i flag)
  * @param {string} curlOutput - Raw curl output
@@ -1236,15 +1904,16 @@ function parseCurlResponse(curlOutput) {
  * @param {object} selector - The Kubernetes selector
  * @param {object} httpConfig - The HTTP configuration
  * @param {string} container - Optional target container name
+ * @param {object} [executionContext] - Optional execution context (see executeTest)
  * @returns {Promise<string>} - The command output
  */
-async function debugPodWithHttpRequest(selector, httpConfig, container) {
+async function debugPodWithHttpRequest(selector, httpConfig, container, executionContext) {
   if (!selector.metadata.namespace) {
     throw new Error('Namespace is required in the Kubernetes selector');
   }
 
   const namespace = selector.metadata.namespace;
-  const context = selector.context ? resolveEnvVarsInString(selector.context) : selector.context;
+  const context = selector.context;
 
   try {
     // Get a human-readable resource description for logs
@@ -1262,11 +1931,11 @@ async function debugPodWithHttpRequest(selector, httpConfig, container) {
     else if (selector.metadata.labels && Object.keys(selector.metadata.labels).length > 0) {
       // Build kubectl command to get pod name
       const labelSelector = labelsToSelectorString(selector.metadata.labels);
-      const getPodCmd = `kubectl ${context ? `--context=${context}` : ''} -n ${namespace} get pods -l ${labelSelector} -o jsonpath='{.items[0].metadata.name}'`;
+      const getPodCmd = podByLabelsCommand(namespace, context, selector.metadata.labels);
       debugLog(`Pod finder command: ${getPodCmd}`);
 
       try {
-        const podOutput = execSync(getPodCmd, { encoding: 'utf8' });
+        const podOutput = await execWithin(getPodCmd, executionContext);
         podName = podOutput.trim().replace(/^'|'$/g, ''); // Remove any quotes
       } catch (e) {
         throw new Error(`Failed to find pod with labels ${labelSelector} in namespace ${namespace}: ${e.message}`);
@@ -1286,13 +1955,15 @@ async function debugPodWithHttpRequest(selector, httpConfig, container) {
     const script = createHttpRequestScript(httpConfig);
 
     fs.writeFileSync(tempScriptPath, script, 'utf8');
+    activeTempFiles.add(tempScriptPath);
     debugLog(`Created temporary script at ${tempScriptPath}`);
 
     try {
       // Execute debug command on the found pod with the script
-      return await debugPodWithScript(namespace, podName, tempScriptPath, context, container);
+      return await debugPodWithScript(namespace, podName, tempScriptPath, context, container, executionContext);
     } finally {
       // Clean up the temporary file
+      activeTempFiles.delete(tempScriptPath);
       try {
         fs.unlinkSync(tempScriptPath);
         debugLog(`Removed temporary script ${tempScriptPath}`);
@@ -1415,48 +2086,62 @@ debugLog("Request sent, waiting for response...");
 }
 
 /**
- * Execute a kubectl debug command on a pod with the provided script
+ * Build the kubectl debug command that runs a script in an ephemeral
+ * container of a pod (see debugPodWithScript)
  * @param {string} namespace - The namespace of the pod
  * @param {string} podName - The name of the pod
- * @param {string} scriptPath - Path to the script file
+ * @param {string} scriptPath - Path to the local script file
  * @param {string} context - Optional Kubernetes context
  * @param {string} container - Optional target container name
- * @returns {Promise<string>} - The command output
+ * @returns {string} - The kubectl command line
  */
-async function debugPodWithScript(namespace, podName, scriptPath, context, container) {
-  try {
-    debugLog(`Debugging pod ${namespace}/${podName} to execute HTTP request`);
-
-    // Copy the script to the pod using kubectl cp
-    const tempPodScript = '/tmp/http-request.js';
+function debugPodCommand(namespace, podName, scriptPath, context, container) {
+  // Copy the script to the pod using kubectl cp
+  const tempPodScript = '/tmp/http-request.js';
 
-    // Build debug command
-    let debugCmd = `kubectl debug -it`;
+  // Build debug command
+  let debugCmd = `kubectl debug -it`;
 
-    if (context) {
-      debugCmd += ` --context=${context}`;
-    }
+  if (context) {
+    debugCmd += ` --context=${context}`;
+  }
 
-    debugCmd += ` -n ${namespace} ${podName}`;
-    debugCmd += ` --image=node:slim`;
-    debugCmd += ` --profile=general`;
+  debugCmd += ` -n ${namespace} ${podName}`;
+  debugCmd += ` --image=node:slim`;
+  debugCmd += ` --profile=general`;
 
-    if (container) {
-      debugCmd += ` --target=${container}`;
-    }
+  if (container) {
+    debugCmd += ` --target=${container}`;
+  }
 
-    // Create a safe command that copies our script into the pod and runs it
-    debugCmd += ` -- /bin/bash -c "cat > ${tempPodScript} << 'EOFSCRIPT'
+  // Create a safe command that copies our script into the pod and runs it
+  debugCmd += ` -- /bin/bash -c "cat > ${tempPodScript} << 'EOFSCRIPT'
 $(cat ${scriptPath})
 EOFSCRIPT
 node ${tempPodScript}"`;
 
+  return debugCmd;
+}
+
+/**
+ * Execute a kubectl debug command on a pod with the provided script
+ * @param {string} namespace - The namespace of the pod
+ * @param {string} podName - The name of the pod
+ * @param {string} scriptPath - Path to the script file
+ * @param {string} context - Optional Kubernetes context
+ * @param {string} container - Optional target container name
+ * @param {object} [executionContext] - Optional execution context (see executeTest)
+ * @returns {Promise<string>} - The command output
+ */
+async function debugPodWithScript(namespace, podName, scriptPath, context, container, executionContext) {
+  try {
+    debugLog(`Debugging pod ${namespace}/${podName} to execute HTTP request`);
+
+    const debugCmd = debugPodCommand(namespace, podName, scriptPath, context, container);
+
     debugLog(`Executing debug command with script`);
 
-    const stdout = execSync(debugCmd, {
-      encoding: 'utf8',
-      maxBuffer: 10 * 1024 * 1024 // 10MB buffer for potentially large responses
-    });
+    const stdout = await execWithin(debugCmd, executionContext);
 
     return stdout;
   } catch (error) {
@@ -1470,15 +2155,20 @@ node ${tempPodScript}"`;
  * @param {object} response - The HTTP response
  * @param {object} expect - The expectations
  * @param {string} testName - The test name for logging
+ * @param {object} [context] - Optional execution context; each check is recorded on its report
  * @throws {Error} - Throws error if any expectation fails
  */
-function validateHttpExpectations(response, expect, testName) {
+function validateHttpExpectations(response, expect, testName, context) {
   debugLog(`Validating expectations for: ${testName}`);
 
   // 1) Status code
-  if (expect.statusCode !== undefined && expect.statusCode !== response.statusCode && !Array.isArray(expect.statusCode)
-    || Array.isArray(expect.statusCode) && !expect.statusCode.includes(response.statusCode)) {
-    throw new Error(`Status code mismatch: expected ${expect.statusCode}, got ${response.statusCode}`);
+  if (expect.statusCode !== undefined) {
+    checkAssertion(context, `statusCode ${Array.isArray(expect.statusCode) ? 'in' : 'equals'} ${JSON.stringify(expect.statusCode)}`, () => {
+      if (expect.statusCode !== response.statusCode && !Array.isArray(expect.statusCode)
+        || Array.isArray(expect.statusCode) && !expect.statusCode.includes(response.statusCode)) {
+        throw new Error(`Status code mismatch: expected ${expect.statusCode}, got ${response.statusCode}`);
+      }
+    });
   }
   debugLog(`✓ Status code matches: ${response.statusCode}`);
 
@@ -1488,9 +2178,11 @@ function validateHttpExpectations(response, expect, testName) {
 
   // 2) Exact body
   if (expect.body !== undefined) {
-    if (!deepCompare(response.body, expect.body)) {
-      throw new Error(`Body mismatch: expected ${JSON.stringify(expect.body)}, got ${JSON.stringify(response.body)}`);
-    }
+    checkAssertion(context, 'body equals', () => {
+      if (!deepCompare(response.body, expect.body)) {
+        throw new Error(`Body mismatch: expected ${JSON.stringify(expect.body)}, got ${JSON.stringify(response.body)}`);
+      }
+    });
     debugLog(`✓ Body exactly matches`);
   }
 
@@ -1501,21 +2193,21 @@ function validateHttpExpectations(response, expect, testName) {
       debugLog(`Validating bodyContains item: ${JSON.stringify(bodyContainsItem)}`);
       const containsNegate = typeof bodyContainsItem === 'object' && 'negate' in bodyContainsItem && bodyContainsItem.negate;
       const matchWord = typeof bodyContainsItem === 'object' && 'matchword' in bodyContainsItem && bodyContainsItem.matchword;
-      let containsValue = bodyContainsItem.value || bodyContainsItem;
+      const containsValue = bodyContainsItem.value || bodyContainsItem;
       debugLog(`negate: ${containsNegate}, matchWord: ${matchWord}, containsValue: ${containsValue}`);
-      if (containsValue.startsWith('$')) {
-        containsValue = process.env[containsValue.replace('$', '')];
-      }
 
       const negate = containsNegate ? bodyContainsItem.negate : false;
-      const contains = matchWord ? RegExp(`\\b${containsValue}\\b`).test(rawBody) : rawBody.includes(containsValue);
 
-      if (negate ? contains : !contains) {
-        const message = negate
-          ? `Body should not contain substring but does: "${containsValue}"`
-          : `Body does not contain substring: "${containsValue}"`;
-        throw new Error(message);
-      }
+      checkAssertion(context, `bodyContains ${negate ? 'not ' : ''}${JSON.stringify(containsValue)}`, () => {
+        const contains = matchWord ? RegExp(`\\b${containsValue}\\b`).test(rawBody) : rawBody.includes(containsValue);
+
+        if (negate ? contains : !contains) {
+          const message = negate
+            ? `Body should not contain substring but does: "${containsValue}"`
+            : `Body does not contain substring: "${containsValue}"`;
+          throw new Error(message);
+        }
+      });
 
       const successMsg = negate
         ? `✓ Body does not contain "${containsValue}"`
@@ -1538,15 +2230,17 @@ function validateHttpExpectations(response, expect, testName) {
       const regexValue = bodyRegexItem.value || bodyRegexItem;
       const negate = regexNegate ? bodyRegexItem.negate : false;
 
-      const re = new RegExp(regexValue);
-      const matches = re.test(rawBody);
+      checkAssertion(context, `bodyRegex ${negate ? 'not ' : ''}/${regexValue}/`, () => {
+        const re = new RegExp(regexValue);
+        const matches = re.test(rawBody);
 
-      if (negate ? matches : !matches) {
-        const message = negate
-          ? `Body should not match regex but does: ${regexValue}`
-          : `Body does not match regex: ${regexValue}`;
-        throw new Error(message);
-      }
+        if (negate ? matches : !matches) {
+          const message = negate
+            ? `Body should not match regex but does: ${regexValue}`
+            : `Body does not match regex: ${regexValue}`;
+          throw new Error(message);
+        }
+      });
 
       const successMsg = negate
         ? `✓ Body does not match regex ${regexValue}`
@@ -1564,52 +2258,56 @@ function validateHttpExpectations(response, expect, testName) {
   // 5) JSONPath expectations
   if (expect.bodyJsonPath) {
     for (const jp of expect.bodyJsonPath) {
-      const results = JSONPath({ path: jp.path, json: response.body });
-      if (results.length === 0) {
-        if (jp.negate && jp.comparator === 'exists') {
-          debugLog(`✓ JSONPath "${jp.path}" does not exist, as expected`);
-          continue;
+      checkAssertion(context, `bodyJsonPath ${jp.path} ${describeComparison(jp)}`, () => {
+        const results = JSONPath({ path: jp.path, json: response.body });
+        if (results.length === 0) {
+          if (jp.negate && jp.comparator === 'exists') {
+            debugLog(`✓ JSONPath "${jp.path}" does not exist, as expected`);
+            return;
+          }
+          throw new Error(`JSONPath "${jp.path}" did not return any results`);
         }
-        throw new Error(`JSONPath "${jp.path}" did not return any results`);
-      }
 
-      // Use the comparison utility (which now throws on failure)
-      compareValue(results[0], jp, `JSONPath ${jp.path}`);
+        // Use the comparison utility (which now throws on failure)
+        compareValue(results[0], jp, `JSONPath ${jp.path}`);
 
-      const successMsg = jp.negate
-        ? `✓ JSONPath ${jp.path} ${jp.comparator} NOT ${jp.value}`
-        : `✓ JSONPath ${jp.path} ${jp.comparator} ${jp.value}`;
-      debugLog(successMsg);
+        const successMsg = jp.negate
+          ? `✓ JSONPath ${jp.path} ${jp.comparator} NOT ${jp.value}`
+          : `✓ JSONPath ${jp.path} ${jp.comparator} ${jp.value}`;
+        debugLog(successMsg);
+      });
     }
   }
 
   // 6) Header validation with operators
   if (expect.headers && expect.headers.length > 0) {
     for (const headerExp of expect.headers) {
-      const headerName = headerExp.name.toLowerCase(); // Headers are case-insensitive
-      const headerValue = response.headers[headerName];
-
-      // For 'exists' comparator, check if the header exists
-      if (headerExp.comparator === 'exists') {
-        compareValue(headerValue, headerExp, `Header "${headerExp.name}"`);
-
-        const existsSuccessMsg = headerExp.negate
-          ? `✓ Header "${headerExp.name}" does not exist, as expected`
-          : `✓ Header "${headerExp.name}" exists`;
-        debugLog(existsSuccessMsg);
-        continue;
-      }
+      checkAssertion(context, `header "${headerExp.name}" ${describeComparison(headerExp)}`, () => {
+        const headerName = headerExp.name.toLowerCase(); // Headers are case-insensitive
+        const headerValue = response.headers[headerName];
+
+        // For 'exists' comparator, check if the header exists
+        if (headerExp.comparator === 'exists') {
+          compareValue(headerValue, headerExp, `Header "${headerExp.name}"`);
+
+          const existsSuccessMsg = headerExp.negate
+            ? `✓ Header "${headerExp.name}" does not exist, as expected`
+            : `✓ Header "${headerExp.name}" exists`;
+          debugLog(existsSuccessMsg);
+          return;
+        }
 
-      // For other comparators, first check if the header exists
-      if (headerValue === undefined) {
-        throw new Error(`Header "${headerExp.name}" not found in response`);
-      }
+        // For other comparators, first check if the header exists
+        if (headerValue === undefined) {
+          throw new Error(`Header "${headerExp.name}" not found in response`);
+        }
 
-      // Use the comparison utility (which now throws on failure)
-      compareValue(headerValue, headerExp, `Header "${headerExp.name}"`);
+        // Use the comparison utility (which now throws on failure)
+        compareValue(headerValue, headerExp, `Header "${headerExp.name}"`);
 
-      const opString = headerExp.negate ? `does not ${headerExp.comparator}` : headerExp.comparator;
-      debugLog(`✓ Header "${headerExp.name}" ${opString} "${headerExp.value}"`);
+        const opString = headerExp.negate ? `does not ${headerExp.comparator}` : headerExp.comparator;
+        debugLog(`✓ Header "${headerExp.name}" ${opString} "${headerExp.value}"`);
+      });
     }
   }
 
@@ -1646,10 +2344,12 @@ function getResourceDescription(selector) {
 
 /**
  * Waits for a Kubernetes resource to match a condition - throws on failure/timeout
- * @param {object} config - Configuration for the wait operation
+ * @param {object} config - Configuration for the wait operation, with its variables rendered (see renderDefinition)
+ * @param {object} [setVars] - Optional setVars rules applied to the extracted value
+ * @param {object} [context] - Optional execution context (see executeTest)
  * @returns {Promise<void>} - Promise that resolves when the condition is met or rejects with an error
  */
-async function executeKubectlWait(config, setVars) {
+async function executeKubectlWait(config, setVars, context = {}) {
   if (!config.target) throw new Error('target block required for kubectl-wait');
 
   const { target, jsonPath, jsonPathExpectation, polling } = config;
@@ -1663,9 +2363,7 @@ async function executeKubectlWait(config, setVars) {
     }
   }
 
-  // Get kubectl selector args
-  const selectorArgs = buildSelectorArgs(target);
-  const { kindArg, namespaceArg, selectorArg, contextArg } = selectorArgs;
+  const cmd = resourceJsonCommand(target);
 
   const timeout = polling?.timeoutSeconds ?? 60;
   const interval = polling?.intervalSeconds ?? 2;
@@ -1674,6 +2372,16 @@ async function executeKubectlWait(config, setVars) {
   // Get a human-readable description of the resource
   const resourceDescription = getResourceDescription(target);
 
+  recordDetails(context, {
+    request: {
+      command: cmd,
+      jsonPath: jsonPath || null,
+    },
+  });
+  const assertionDescription = jsonPathExpectation
+    ? `${jsonPath} ${describeComparison(jsonPathExpectation)}`
+    : (jsonPath ? `${jsonPath} is set` : `${resourceDescription} exists`);
+
   // Log what we're waiting for
   if (jsonPathExpectation) {
     const compareStr = jsonPathExpectation.negate
@@ -1697,21 +2405,21 @@ async function executeKubectlWait(config, setVars) {
   while (Date.now() < deadline) {
     // Check if we've exceeded max retries
     if (maxRetries !== undefined && retryCount >= maxRetries) {
-      throw new Error(`Maximum retries (${maxRetries}) exceeded while waiting for ${resourceDescription}`);
+      checkAssertion(context, assertionDescription, () => {
+        throw new Error(`Maximum retries (${maxRetries}) exceeded while waiting for ${resourceDescription}`);
+      });
     }
 
     try {
-      // Build kubectl command with the selector args
-      const cmd = `kubectl ${contextArg} ${namespaceArg} get ${kindArg} ${selectorArg} -o json`;
       debugLog(`kubectl-get: ${cmd}`);
 
       // Execute the command
-      const stdout = execSync(cmd, { encoding: 'utf8' });
+      const stdout = await execWithin(cmd, context);
 
       if (!stdout.trim()) {
         debugLog(`Attempt ${retryCount + 1}${maxRetries !== undefined ? `/${maxRetries}` : ''}: No output from kubectl command`);
         retryCount++;
-        await sleep(interval * 1000);
+        await sleep(interval * 1000, context.signal);
         continue;
       }
 
@@ -1719,7 +2427,7 @@ async function executeKubectlWait(config, setVars) {
       if (!json) {
         debugLog(`Attempt ${retryCount + 1}${maxRetries !== undefined ? `/${maxRetries}` : ''}: Invalid JSON response`);
         retryCount++;
-        await sleep(interval * 1000);
+        await sleep(interval * 1000, context.signal);
         continue;
       }
 
@@ -1732,7 +2440,7 @@ async function executeKubectlWait(config, setVars) {
         if (!matches.length || matches[0] === null || matches[0] === undefined) {
           debugLog(`Attempt ${retryCount + 1}${maxRetries !== undefined ? `/${maxRetries}` : ''}: jsonPath ${jsonPath} not found yet, retrying…`);
           retryCount++;
-          await sleep(interval * 1000);
+          await sleep(interval * 1000, context.signal);
           continue;
         }
 
@@ -1752,7 +2460,7 @@ async function executeKubectlWait(config, setVars) {
           } catch (comparisonError) {
             debugLog(`Attempt ${retryCount + 1}${maxRetries !== undefined ? `/${maxRetries}` : ''}: ${comparisonError.message}, retrying...`);
             retryCount++;
-            await sleep(interval * 1000);
+            await sleep(interval * 1000, context.signal);
             continue;
           }
         } else {
@@ -1760,26 +2468,31 @@ async function executeKubectlWait(config, setVars) {
           if (extractedValue === '') {
             debugLog(`Attempt ${retryCount + 1}${maxRetries !== undefined ? `/${maxRetries}` : ''}: Value is empty string, retrying...`);
             retryCount++;
-            await sleep(interval * 1000);
+            await sleep(interval * 1000, context.signal);
             continue;
           }
           debugLog(`Found value for ${jsonPath}: ${typeof extractedValue === 'string' ? extractedValue : JSON.stringify(extractedValue)}`);
         }
 
+        recordDetails(context, { response: { value: extractedValue } });
+
         // Apply setVars if provided
         if (setVars) {
-          applySetVars(setVars, { extractedValue }, 'wait');
+          applySetVars(setVars, { extractedValue }, 'wait', context);
         }
       } else {
         // If no jsonPath is provided, we just wait for the resource to exist
         debugLog(`Resource ${resourceDescription} exists`);
       }
 
+      checkAssertion(context, assertionDescription, () => {});
       return true;
     } catch (err) {
+      // The test's own timeout or an interruption ends the wait; polling.timeoutSeconds is handled by the loop
+      if (err.code === 'ETESTTIMEOUT' || (context.signal && context.signal.aborted)) throw err;
       debugLog(`Attempt ${retryCount + 1}${maxRetries !== undefined ? `/${maxRetries}` : ''}: lookup failed, will retry: ${err.message}`);
       retryCount++;
-      await sleep(interval * 1000);
+      await sleep(interval * 1000, context.signal);
     }
   }
 
@@ -1796,15 +2509,18 @@ async function executeKubectlWait(config, setVars) {
     }
   }
 
-  throw new Error(errorMessage);
+  checkAssertion(context, assertionDescription, () => {
+    throw new Error(errorMessage);
+  });
 }
 
 /**
  * Command test executor - throws on failure following Mocha conventions
- * @param {object} test - The test configuration
+ * @param {object} test - The test configuration, with its variables rendered (see renderDefinition)
+ * @param {object} [context] - Optional execution context (see executeTest)
  * @returns {Promise<boolean>} - Promise resolving to true when test passes, rejecting when it fails
  */
-async function executeCommandTest(test) {
+async function executeCommandTest(test, context = {}) {
   if (!test.command) {
     throw new Error('Command configuration missing for command test');
   }
@@ -1841,30 +2557,47 @@ async function executeCommandTest(test) {
       parseJson: commandConfig.parseJson || false
     }, null, 2)}`);
 
+    recordDetails(context, {
+      request: {
+        command: commandConfig.command,
+        env: commandConfig.env || {},
+        workingDir: commandConfig.workingDir || null,
+      },
+    });
+
     let result;
 
     if (test.source.type === 'local') {
       debugLog('Using local command execution');
-      result = await executeLocalCommand(commandConfig);
+      result = await executeLocalCommand(commandConfig, context);
     } else if (test.source.type === 'pod') {
       if (!test.source.selector) {
         throw new Error('Kubernetes selector is required for pod-based command tests');
       }
 
       debugLog(`Using kubectl exec to run command in pod ${JSON.stringify(test.source.selector)}`);
-      result = await executePodCommand(test, commandConfig);
+      result = await executePodCommand(test, commandConfig, context);
     } else {
       throw new Error(`Unsupported source type: ${test.source.type}. Use 'local' or 'pod'`);
     }
 
+    recordDetails(context, {
+      commandResult: {
+        stdout: result.stdout,
+        stderr: result.stderr,
+        exitCode: result.exitCode,
+        ...(result.json !== undefined ? { json: result.json } : {}),
+      },
+    });
+
     // Validate expectations if provided
     if (test.expect) {
-      validateCommandExpectations(result, test.expect, testName);
+      validateCommandExpectations(result, test.expect, testName, context);
     }
 
     // Apply setVars after successful validation
     if (test.setVars) {
-      applySetVars(test.setVars, result, 'command');
+      applySetVars(test.setVars, result, 'command', context);
     }
 
     debugLog(`✓ Command test passed: ${testName}`);
@@ -1880,11 +2613,15 @@ async function executeCommandTest(test) {
 /**
  * Execute command locally using child_process
  * @param {object} commandConfig - The command configuration
+ * @param {object} [context] - Optional execution context; its `signal` kills the command
  * @returns {Promise<object>} - Promise resolving to command result with stdout, stderr, exitCode
  */
-async function executeLocalCommand(commandConfig) {
+async function executeLocalCommand(commandConfig, context = {}) {
   const { spawn } = require('child_process');
 
+  // Only process.env, which holds the values of setVars rules marked export: true,
+  // and the command's own env; other run variables reach the command through
+  // templates in command.command / command.env
   const env = { ...process.env, ...(commandConfig.env || {}) };
   const cwd = commandConfig.workingDir || process.cwd();
 
@@ -1895,11 +2632,20 @@ async function executeLocalCommand(commandConfig) {
   debugLog(`Executing shell command: ${commandConfig.command}`);
 
   return new Promise((resolve, reject) => {
-    const child = spawn(cmd, args, {
+    const child = trackProcess(spawn(cmd, args, {
       env,
       cwd,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+      stdio: ['pipe', 'pipe', 'pipe'],
+      // Own process group, so a timeout can kill whatever the shell started
+      detached: process.platform !== 'win32'
+    }));
+
+    const { signal } = context;
+    const stopCommand = () => {
+      debugLog(`Killing command: ${commandConfig.command}`);
+      killProcessGroup(child, 'SIGKILL');
+    };
+    if (signal) signal.addEventListener('abort', stopCommand, { once: true });
 
     let stdout = '';
     let stderr = '';
@@ -1913,6 +2659,7 @@ async function executeLocalCommand(commandConfig) {
     });
 
     child.on('close', (exitCode) => {
+      if (signal) signal.removeEventListener('abort', stopCommand);
       debugLog(`Command completed with exit code: ${exitCode}`);
       debugLog(`stdout: ${stdout}`);
       debugLog(`stderr: ${stderr}`);
@@ -1940,6 +2687,7 @@ async function executeLocalCommand(commandConfig) {
     });
 
     child.on('error', (error) => {
+      if (signal) signal.removeEventListener('abort', stopCommand);
       debugLog(`Command execution error: ${error.message}`);
       reject(new Error(`Failed to execute command: ${error.message}`));
     });
@@ -1950,26 +2698,23 @@ async function executeLocalCommand(commandConfig) {
  * Execute command in a Kubernetes pod using kubectl exec
  * @param {object} test - The test configuration
  * @param {object} commandConfig - The command configuration
+ * @param {object} [context] - Optional execution context (see executeTest)
  * @returns {Promise<object>} - Promise resolving to command result
  */
-async function executePodCommand(test, commandConfig) {
+async function executePodCommand(test, commandConfig, context) {
   const { selector } = test.source;
 
-  // Build kubectl selector args
-  const selectorArgs = buildSelectorArgs(selector);
-  const { kindArg, namespaceArg, selectorArg, contextArg } = selectorArgs;
-
   // For pod execution, we need to get the actual pod name if using label selectors
   let podName;
   if (selector.metadata.name) {
     podName = selector.metadata.name;
   } else {
     // Use label selector to get pod name
-    const listCmd = `kubectl ${contextArg} ${namespaceArg} get ${kindArg} ${selectorArg} -o jsonpath='{.items[0].metadata.name}'`;
+    const listCmd = podLookupCommand(selector);
     debugLog(`Getting pod name: ${listCmd}`);
 
     try {
-      const result = execSync(listCmd, { encoding: 'utf8' });
+      const result = await execWithin(listCmd, context);
       podName = result.trim();
       if (!podName) {
         throw new Error('No pod found matching the selector');
@@ -1980,50 +2725,12 @@ async function executePodCommand(test, commandConfig) {
     }
   }
 
-  // Use the command string directly
-  const fullCommand = commandConfig.command;
-
-  // Prepare environment variables as export statements prepended to the command.
-  // Values are single-quote escaped to survive the outer sh -c wrapping safely.
-  let envPrefix = '';
-  if (commandConfig.env && Object.keys(commandConfig.env).length > 0) {
-    const envVars = Object.entries(commandConfig.env)
-      .map(([key, value]) => {
-        // Escape single quotes inside the value: ' → '\''
-        const escaped = String(value).replace(/'/g, "'\\''");
-        return `export ${key}='${escaped}'`;
-      })
-      .join('; ');
-    envPrefix = `${envVars}; `;
-  }
-
-  // Prepare working directory
-  let cdPrefix = '';
-  if (commandConfig.workingDir) {
-    // Single-quote escape the working dir path
-    const escapedDir = commandConfig.workingDir.replace(/'/g, "'\\''");
-    cdPrefix = `cd '${escapedDir}' && `;
-  }
-
-  const finalCommand = `${cdPrefix}${envPrefix}${fullCommand}`;
-
-  // Wrap finalCommand in single quotes for `sh -c '...'` so that any double
-  // quotes, dollar signs, or special characters in the command or env values
-  // are passed through verbatim.  Any literal single quotes inside
-  // finalCommand are escaped as '\''.
-  const escapedFinalCommand = finalCommand.replace(/'/g, "'\\''");
-
-  // Build kubectl exec command
-  let kubectlCmd = `kubectl ${contextArg} ${namespaceArg} exec ${podName}`;
-  if (test.source.container) {
-    kubectlCmd += ` -c ${test.source.container}`;
-  }
-  kubectlCmd += ` -- sh -c '${escapedFinalCommand}'`;
+  const kubectlCmd = podExecCommand(test, commandConfig, podName);
 
   debugLog(`Executing pod command: ${kubectlCmd}`);
 
   try {
-    const stdout = execSync(kubectlCmd, { encoding: 'utf8' });
+    const stdout = await execWithin(kubectlCmd, context);
     const result = {
       stdout: stdout.trim(),
       stderr: '', // kubectl exec combines stderr with stdout
@@ -2048,6 +2755,8 @@ async function executePodCommand(test, commandConfig) {
     return result;
 
   } catch (error) {
+    // A timed-out command has no exit code to report
+    if (error.code === 'ETESTTIMEOUT') throw error;
     debugLog(`Pod command failed: ${error.message}`);
 
     // Extract exit code from error if available
@@ -2084,69 +2793,137 @@ async function executePodCommand(test, commandConfig) {
   }
 }
 
+/**
+ * Build the kubectl exec command that runs a command test in a pod
+ * (see executePodCommand)
+ * @param {object} test - The test configuration
+ * @param {object} commandConfig - The command configuration
+ * @param {string} podName - The pod to exec into
+ * @returns {string} - The kubectl command line
+ */
+function podExecCommand(test, commandConfig, podName) {
+  // Use the command string directly
+  const fullCommand = commandConfig.command;
+
+  // Prepare environment variables as export statements prepended to the command.
+  // Values are single-quote escaped to survive the outer sh -c wrapping safely.
+  let envPrefix = '';
+  if (commandConfig.env && Object.keys(commandConfig.env).length > 0) {
+    const envVars = Object.entries(commandConfig.env)
+      .map(([key, value]) => {
+        // Escape single quotes inside the value: ' → '\''
+        const escaped = String(value).replace(/'/g, "'\\''");
+        return `export ${key}='${escaped}'`;
+      })
+      .join('; ');
+    envPrefix = `${envVars}; `;
+  }
+
+  // Prepare working directory
+  let cdPrefix = '';
+  if (commandConfig.workingDir) {
+    // Single-quote escape the working dir path
+    const escapedDir = commandConfig.workingDir.replace(/'/g, "'\\''");
+    cdPrefix = `cd '${escapedDir}' && `;
+  }
+
+  const finalCommand = `${cdPrefix}${envPrefix}${fullCommand}`;
+
+  // Wrap finalCommand in single quotes for `sh -c '...'` so that any double
+  // quotes, dollar signs, or special characters in the command or env values
+  // are passed through verbatim.  Any literal single quotes inside
+  // finalCommand are escaped as '\''.
+  const escapedFinalCommand = finalCommand.replace(/'/g, "'\\''");
+
+  // Build kubectl exec command
+  const { namespaceArg, contextArg } = buildSelectorArgs(test.source.selector);
+  let kubectlCmd = `kubectl ${contextArg} ${namespaceArg} exec ${podName}`;
+  if (test.source.container) {
+    kubectlCmd += ` -c ${test.source.container}`;
+  }
+  kubectlCmd += ` -- sh -c '${escapedFinalCommand}'`;
+
+  return kubectlCmd;
+}
+
 /**
  * Validate command test expectations
  * @param {object} result - The command execution result
  * @param {object} expect - The expectations configuration
  * @param {string} testName - The test name for error messages
+ * @param {object} [context] - Optional execution context; each check is recorded on its report
  */
-function validateCommandExpectations(result, expect, testName) {
+function validateCommandExpectations(result, expect, testName, context) {
   debugLog(`Validating expectations for: ${testName}`);
 
   // Validate exit code
   if (expect.exitCode !== undefined) {
     debugLog(`Checking exit code: expected=${expect.exitCode}, actual=${result.exitCode}`);
-    if (result.exitCode !== expect.exitCode) {
-      throw new Error(`Exit code mismatch: expected ${expect.exitCode}, got ${result.exitCode}`);
-    }
+    checkAssertion(context, `exitCode equals ${expect.exitCode}`, () => {
+      if (result.exitCode !== expect.exitCode) {
+        throw new Error(`Exit code mismatch: expected ${expect.exitCode}, got ${result.exitCode}`);
+      }
+    });
     debugLog(`✓ Exit code matches: ${result.exitCode}`);
   }
 
   // Validate stdout expectations
   if (expect.stdout) {
-    validateOutputExpectations(result.stdout, expect.stdout, 'stdout', testName);
+    checkAssertion(context, `stdout ${JSON.stringify(expect.stdout)}`, () => {
+      validateOutputExpectations(result.stdout, expect.stdout, 'stdout', testName);
+    });
   }
 
   // Validate stderr expectations
   if (expect.stderr) {
-    validateOutputExpectations(result.stderr, expect.stderr, 'stderr', testName);
+    checkAssertion(context, `stderr ${JSON.stringify(expect.stderr)}`, () => {
+      validateOutputExpectations(result.stderr, expect.stderr, 'stderr', testName);
+    });
   }
 
   // Validate output expectations (alias for stdout)
   if (expect.output) {
-    validateOutputExpectations(result.output, expect.output, 'output', testName);
+    checkAssertion(context, `output ${JSON.stringify(expect.output)}`, () => {
+      validateOutputExpectations(result.output, expect.output, 'output', testName);
+    });
   }
 
   // Validate JSON expectations
   if (expect.json) {
-    if (!result.json) {
-      if (result.jsonParseError) {
-        throw new Error(`JSON parsing failed: ${result.jsonParseError}`);
-      } else {
-        throw new Error('No JSON output available for validation');
+    checkAssertion(context, `json ${JSON.stringify(expect.json)}`, () => {
+      if (!result.json) {
+        if (result.jsonParseError) {
+          throw new Error(`JSON parsing failed: ${result.jsonParseError}`);
+        } else {
+          throw new Error('No JSON output available for validation');
+        }
       }
-    }
-    validateJsonExpectations(result.json, expect.json, testName);
+      validateJsonExpectations(result.json, expect.json, testName);
+    });
   }
 
   // Validate JSON path expectations
   if (expect.jsonPath && Array.isArray(expect.jsonPath)) {
     if (!result.json) {
-      if (result.jsonParseError) {
-        throw new Error(`JSON parsing failed, cannot validate jsonPath: ${result.jsonParseError}`);
-      } else {
-        throw new Error('No JSON output available for jsonPath validation');
-      }
+      checkAssertion(context, 'jsonPath output is JSON', () => {
+        if (result.jsonParseError) {
+          throw new Error(`JSON parsing failed, cannot validate jsonPath: ${result.jsonParseError}`);
+        } else {
+          throw new Error('No JSON output available for jsonPath validation');
+        }
+      });
     }
 
     for (const pathExp of expect.jsonPath) {
-      const matches = JSONPath({ path: pathExp.path, json: result.json });
-      if (!matches.length) {
-        throw new Error(`JSONPath "${pathExp.path}" not found in output`);
-      }
+      checkAssertion(context, `jsonPath ${pathExp.path} ${describeComparison(pathExp)}`, () => {
+        const matches = JSONPath({ path: pathExp.path, json: result.json });
+        if (!matches.length) {
+          throw new Error(`JSONPath "${pathExp.path}" not found in output`);
+        }
 
-      const extractedValue = matches[0];
-      compareValue(extractedValue, pathExp, `JSONPath "${pathExp.path}"`);
+        const extractedValue = matches[0];
+        compareValue(extractedValue, pathExp, `JSONPath "${pathExp.path}"`);
+      });
 
       debugLog(`✓ JSONPath "${pathExp.path}" ${pathExp.comparator} "${pathExp.value}"`);
     }
@@ -2246,10 +3023,11 @@ function validateSingleJsonExpectation(actualJson, expectation) {
 
 /**
  * HTTP body comparison test executor - compares bodies of two HTTP calls
- * @param {object} test - The test configuration
+ * @param {object} test - The test configuration, with its variables rendered (see renderDefinition)
+ * @param {object} [context] - Optional execution context (see executeTest)
  * @returns {Promise<boolean>} - Promise resolving to true when test passes, rejecting when it fails
  */
-async function executeHttpBodyComparisonTest(test) {
+async function executeHttpBodyComparisonTest(test, context = {}) {
   if (!test.httpBodyComparison) {
     throw new Error('HTTP body comparison configuration missing for body comparison test');
   }
@@ -2268,16 +3046,21 @@ async function executeHttpBodyComparisonTest(test) {
 
     // Execute both HTTP requests using the existing HTTP request logic
     debugLog('Executing first HTTP request...');
-    const response1 = await executeHttpRequestInternal(config.request1);
+    const response1 = await executeHttpRequestInternal(config.request1, context);
 
     // Apply delay between requests if specified
     if (config.delaySeconds && config.delaySeconds > 0) {
       debugLog(`Waiting ${config.delaySeconds} seconds before executing second request...`);
-      await sleep(config.delaySeconds * 1000);
+      await sleep(config.delaySeconds * 1000, context.signal);
     }
 
     debugLog('Executing second HTTP request...');
-    const response2 = await executeHttpRequestInternal(config.request2);
+    const response2 = await executeHttpRequestInternal(config.request2, context);
+
+    recordDetails(context, {
+      request: [config.request1, config.request2].map(({ http }) => recordedRequest(http)),
+      response: [response1, response2].map(({ statusCode, headers, body }) => ({ statusCode, headers, body })),
+    });
 
     // Get the bodies
     let body1 = response1.body;
@@ -2314,25 +3097,28 @@ async function executeHttpBodyComparisonTest(test) {
 
     // Compare the bodies
     debugLog('Comparing response bodies...');
-    const bodiesMatch = deepCompare(body1, body2);
-
-    if (!bodiesMatch) {
-      // Calculate differences using deep-diff
-      const differences = diff(body1, body2);
-      let errorMessage = 'HTTP response bodies do not match';
+    checkAssertion(context, 'response bodies match', () => {
+      const bodiesMatch = deepCompare(body1, body2);
+
+      if (!bodiesMatch) {
+        // Calculate differences using deep-diff
+        const differences = diff(body1, body2);
+        let errorMessage = 'HTTP response bodies do not match';
+
+        if (differences && differences.length > 0) {
+          const entries = bodyDifferenceEntries(differences, body1, body2);
+          errorMessage += `:\n\nDifferences:\n${formatHttpBodyDifferences(entries)}`;
+          recordDetails(context, { bodyDifferences: entries });
+        } else {
+          // Fallback to showing both bodies if diff calculation fails
+          const body1Str = typeof body1 === 'string' ? body1 : JSON.stringify(body1, null, 2);
+          const body2Str = typeof body2 === 'string' ? body2 : JSON.stringify(body2, null, 2);
+          errorMessage += `:\n\nResponse 1 body:\n${body1Str}\n\nResponse 2 body:\n${body2Str}`;
+        }
 
-      if (differences && differences.length > 0) {
-        const diffOutput = formatHttpBodyDifferences(differences, body1, body2);
-        errorMessage += `:\n\nDifferences:\n${diffOutput}`;
-      } else {
-        // Fallback to showing both bodies if diff calculation fails
-        const body1Str = typeof body1 === 'string' ? body1 : JSON.stringify(body1, null, 2);
-        const body2Str = typeof body2 === 'string' ? body2 : JSON.stringify(body2, null, 2);
-        errorMessage += `:\n\nResponse 1 body:\n${body1Str}\n\nResponse 2 body:\n${body2Str}`;
+        throw new Error(errorMessage);
       }
-
-      throw new Error(errorMessage);
-    }
+    });
 
     debugLog(`✓ HTTP body comparison test passed: bodies match`);
     return true;
@@ -2347,27 +3133,25 @@ async function executeHttpBodyComparisonTest(test) {
 /**
  * Execute a single HTTP request for body comparison (reuses existing HTTP test logic)
  * @param {object} requestConfig - The request configuration
+ * @param {object} [context] - Optional execution context (see executeTest)
  * @returns {Promise<object>} - The HTTP response
  */
-async function executeHttpRequestInternal(requestConfig) {
+async function executeHttpRequestInternal(requestConfig, context) {
   if (!requestConfig.http) {
     throw new Error('HTTP configuration missing in request config');
   }
 
-  // Resolve environment variables in URL
-  requestConfig.http.url = resolveEnvVarsInUrl(requestConfig.http.url);
-
   let response;
 
   if (requestConfig.source.type === 'local') {
     debugLog('Executing local HTTP request');
-    response = await executeLocalHttpRequest(requestConfig.http);
+    response = await executeLocalHttpRequest(requestConfig.http, context);
   } else if (requestConfig.source.type === 'pod') {
     if (!requestConfig.source.selector) {
       throw new Error('Kubernetes selector is required for pod-based requests');
     }
     debugLog(`Executing HTTP request via pod ${JSON.stringify(requestConfig.source.selector)}`);
-    response = await executePodHttpRequest(requestConfig);
+    response = await executePodHttpRequest(requestConfig, context);
   } else {
     throw new Error(`Unsupported source type: ${requestConfig.source.type}`);
   }
@@ -16,10 +16,18 @@
  */
 
 // Multi-test orchestration layer
-const { runTests, parseTestDefinitions, runSingleTest } = require('./runner');
+const {
+  runTests,
+  listTests,
+  planTests,
+  parseSuite,
+  parseTestDefinitions,
+  runSingleTest,
+  summarizeRuns,
+} = require('./runner');
 
 // Schema validation
-const { validateTestDefinitions } = require('./validate');
+const { validateTestDefinitions, validateSuite } = require('./validate');
 
 // Low-level core exports (single-test API)
 const {
@@ -31,14 +39,21 @@ const {
   filterJsonByJsonPath,
   executePodHttpRequestViaPodExec,
   applySetVars,
+  cleanupResources,
+  planTest,
 } = require('./core');
 
 module.exports = {
   // High-level runner
   runTests,
+  listTests,
+  planTests,
+  parseSuite,
   parseTestDefinitions,
   runSingleTest,
+  summarizeRuns,
   validateTestDefinitions,
+  validateSuite,
 
   // Low-level single-test API (v2.js re-exports)
   executeTest,
@@ -49,4 +64,6 @@ module.exports = {
   filterJsonByJsonPath,
   executePodHttpRequestViaPodExec,
   applySetVars,
+  cleanupResources,
+  planTest,
 };
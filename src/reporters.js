@@ -0,0 +1,520 @@
+'use strict';
+
+const yaml = require('js-yaml');
+const { createSecretStore } = require('./secrets');
+
+/**
+ * Report formatters for the CLI.
+ *
+ * Every formatter takes the per-file results collected by the CLI and returns
+ * the complete report as a string:
+ *
+ *   [{ file: 'tests/auth.yaml', result: RunResult }, ...]
+ *
+ * The CLI also passes the secret store shared by its runs (see secrets.js).
+ * The results are masked again with it before formatting, so that secrets
+ * seen only after a test ran are hidden in its report as well.
+ */
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+// Without a store, only the values of secret headers are masked
+function maskResults(fileResults, secretStore = createSecretStore()) {
+  return secretStore.mask(fileResults);
+}
+
+function escapeXml(value) {
+  return String(value)
+    // Strip characters that are not allowed anywhere in an XML 1.0 document
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function sumDurations(results) {
+  return results.reduce((acc, r) => acc + (r.durationMs || 0), 0);
+}
+
+// Tests filtered out by --grep / --tag / --exclude-tag are not part of the
+// run; suite setup and teardown steps are, labelled with their phase
+function selectedResults(result) {
+  const phase = (steps, label) => (steps || []).map((r) => ({ ...r, name: `[${label}] ${r.name}` }));
+  return [
+    ...phase(result.setup, 'setup'),
+    ...result.results.filter((r) => !r.deselected),
+    ...phase(result.teardown, 'teardown'),
+  ];
+}
+
+function countResults(results) {
+  return {
+    passed: results.filter((r) => r.passed).length,
+    failed: results.filter((r) => !r.passed && !r.skipped).length,
+    skipped: results.filter((r) => r.skipped).length,
+  };
+}
+
+// ── JUnit XML ─────────────────────────────────────────────────────────────────
+
+/**
+ * Format results as JUnit XML: one <testsuite> per input file and one
+ * <testcase> per test definition.  Suite setup and teardown steps are
+ * included as test cases named "[setup] ..." / "[teardown] ...".
+ *
+ * @param {Array<{file: string, result: RunResult}>} fileResults
+ * @param {object} [secretStore] - Secret store of the runs (see secrets.js)
+ * @returns {string} - XML document
+ */
+function formatJUnit(fileResults, secretStore) {
+  fileResults = maskResults(fileResults, secretStore);
+  const totals = { tests: 0, failures: 0, skipped: 0, durationMs: 0 };
+  const suites = [];
+
+  for (const { file, result } of fileResults) {
+    const results = selectedResults(result);
+    const { failed, skipped } = countResults(results);
+    const durationMs = sumDurations(results);
+    totals.tests += results.length;
+    totals.failures += failed;
+    totals.skipped += skipped;
+    totals.durationMs += durationMs;
+
+    const lines = [];
+    lines.push(
+      `  <testsuite name="${escapeXml(file)}" tests="${results.length}" failures="${failed}"` +
+        ` errors="0" skipped="${skipped}" time="${seconds(durationMs)}">`
+    );
+
+    for (const r of results) {
+      const open = `    <testcase name="${escapeXml(r.name)}" classname="${escapeXml(file)}" time="${seconds(r.durationMs)}"`;
+
+      if (r.skipped) {
+        lines.push(`${open}>`);
+        lines.push(`      <skipped message="${escapeXml(r.error || 'Skipped')}"/>`);
+        lines.push('    </testcase>');
+      } else if (!r.passed) {
+        const error = r.error || 'Unknown error';
+        lines.push(`${open}>`);
+        lines.push(`      <failure message="${escapeXml(error.split('\n')[0])}">${escapeXml(error)}</failure>`);
+        lines.push('    </testcase>');
+      } else {
+        lines.push(`${open}/>`);
+      }
+    }
+
+    lines.push('  </testsuite>');
+    suites.push(lines.join('\n'));
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="YAMLTest" tests="${totals.tests}" failures="${totals.failures}"` +
+      ` errors="0" skipped="${totals.skipped}" time="${seconds(totals.durationMs)}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+// ── JSON ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Format results as a JSON document with the combined counts and the full
+ * per-test details (request, response / command result, assertions, vars).
+ * Counts cover the tests only; suite setup and teardown step results are
+ * listed separately in each file entry.  With --repeat, the results are
+ * those of the last run and each file entry also has the statistics of
+ * every run (`repeat: {runs, tests}`, see summarizeRuns).
+ *
+ * @param {Array<{file: string, result: RunResult, repeat?: {runs: number, tests: TestStats[]}}>} fileResults
+ * @param {object} [secretStore] - Secret store of the runs (see secrets.js)
+ * @returns {string} - JSON document
+ */
+function formatJson(fileResults, secretStore) {
+  fileResults = maskResults(fileResults, secretStore);
+  const report = {
+    total: 0, passed: 0, failed: 0, skipped: 0, deselected: 0, durationMs: 0, interrupted: false, files: [],
+  };
+
+  for (const { file, result, repeat } of fileResults) {
+    const durationMs = sumDurations([...(result.setup || []), ...result.results, ...(result.teardown || [])]);
+    report.total += result.total;
+    report.passed += result.passed;
+    report.failed += result.failed;
+    report.skipped += result.skipped;
+    report.deselected += result.deselected || 0;
+    report.durationMs += durationMs;
+    report.interrupted = report.interrupted || Boolean(result.interrupted);
+    report.files.push({
+      file,
+      total: result.total,
+      passed: result.passed,
+      failed: result.failed,
+      skipped: result.skipped,
+      deselected: result.deselected || 0,
+      durationMs,
+      interrupted: Boolean(result.interrupted),
+      setup: result.setup || [],
+      results: result.results,
+      teardown: result.teardown || [],
+      ...(repeat ? { repeat } : {}),
+    });
+  }
+
+  // Every file of a CLI run shares the seed of generated values
+  const seeded = fileResults.find(({ result }) => result.seed !== undefined);
+  if (seeded) report.seed = seeded.result.seed;
+
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+// ── TAP ───────────────────────────────────────────────────────────────────────
+
+// '#' starts a directive in TAP, so it must be escaped in test descriptions
+function tapDescription(name) {
+  return String(name).replace(/\\/g, '\\\\').replace(/#/g, '\\#').replace(/\n/g, ' ');
+}
+
+/**
+ * Format results as TAP version 13.  Deselected tests are left out of the
+ * plan entirely, fail-fast skips become "# SKIP" directives and failures
+ * carry a YAML diagnostic block with the error and the number of attempts.
+ * Each file is introduced by a comment line, and suite setup and teardown
+ * steps are listed as "[setup] ..." / "[teardown] ...".
+ *
+ * @param {Array<{file: string, result: RunResult}>} fileResults
+ * @param {object} [secretStore] - Secret store of the runs (see secrets.js)
+ * @returns {string} - TAP stream
+ */
+function formatTap(fileResults, secretStore) {
+  fileResults = maskResults(fileResults, secretStore);
+  const all = fileResults.map(({ file, result }) => ({ file, results: selectedResults(result) }));
+  const total = all.reduce((acc, { results }) => acc + results.length, 0);
+  const lines = ['TAP version 13', `1..${total}`];
+  let n = 0;
+
+  for (const { file, results } of all) {
+    lines.push(`# ${file}`);
+
+    for (const r of results) {
+      n++;
+      const description = tapDescription(r.name);
+
+      if (r.skipped) {
+        lines.push(`ok ${n} - ${description} # SKIP ${r.error || 'skipped'}`);
+      } else if (r.passed) {
+        lines.push(`ok ${n} - ${description}`);
+      } else {
+        lines.push(`not ok ${n} - ${description}`);
+        const diagnostic = yaml.dump({
+          message: r.error || 'Unknown error',
+          severity: 'fail',
+          attempts: r.attempts,
+          durationMs: r.durationMs,
+          file,
+        }, { lineWidth: -1 });
+        lines.push('  ---');
+        lines.push(...diagnostic.trimEnd().split('\n').map((line) => `  ${line}`));
+        lines.push('  ...');
+      }
+    }
+  }
+
+  const { passed, failed, skipped } = countResults(all.flatMap(({ results }) => results));
+  lines.push(`# tests ${total}`, `# pass ${passed}`, `# fail ${failed}`, `# skip ${skipped}`);
+
+  return lines.join('\n') + '\n';
+}
+
+// ── HTML ──────────────────────────────────────────────────────────────────────
+
+// Self-contained: no scripts, fonts or other files, so the report can be
+// opened offline, attached to a CI run or mailed around
+const HTML_STYLE = `
+  body { font: 14px/1.45 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; margin: 2em auto; max-width: 1100px; padding: 0 1em; }
+  h1 { font-size: 1.6em; margin: 0 0 .5em; }
+  h2 { font-size: 1.15em; margin: 2em 0 .5em; }
+  h3 { font-size: 1em; margin: 1em 0 .3em; }
+  .summary { display: flex; flex-wrap: wrap; gap: .75em; margin: 1em 0; }
+  .summary div { border: 1px solid #d0d7de; border-radius: 6px; padding: .5em 1em; min-width: 6em; }
+  .summary b { display: block; font-size: 1.5em; }
+  .summary .passed b { color: #1a7f37; } .summary .failed b { color: #cf222e; }
+  .meta { color: #59636e; }
+  details.test { border: 1px solid #d0d7de; border-radius: 6px; margin: .3em 0; }
+  details.test > summary { cursor: pointer; padding: .4em .8em; display: flex; gap: .8em; align-items: baseline; }
+  details.test[open] > summary { border-bottom: 1px solid #d0d7de; }
+  details.test > div { padding: .2em .8em .8em; }
+  .name { flex: 1; font-weight: 600; }
+  .status { font-weight: 600; text-transform: uppercase; font-size: .8em; min-width: 7em; }
+  .passed .status { color: #1a7f37; } .failed .status, .del { color: #cf222e; }
+  .skipped .status, .interrupted .status, .flaky { color: #9a6700; } .deselected .status { color: #59636e; }
+  .add { color: #1a7f37; }
+  pre { background: #f6f8fa; border-radius: 6px; padding: .6em; overflow: auto; white-space: pre-wrap; word-break: break-word; margin: .3em 0; }
+  pre.error { background: #ffebe9; }
+  table { border-collapse: collapse; width: 100%; margin: .3em 0; }
+  th, td { border: 1px solid #d0d7de; padding: .3em .5em; text-align: left; vertical-align: top; }
+  th { background: #f6f8fa; }
+  td pre { background: none; padding: 0; margin: 0; }
+  td.del { background: #ffebe9; } td.add { background: #dafbe1; }
+  .pair { display: grid; grid-template-columns: 1fr 1fr; gap: 1em; }
+  ul.assertions { list-style: none; padding: 0; margin: .3em 0; }
+`;
+
+function escapeHtml(value) {
+  // The XML escapes are valid HTML
+  return escapeXml(value);
+}
+
+function formatMs(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(2)}s`;
+}
+
+function htmlStatus(r) {
+  if (r.deselected) return 'deselected';
+  if (r.skipped) return 'skipped';
+  if (r.interrupted) return 'interrupted';
+  return r.passed ? 'passed' : 'failed';
+}
+
+function htmlValue(value) {
+  if (Buffer.isBuffer(value)) return `<binary, ${value.length} bytes>`;
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+function htmlPre(value, className) {
+  return `<pre${className ? ` class="${className}"` : ''}>${escapeHtml(htmlValue(value))}</pre>`;
+}
+
+function htmlHeaders(headers) {
+  const lines = Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`);
+  return lines.length > 0 ? htmlPre(lines.join('\n')) : '';
+}
+
+function htmlRequest(request, title) {
+  return [
+    `<h3>${escapeHtml(title)}</h3>`,
+    htmlPre(`${request.method} ${request.url}`),
+    htmlHeaders(request.headers),
+    request.params ? htmlPre(request.params) : '',
+    request.body !== undefined ? htmlPre(request.body) : '',
+  ].join('');
+}
+
+function htmlResponse(response, title) {
+  return [
+    `<h3>${escapeHtml(title)}</h3>`,
+    htmlPre(`Status ${response.statusCode}`),
+    htmlHeaders(response.headers),
+    response.body !== undefined && response.body !== '' ? htmlPre(response.body) : '',
+  ].join('');
+}
+
+/**
+ * The rows of the side-by-side diff of a body comparison: the path, its value
+ * in the first body and its value in the second.  Arrays whose items changed
+ * are shown whole, before and after, as in the error.
+ *
+ * @param {Array<object>} entries - The bodyDifferences of the test result
+ * @returns {Array<{path: string, before: string|null, after: string|null}>}
+ */
+function bodyDifferenceRows(entries) {
+  return entries.map((entry) => {
+    const show = (value) => (entry.kind === 'A' ? yaml.dump(value).trim() : JSON.stringify(value));
+    return {
+      path: entry.path.join('.'),
+      before: 'lhs' in entry ? show(entry.lhs) : null,
+      after: 'rhs' in entry ? show(entry.rhs) : null,
+    };
+  });
+}
+
+function htmlBodyDifferences(entries, requests) {
+  const label = (request, n) => escapeHtml(request ? `${request.method} ${request.url}` : `request${n}`);
+  const cell = (value, className) => (value === null
+    ? '<td></td>'
+    : `<td class="${className}"><pre>${escapeHtml(value)}</pre></td>`);
+  const rows = bodyDifferenceRows(entries).map(({ path, before, after }) =>
+    `<tr><td><code>${escapeHtml(path)}</code></td>${cell(before, 'del')}${cell(after, 'add')}</tr>`
+  );
+  return [
+    '<h3>Differences</h3>',
+    `<table class="diff"><tr><th>Path</th><th>${label(requests[0], 1)}</th><th>${label(requests[1], 2)}</th></tr>`,
+    ...rows,
+    '</table>',
+  ].join('');
+}
+
+// The expandable details of one test: why it failed, what was sent and received
+function htmlTestDetails(r) {
+  const parts = [];
+  if (r.error && !r.passed) {
+    // The differences of a comparison are shown side by side below
+    const error = r.bodyDifferences ? r.error.split('\n')[0].replace(/:$/, '') : r.error;
+    parts.push(htmlPre(error, r.skipped ? '' : 'error'));
+  }
+
+  // As in the console output: the error of the last attempt is shown above
+  let attemptErrors = r.attemptErrors || [];
+  if (r.interrupted) attemptErrors = attemptErrors.filter(({ error }) => error !== r.error);
+  else if (!r.passed) attemptErrors = attemptErrors.slice(0, -1);
+  if (attemptErrors.length > 0) {
+    parts.push('<h3>Failed attempts</h3>', htmlPre(attemptErrors.map(({ attempt, error }) => `attempt ${attempt}: ${error}`).join('\n')));
+  }
+
+  if (r.assertions && r.assertions.length > 0) {
+    const items = r.assertions.map((a) => (a.passed
+      ? `<li><span class="add">✓</span> ${escapeHtml(a.description)}</li>`
+      : `<li><span class="del">✗</span> ${escapeHtml(a.description)}${a.error && a.error !== r.error ? htmlPre(a.error) : ''}</li>`));
+    parts.push('<h3>Assertions</h3>', `<ul class="assertions">${items.join('')}</ul>`);
+  }
+
+  if (r.type === 'httpBodyComparison' && Array.isArray(r.request)) {
+    if (r.bodyDifferences) parts.push(htmlBodyDifferences(r.bodyDifferences, r.request));
+    const responses = Array.isArray(r.response) ? r.response : [];
+    parts.push('<div class="pair">', ...[0, 1].map((i) => [
+      '<div>',
+      r.request[i] ? htmlRequest(r.request[i], `Request ${i + 1}`) : '',
+      responses[i] ? htmlResponse(responses[i], `Response ${i + 1}`) : '',
+      '</div>',
+    ].join('')), '</div>');
+  } else if (r.type === 'http') {
+    if (r.request) parts.push(htmlRequest(r.request, 'Request'));
+    if (r.response) parts.push(htmlResponse(r.response, 'Response'));
+  } else if (r.type === 'command' && r.request) {
+    parts.push('<h3>Command</h3>', htmlPre(`$ ${r.request.command}`));
+    if (Object.keys(r.request.env || {}).length > 0) parts.push(htmlPre(r.request.env));
+  } else if (r.request) {
+    parts.push('<h3>Request</h3>', htmlPre(r.request));
+    if (r.response) parts.push('<h3>Response</h3>', htmlPre(r.response));
+  }
+
+  if (r.commandResult) {
+    const { stdout, stderr, exitCode } = r.commandResult;
+    parts.push(`<h3>Exit code ${escapeHtml(exitCode)}</h3>`);
+    if (stdout) parts.push('<h3>stdout</h3>', htmlPre(stdout));
+    if (stderr) parts.push('<h3>stderr</h3>', htmlPre(stderr));
+  }
+
+  if (r.vars && Object.keys(r.vars).length > 0) {
+    parts.push('<h3>Captured variables</h3>', htmlPre(r.vars));
+  }
+  return parts.join('');
+}
+
+function htmlTest(r) {
+  const status = htmlStatus(r);
+  const details = htmlTestDetails(r);
+  const attempts = r.attempts > 1 ? `${r.attempts} attempts` : '';
+  return [
+    `<details class="test ${status}">`,
+    '<summary>',
+    `<span class="status">${status}</span>`,
+    `<span class="name">${escapeHtml(r.name)}</span>`,
+    `<span class="meta">${escapeHtml(r.type || '')}</span>`,
+    `<span class="meta">${escapeHtml(attempts)}</span>`,
+    `<span class="meta">${r.skipped || r.deselected ? '' : formatMs(r.durationMs || 0)}</span>`,
+    '</summary>',
+    details ? `<div>${details}</div>` : '',
+    '</details>',
+  ].join('');
+}
+
+// The statistics of --repeat (see summarizeRuns)
+function htmlRepeat({ runs, tests }) {
+  const rows = tests.map((t) => [
+    '<tr>',
+    `<td>${escapeHtml(t.name)}</td>`,
+    `<td>${t.passRate === null ? '–' : `${Math.round(t.passRate * 100)}% (${t.passed}/${t.runs})`}</td>`,
+    `<td>${t.meanDurationMs === null ? '–' : formatMs(t.meanDurationMs)}</td>`,
+    `<td>${t.p95DurationMs === null ? '–' : formatMs(t.p95DurationMs)}</td>`,
+    `<td>${t.attempts}${t.maxAttempts > 1 ? ` (max ${t.maxAttempts})` : ''}</td>`,
+    `<td>${t.flaky ? '<span class="flaky">flaky</span>' : ''}</td>`,
+    '</tr>',
+  ].join(''));
+  return [
+    `<h3>${runs} runs</h3>`,
+    '<table><tr><th>Test</th><th>Pass rate</th><th>Mean</th><th>p95</th><th>Attempts</th><th></th></tr>',
+    ...rows,
+    '</table>',
+  ].join('');
+}
+
+/**
+ * Format results as a single, self-contained HTML page: a summary of the
+ * counts, then each file's setup steps, tests and teardown steps with their
+ * status, duration and attempts.  Every test expands to its error and failed
+ * attempts, its assertions, and what was sent and received: the request and
+ * response of HTTP tests, both of them for comparisons (with the differences
+ * between the bodies side by side), the output of commands.  With --repeat,
+ * the statistics of every run come first.  Deselected tests are left out.
+ *
+ * @param {Array<{file: string, result: RunResult, repeat?: {runs: number, tests: TestStats[]}}>} fileResults
+ * @param {object} [secretStore] - Secret store of the runs (see secrets.js)
+ * @returns {string} - HTML document
+ */
+function formatHtml(fileResults, secretStore) {
+  fileResults = maskResults(fileResults, secretStore);
+  const totals = { total: 0, passed: 0, failed: 0, skipped: 0, deselected: 0, durationMs: 0 };
+  const sections = [];
+
+  for (const { file, result, repeat } of fileResults) {
+    const results = selectedResults(result);
+    const durationMs = sumDurations(results);
+    totals.total += result.total;
+    totals.passed += result.passed;
+    totals.failed += result.failed;
+    totals.skipped += result.skipped;
+    totals.deselected += result.deselected || 0;
+    totals.durationMs += durationMs;
+
+    const counts = [`${result.passed} passed`, `${result.failed} failed`];
+    if (result.skipped > 0) counts.push(`${result.skipped} skipped`);
+    counts.push(formatMs(durationMs));
+    sections.push(
+      `<h2>${escapeHtml(file)} <span class="meta">${escapeHtml(counts.join(' · '))}</span></h2>`,
+      repeat ? htmlRepeat(repeat) : '',
+      ...results.map(htmlTest)
+    );
+  }
+
+  // Every file of a CLI run shares the seed of generated values
+  const seeded = fileResults.find(({ result }) => result.seed !== undefined);
+  const notes = [];
+  if (fileResults.some(({ result }) => result.interrupted)) notes.push('The run was interrupted.');
+  if (seeded) notes.push(`Seed of generated values: ${seeded.result.seed}`);
+  const card = (label, value, className = '') => `<div class="${className}"><b>${escapeHtml(value)}</b>${label}</div>`;
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>YAMLTest report</title>',
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    '<h1>YAMLTest report</h1>',
+    '<div class="summary">',
+    card('total', totals.total),
+    card('passed', totals.passed, 'passed'),
+    card('failed', totals.failed, totals.failed > 0 ? 'failed' : ''),
+    card('skipped', totals.skipped),
+    ...(totals.deselected > 0 ? [card('deselected', totals.deselected)] : []),
+    card('duration', formatMs(totals.durationMs)),
+    '</div>',
+    notes.length > 0 ? `<p class="meta">${escapeHtml(notes.join(' '))}</p>` : '',
+    ...sections,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+module.exports = { formatJUnit, formatJson, formatTap, formatHtml };
@@ -1,50 +1,491 @@
 'use strict';
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const yaml = require('js-yaml');
-const { executeTest } = require('./core');
-const { validateTestDefinitions } = require('./validate');
+const {
+  executeTest, planTest, collectVariableReferences, lookupVariable, stringifyVariable, TEMPLATE_SECTIONS,
+} = require('./core');
+const { validateSuite } = require('./validate');
+const { evaluateCondition } = require('./condition');
+const { renderTemplates, templateVariables, seededRandom } = require('./template');
+const { createSecretStore } = require('./secrets');
+
+// Keys of a suite object; any other top-level object is a single test
+const PHASES = ['setup', 'tests', 'teardown'];
+const SUITE_KEYS = ['defaults', ...PHASES];
+const TEST_TYPE_KEYS = ['http', 'command', 'wait', 'httpBodyComparison'];
 
 /**
- * Parse a YAML string into an array of test definitions.
- * Accepts either a single test object or an array of test objects.
+ * Parse a YAML string into a suite of test definitions.
+ *
+ * Accepts a single test object, an array of test objects, or a suite object
+ * with `setup`, `tests` and `teardown` arrays.  Plain tests are returned as
+ * a suite with empty setup and teardown.  A suite's `defaults` block is
+ * merged into every definition (see normaliseDefinition).
+ *
+ * Other files can be pulled in two ways:
+ *  - an `{ include: ./common/login.yaml }` entry in any of the test arrays is
+ *    replaced by the setup, tests and teardown of that file, in that order;
+ *  - a `!include ./file.yaml` tag anywhere in the document is replaced by the
+ *    parsed content of that file.
+ * Relative include paths resolve against the directory of the including file
+ * (the current directory when `filePath` is not given), and include cycles
+ * are rejected.
+ *
+ * Definitions with a `matrix` or `forEach` field are expanded into one
+ * definition per data row (see expandDataRows).
  *
  * @param {string} yamlString - Raw YAML content
- * @returns {Array<object>} - Array of test definition objects
+ * @param {object} [options]
+ * @param {string} [options.filePath] - Path of the file yamlString was read from
+ * @returns {Suite}
+ *
+ * @typedef {object} Suite
+ * @property {Array<object>} setup    - Setup step definitions
+ * @property {Array<object>} tests    - Test definitions
+ * @property {Array<object>} teardown - Teardown step definitions
+ * @property {{setup: Array<string|null>, tests: Array<string|null>, teardown: Array<string|null>}} sources -
+ *   Absolute path of the file each definition was included from (null when it comes from yamlString itself)
  */
-function parseTestDefinitions(yamlString) {
-  let parsed;
+function parseSuite(yamlString, options = {}) {
+  const filePath = options.filePath ? path.resolve(options.filePath) : null;
+  const suite = parseSuiteFrom(yamlString, filePath, filePath ? [filePath] : []);
+  for (const phase of PHASES) {
+    suite.sources[phase] = suite.sources[phase].map((source) => (source === filePath ? null : source));
+  }
+
+  if (suite.tests.length === 0) {
+    throw new Error('No test definitions found in YAML');
+  }
+
+  return suite;
+}
+
+function parseSuiteFrom(yamlString, filePath, stack) {
+  const parsed = loadYaml(yamlString, filePath, stack);
+
+  if (!parsed || typeof parsed !== 'object') {
+    throw new Error(`Invalid YAML${inFile(filePath)}: expected an object or array of test definitions`);
+  }
+
+  const raw = isSuiteObject(parsed)
+    ? suiteFromObject(parsed)
+    : { defaults: {}, setup: [], tests: Array.isArray(parsed) ? parsed : [parsed], teardown: [] };
+
+  const suite = { sources: {} };
+  for (const phase of PHASES) {
+    const entries = expandIncludes(raw[phase], filePath, stack).flatMap(({ def, source }) => (
+      expandDataRows(normaliseDefinition(def, raw.defaults), source || filePath).map((expanded) => ({ def: expanded, source }))
+    ));
+    suite[phase] = entries.map(({ def }) => def);
+    suite.sources[phase] = entries.map(({ source }) => source);
+  }
+  return suite;
+}
+
+function isSuiteObject(parsed) {
+  return !Array.isArray(parsed) &&
+    SUITE_KEYS.some((key) => key in parsed) &&
+    !TEST_TYPE_KEYS.some((key) => key in parsed);
+}
+
+function suiteFromObject(parsed) {
+  const unknown = Object.keys(parsed).find((key) => !SUITE_KEYS.includes(key));
+  if (unknown) {
+    throw new Error(`Invalid suite: unknown property "${unknown}" (expected ${SUITE_KEYS.join(', ')})`);
+  }
+
+  const suite = { defaults: parsed.defaults || {} };
+  if (!isPlainObject(suite.defaults)) {
+    throw new Error('Invalid suite: "defaults" must be an object');
+  }
+
+  for (const key of PHASES) {
+    if (parsed[key] != null && !Array.isArray(parsed[key])) {
+      throw new Error(`Invalid suite: "${key}" must be an array of test definitions`);
+    }
+    suite[key] = parsed[key] || [];
+  }
+  return suite;
+}
+
+// File that each object inserted by a !include tag was read from
+const includedFrom = new WeakMap();
+
+function displayPath(filePath) {
+  return path.relative(process.cwd(), filePath) || filePath;
+}
+
+function inFile(filePath) {
+  return filePath ? ` in ${displayPath(filePath)}` : '';
+}
+
+function loadYaml(yamlString, filePath, stack) {
+  const schema = yaml.DEFAULT_SCHEMA.extend([
+    new yaml.Type('!include', {
+      kind: 'scalar',
+      resolve: (data) => typeof data === 'string' && data.length > 0,
+      construct: (target) => {
+        const { resolved, content } = readInclude(target, filePath, stack);
+        const value = loadYaml(content, resolved, [...stack, resolved]);
+        for (const item of Array.isArray(value) ? value : [value]) {
+          if (isPlainObject(item) && !includedFrom.has(item)) includedFrom.set(item, resolved);
+        }
+        return value;
+      },
+    }),
+  ]);
 
   try {
-    parsed = yaml.load(yamlString);
+    return yaml.load(yamlString, { schema });
   } catch (err) {
-    throw new Error(`Failed to parse YAML: ${err.message}`);
+    // Errors from nested includes already name their file
+    if (!(err instanceof yaml.YAMLException)) throw err;
+    throw new Error(`Failed to parse YAML${inFile(filePath)}: ${err.message}`);
   }
+}
 
-  if (!parsed || typeof parsed !== 'object') {
-    throw new Error('Invalid YAML: expected an object or array of test definitions');
+/**
+ * Resolve and read an included file.
+ *
+ * @param {string} target - Path as written in the including file
+ * @param {string|null} fromFile - Absolute path of the including file
+ * @param {string[]} stack - Files currently being included (outermost first)
+ * @returns {{resolved: string, content: string}}
+ */
+function readInclude(target, fromFile, stack) {
+  const resolved = path.resolve(fromFile ? path.dirname(fromFile) : process.cwd(), target);
+
+  if (stack.includes(resolved)) {
+    throw new Error(`Include cycle: ${[...stack, resolved].map(displayPath).join(' -> ')}`);
   }
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Included file not found: ${displayPath(resolved)}${fromFile ? ` (included from ${displayPath(fromFile)})` : ''}`);
+  }
+
+  return { resolved, content: fs.readFileSync(resolved, 'utf8') };
+}
+
+/**
+ * Replace `{ include: <path> }` entries of a test array by the definitions
+ * of the included file, and flatten arrays inserted by `- !include` items.
+ *
+ * @param {Array} items - Raw entries of a setup, tests or teardown array
+ * @param {string|null} filePath - Absolute path of the file the array is in
+ * @param {string[]} stack - Files currently being included (outermost first)
+ * @returns {Array<{def: object, source: string|null}>}
+ */
+function expandIncludes(items, filePath, stack) {
+  const entries = [];
 
-  const definitions = Array.isArray(parsed) ? parsed : [parsed];
+  for (const item of items) {
+    // Entries inserted by a !include tag resolve their own includes relative to their file
+    const from = includedFrom.get(item) || filePath;
+    const fromStack = from === filePath ? stack : [...stack, from];
 
-  if (definitions.length === 0) {
-    throw new Error('No test definitions found in YAML');
+    if (Array.isArray(item)) {
+      entries.push(...expandIncludes(item, filePath, stack));
+    } else if (isPlainObject(item) && 'include' in item) {
+      if (typeof item.include !== 'string' || Object.keys(item).length > 1) {
+        throw new Error(`Invalid include entry${inFile(from)}: expected { include: <path> }, got ${JSON.stringify(item)}`);
+      }
+
+      const { resolved, content } = readInclude(item.include, from, fromStack);
+      const included = parseSuiteFrom(content, resolved, [...fromStack, resolved]);
+      const defs = PHASES.flatMap((phase) => included[phase].map((def, i) => ({
+        def,
+        source: included.sources[phase][i] || resolved,
+      })));
+
+      if (defs.length === 0) {
+        throw new Error(`No test definitions found in included file ${displayPath(resolved)}`);
+      }
+      entries.push(...defs);
+    } else {
+      entries.push({ def: item, source: from });
+    }
   }
 
-  return definitions;
+  return entries;
 }
 
 /**
- * Normalise a raw test definition object.
+ * Parse a YAML string into an array of test definitions.
+ * Accepts a single test object, an array of test objects, or a suite object
+ * (see parseSuite), whose setup, tests and teardown are returned in order.
  *
- * The flat format (http / command / wait / expect at the top level) is the
- * canonical format expected by executeTest in v2.js.  This function is a
- * no-op on already-flat objects but could be extended later.
+ * @param {string} yamlString - Raw YAML content
+ * @param {object} [options] - See parseSuite
+ * @returns {Array<object>} - Array of test definition objects
+ */
+function parseTestDefinitions(yamlString, options = {}) {
+  const { setup, tests, teardown } = parseSuite(yamlString, options);
+  return [...setup, ...tests, ...teardown];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge `override` into `base`.  Objects are merged key by key; arrays
+ * and scalar values from `override` replace the base value.
+ *
+ * @param {*} base
+ * @param {*} override
+ * @returns {*} - A new merged value (inputs are not modified)
+ */
+function deepMerge(base, override) {
+  if (override === undefined) return base;
+  if (!isPlainObject(base) || !isPlainObject(override)) return override;
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = deepMerge(base[key], value);
+  }
+  return merged;
+}
+
+/**
+ * Normalise a raw test definition object by deep-merging the suite
+ * `defaults` into it; values set on the test win.
+ *
+ * Defaults for a test type key (http, command, wait, httpBodyComparison)
+ * only apply to tests of that type, so one defaults block can serve a file
+ * that mixes test types.
  *
  * @param {object} def - A single test definition
+ * @param {object} [defaults] - The suite's defaults block
  * @returns {object} - Normalised test definition
  */
-function normaliseDefinition(def) {
-  return def;
+function normaliseDefinition(def, defaults = {}) {
+  if (!isPlainObject(def)) return def;
+
+  const applicable = {};
+  for (const [key, value] of Object.entries(defaults)) {
+    if (!TEST_TYPE_KEYS.includes(key) || key in def) applicable[key] = value;
+  }
+  return keepRowValues(deepMerge(applicable, def), def);
+}
+
+const VARIABLE_NAME = /^[A-Z_][A-Z0-9_]*$/i;
+
+// Fields that are not rendered with row values: `if` sees them as variables
+const UNRENDERED_ROW_FIELDS = ['if', 'skip'];
+
+// Row values of each definition expanded from matrix / forEach, for its `if`
+// condition (see conditionalSkipReason)
+const rowValues = new WeakMap();
+
+function keepRowValues(copy, def) {
+  if (rowValues.has(def)) rowValues.set(copy, rowValues.get(def));
+  return copy;
+}
+
+/**
+ * Expand a definition with a `matrix` or `forEach` field into one definition
+ * per data row.
+ *
+ *  - `matrix: { KEY: [a, b], OTHER: [1, 2] }` yields every combination;
+ *  - `forEach: [{ KEY: a }, { KEY: b }]` yields the listed rows;
+ *  - `forEach: ./data.csv` loads the rows from a CSV (header row first),
+ *    JSON or YAML file, resolved against the directory of `filePath`.
+ *
+ * Row values are substituted for `$KEY` / `${KEY}` references anywhere in the
+ * definition but `if` and `skip`; a string that is only a reference takes the
+ * value with its type (so `statusCode: $STATUS` stays a number).  The `if`
+ * condition sees them as variables (see conditionalSkipReason).  Each generated name gets
+ * the row values appended unless the name already references a row variable.
+ *
+ * @param {object} def - A normalised test definition
+ * @param {string|null} filePath - File the definition was read from
+ * @returns {Array<object>} - The expanded definitions ([def] when it has no rows)
+ */
+function expandDataRows(def, filePath) {
+  if (!isPlainObject(def) || (!('matrix' in def) && !('forEach' in def))) return [def];
+
+  const { matrix, forEach, ...template } = def;
+  const label = template.name || template.test_title ? `test "${template.name || template.test_title}"` : 'unnamed test';
+
+  if (matrix !== undefined && forEach !== undefined) {
+    throw new Error(`Invalid ${label}: use either matrix or forEach, not both`);
+  }
+
+  const field = matrix !== undefined ? 'matrix' : 'forEach';
+  const rows = matrix !== undefined ? matrixRows(matrix, label) : forEachRows(forEach, filePath, label);
+
+  if (rows.length === 0) {
+    throw new Error(`Invalid ${field} in ${label}: no data rows`);
+  }
+  rows.forEach((row, i) => {
+    if (!isPlainObject(row)) {
+      throw new Error(`Invalid ${field} in ${label}: row ${i + 1} must be an object of variables`);
+    }
+    const invalid = Object.keys(row).find((key) => !VARIABLE_NAME.test(key));
+    if (invalid) {
+      throw new Error(`Invalid ${field} in ${label}: "${invalid}" is not a valid variable name`);
+    }
+  });
+
+  const namedByRow = (row) => typeof template.name === 'string' &&
+    templateVariables(template.name).some((name) => hasOwn(row, name));
+
+  return rows.map((row) => {
+    const expanded = substituteRow(template, row);
+    rowValues.set(expanded, row);
+    if (!namedByRow(row)) {
+      expanded.name = `${template.name || template.test_title || 'test'} [${rowLabel(row)}]`;
+    }
+    return expanded;
+  });
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function matrixRows(matrix, label) {
+  if (!isPlainObject(matrix)) {
+    throw new Error(`Invalid matrix in ${label}: expected an object of value lists`);
+  }
+
+  let rows = [{}];
+  for (const [key, values] of Object.entries(matrix)) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`Invalid matrix in ${label}: "${key}" must be a non-empty array`);
+    }
+    rows = rows.flatMap((row) => values.map((value) => ({ ...row, [key]: value })));
+  }
+  return rows;
+}
+
+function forEachRows(forEach, filePath, label) {
+  if (Array.isArray(forEach)) return forEach;
+  if (typeof forEach !== 'string') {
+    throw new Error(`Invalid forEach in ${label}: expected a list of rows or a data file path`);
+  }
+
+  const resolved = path.resolve(filePath ? path.dirname(filePath) : process.cwd(), forEach);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Data file not found for ${label}: ${displayPath(resolved)}`);
+  }
+
+  const content = fs.readFileSync(resolved, 'utf8');
+  const extension = path.extname(resolved).toLowerCase();
+  let rows;
+  try {
+    if (extension === '.csv') rows = parseCsv(content);
+    else if (extension === '.json') rows = JSON.parse(content);
+    else if (extension === '.yaml' || extension === '.yml') rows = yaml.load(content);
+    else throw new Error('unsupported file type (expected .csv, .json, .yaml or .yml)');
+  } catch (err) {
+    throw new Error(`Failed to load data file ${displayPath(resolved)} for ${label}: ${err.message}`);
+  }
+
+  if (!Array.isArray(rows)) {
+    throw new Error(`Invalid data file ${displayPath(resolved)} for ${label}: expected a list of rows`);
+  }
+  return rows;
+}
+
+/**
+ * Parse CSV content into row objects keyed by the header row.  Quoted
+ * fields may contain commas, newlines and doubled quotes; unquoted numbers
+ * and true / false become numbers and booleans.
+ *
+ * @param {string} content - CSV text
+ * @returns {Array<object>}
+ */
+function parseCsv(content) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let wasQuoted = false;
+
+  const endField = () => {
+    record.push(wasQuoted ? field : csvValue(field.trim()));
+    field = '';
+    wasQuoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (quoted) {
+      if (ch === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field.trim() === '') {
+      quoted = true;
+      wasQuoted = true;
+      field = '';
+    } else if (ch === ',') {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && content[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error('unterminated quoted field');
+  if (field !== '' || record.length > 0) endRecord();
+
+  const [header, ...data] = records;
+  if (!header) return [];
+
+  return data.map((values, i) => {
+    if (values.length !== header.length) {
+      throw new Error(`row ${i + 1} has ${values.length} fields, expected ${header.length}`);
+    }
+    return Object.fromEntries(header.map((key, j) => [String(key), values[j]]));
+  });
+}
+
+function csvValue(text) {
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (text === 'true' || text === 'false') return text === 'true';
+  return text;
+}
+
+/**
+ * Substitute row values for variable references in every string nested in
+ * the definition but `if` and `skip`, with the template syntax of core.js (defaults and filters
+ * apply to row values too).  References to names that are not in the row are
+ * left untouched for the run, and in the sections core.js renders again the
+ * substituted values are escaped so a "$" in a row value stays literal.
+ *
+ * @param {object} definition
+ * @param {object} row
+ * @returns {object}
+ */
+function substituteRow(definition, row) {
+  const lookup = (name) => (hasOwn(row, name) ? row[name] : undefined);
+  return Object.fromEntries(Object.entries(definition).map(([key, value]) => {
+    if (UNRENDERED_ROW_FIELDS.includes(key)) return [key, value];
+    const options = { keepUndefined: true, keepFunctions: true, escape: TEMPLATE_SECTIONS.includes(key) };
+    return [key, renderTemplates(value, lookup, options, key)];
+  }));
+}
+
+function rowValueString(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function rowLabel(row) {
+  return Object.entries(row).map(([key, value]) => `${key}=${rowValueString(value)}`).join(', ');
 }
 
 /**
@@ -59,105 +500,904 @@ function serialiseDefinition(def) {
 }
 
 /**
- * Run a single test definition with optional retry support.
+ * Display name of a test: its name, legacy test_title, or its position.
+ *
+ * @param {object} def - A test definition
+ * @param {number} index - 0-based index in the test array
+ * @returns {string}
+ */
+function testName(def, index) {
+  return def.name || def.test_title || `test-${index + 1}`;
+}
+
+/**
+ * Determine the test type of a definition from its type key.
+ *
+ * @param {object} def - A test definition
+ * @returns {string|null} - 'http', 'command', 'wait', 'httpBodyComparison' or null
+ */
+function testType(def) {
+  return TEST_TYPE_KEYS.find((key) => def[key]) || null;
+}
+
+/**
+ * Copy the execution details recorded by executeTest onto a test result.
+ *
+ * @param {object} report - Report filled in by executeTest for one attempt
+ * @param {object} [secretStore] - Secret store of the run, whose values are masked
+ * @returns {object} - request / response / commandResult / assertions / vars fields, and
+ *   bodyDifferences for comparisons whose bodies differ
+ */
+function reportFields(report, secretStore = createSecretStore()) {
+  const { mask, maskVariables } = secretStore;
+  return {
+    request: mask(report.request || null),
+    response: mask(report.response || null),
+    commandResult: mask(report.commandResult || null),
+    assertions: mask(report.assertions || []),
+    vars: maskVariables(report.vars || {}),
+    ...(report.bodyDifferences ? { bodyDifferences: mask(report.bodyDifferences) } : {}),
+  };
+}
+
+// Error codes of requests that never got a response
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND',
+  'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE',
+]);
+
+/**
+ * Resolve the retry policy of a definition: its `retry` block, or the
+ * legacy `retries` count (a constant 500ms pause, retrying any failure).
  *
  * @param {object} def - Normalised test definition
- * @param {number} index - 0-based index in the test array (for labelling)
- * @returns {Promise<{name: string, passed: boolean, error: string|null, durationMs: number}>}
+ * @returns {{attempts: number, delayMs: number, backoff: string, maxDelayMs: number, on: Array|null}}
  */
-async function runSingleTest(def, index) {
+function retryPolicy(def) {
+  if (def.retry) {
+    return {
+      attempts: def.retry.attempts,
+      delayMs: def.retry.delayMs !== undefined ? def.retry.delayMs : 500,
+      backoff: def.retry.backoff || 'constant',
+      maxDelayMs: def.retry.maxDelayMs !== undefined ? def.retry.maxDelayMs : Infinity,
+      on: def.retry.on || null,
+    };
+  }
+
   const retries = typeof def.retries === 'number' ? def.retries : 0;
-  const name = def.name || def.test_title || `test-${index + 1}`;
+  return { attempts: retries + 1, delayMs: 500, backoff: 'constant', maxDelayMs: Infinity, on: null };
+}
+
+/**
+ * Pause before the given retry (1 for the first retry).
+ *
+ * @param {object} policy - See retryPolicy
+ * @param {number} retry - 1-based retry number
+ * @returns {number} - Delay in milliseconds
+ */
+function retryDelay(policy, retry) {
+  let factor = 1;
+  if (policy.backoff === 'exponential') factor = 2 ** (retry - 1);
+  else if (policy.backoff === 'linear') factor = retry;
+  return Math.min(policy.delayMs * factor, policy.maxDelayMs);
+}
+
+/**
+ * Decide whether a failed attempt matches the policy's `on` conditions.
+ * Without conditions every failure is retried.
+ *
+ * @param {object} policy - See retryPolicy
+ * @param {Error} err - The attempt's error
+ * @param {object} report - The attempt's recorded details
+ * @param {string|null} type - Test type
+ * @returns {boolean}
+ */
+function shouldRetry(policy, err, report, type) {
+  if (!policy.on) return true;
+
+  // An HTTP request that got no response failed to connect
+  const connectionError = CONNECTION_ERROR_CODES.has(err.code) ||
+    ((type === 'http' || type === 'httpBodyComparison') && Boolean(report.request) && !report.response);
+  const statusCodes = [].concat(report.response || []).map((response) => response && response.statusCode);
+
+  return policy.on.some((condition) => (
+    condition === 'connectionError' ? connectionError : statusCodes.includes(condition)
+  ));
+}
+
+/**
+ * Wait between retry attempts; an aborted signal ends the wait early.
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function pause(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Run a single test definition with optional retry support (see retryPolicy).
+ *
+ * A test whose `skip` field is set, or whose `if` condition is false, is not
+ * executed and is reported as skipped with `conditional: true` (see
+ * conditionalSkipReason).
+ *
+ * The details of the last attempt (resolved request, response or command
+ * result, evaluated assertions and captured variables) are included in the
+ * returned result, together with the error of every failed attempt.
+ *
+ * Progress is passed to `emit` as it happens: testStart once the test is
+ * executed, attempt after every attempt and assertion for every evaluated
+ * assertion (see runTests).  testEnd is left to the caller.
+ *
+ * @param {object} def - Normalised test definition
+ * @param {number} index - 0-based index in the test array (for labelling)
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the running attempt (its requests
+ *   and child processes) and any further retries; the result is marked `interrupted`
+ * @param {object} [options.vars] - Variable store of the run: values taking precedence over
+ *   process.env, to which values captured by setVars are added
+ * @param {string} [options.seed] - Seed of the values generated by template functions; each
+ *   test draws from its own sequence, derived from the seed, its index and its name
+ * @param {function(): void} [options.onGenerate] - Called whenever a template function draws
+ *   from that sequence
+ * @param {string[]} [options.secrets] - Extra secret variable names and patterns (see secrets.js);
+ *   secret values are masked in the result
+ * @param {object} [options.secretStore] - Secret store of the run (see createSecretStore); a store
+ *   of this test alone when none is given
+ * @param {string} [options.phase='tests'] - Phase the test belongs to, passed on with its events
+ * @param {function(string, object): void} [options.emit] - Receives the test's events (see runEvents)
+ * @returns {Promise<TestResult>}
+ */
+async function runSingleTest(def, index, options = {}) {
+  const {
+    signal, vars, seed, onGenerate = () => {}, secrets, secretStore = createSecretStore(), phase = 'tests', emit = () => {},
+  } = options;
+  const skipReason = conditionalSkipReason(def, vars);
+  if (skipReason) {
+    return { ...unexecutedResult(def, index, skipReason), skipped: true, conditional: true };
+  }
+
+  const policy = retryPolicy(def);
+  const name = testName(def, index);
+  const type = testType(def);
   const yamlStr = serialiseDefinition(def);
+  const seeded = testRandom(seed, def, index);
+  const random = seeded && (() => {
+    onGenerate();
+    return seeded();
+  });
+  const event = { phase, index, name };
 
   let lastError = null;
+  let report = {};
+  let interrupted = false;
+  const attemptErrors = [];
   const start = Date.now();
+  emit('testStart', { ...event, type });
 
-  for (let attempt = 0; attempt <= retries; attempt++) {
+  for (let attempt = 1; attempt <= policy.attempts; attempt++) {
+    report = {};
+    const attemptStart = Date.now();
+    const onAssertion = (assertion) => emit('assertion', { ...event, attempt, ...secretStore.mask(assertion) });
     try {
-      await executeTest(yamlStr);
+      await executeTest(yamlStr, { report, signal, vars, random, secrets, secretStore, onAssertion });
+      emit('attempt', { ...event, attempt, passed: true, error: null, durationMs: Date.now() - attemptStart, willRetry: false });
       return {
         name,
+        type,
         passed: true,
         error: null,
         durationMs: Date.now() - start,
-        attempts: attempt + 1,
+        attempts: attempt,
+        attemptErrors,
+        ...reportFields(report, secretStore),
       };
     } catch (err) {
       lastError = err;
-      if (attempt < retries) {
-        // Brief pause between retries so transient failures can recover
-        await new Promise((r) => setTimeout(r, 500));
-      }
+      attemptErrors.push({ attempt, error: err.message });
+      interrupted = Boolean(signal && signal.aborted);
+      const willRetry = !interrupted && attempt < policy.attempts && shouldRetry(policy, err, report, type);
+      emit('attempt', { ...event, attempt, passed: false, error: err.message, durationMs: Date.now() - attemptStart, willRetry });
+      if (!willRetry) break;
+
+      // Pause between retries so transient failures can recover
+      await pause(retryDelay(policy, attempt), signal);
+      interrupted = Boolean(signal && signal.aborted);
+      if (interrupted) break;
     }
   }
 
   return {
     name,
+    type,
     passed: false,
     error: lastError ? lastError.message : 'Unknown error',
     durationMs: Date.now() - start,
-    attempts: retries + 1,
+    attempts: attemptErrors.length,
+    attemptErrors,
+    ...reportFields(report, secretStore),
+    ...(interrupted ? { interrupted: true } : {}),
+  };
+}
+
+/**
+ * The event sink of a run: each event goes to the `events` EventEmitter and
+ * to the matching callback (testEnd → onTestEnd).  A listener that throws
+ * neither stops the run nor keeps the other listener from the event: its
+ * error is logged to stderr and the run goes on.
+ *
+ * @param {object} options - Options of runTests
+ * @returns {function(string, object): void}
+ */
+function runEvents(options) {
+  const deliver = (name, send) => {
+    try {
+      send();
+    } catch (err) {
+      console.error(`Error in a ${name} listener of runTests:`, err);
+    }
+  };
+  return (name, payload) => {
+    const callback = options[`on${name[0].toUpperCase()}${name.slice(1)}`];
+    if (options.events) deliver(name, () => options.events.emit(name, payload));
+    if (typeof callback === 'function') deliver(name, () => callback(payload));
+  };
+}
+
+/**
+ * Check the secrets option of a run and register the values of the secret
+ * variables known before any test runs, those passed to the run and those in
+ * process.env, in the secret store of the run (see secrets.js)
+ *
+ * @param {string[]} [secrets] - Extra secret variable names and patterns
+ * @param {object} vars - Variable store of the run
+ * @param {object} secretStore - Secret store of the run
+ * @returns {string[]}
+ */
+function runSecrets(secrets = [], vars, secretStore) {
+  if (!Array.isArray(secrets) || !secrets.every((secret) => typeof secret === 'string' && secret !== '')) {
+    throw new Error(`Invalid secrets: expected an array of variable names or patterns, got ${JSON.stringify(secrets)}`);
+  }
+  secretStore.registerVariables(process.env, secrets);
+  secretStore.registerVariables(vars, secrets);
+  return secrets;
+}
+
+/**
+ * Random number source of one test's template functions (see runSingleTest)
+ *
+ * @param {string} [seed] - Seed of the run; without one Math.random is used
+ * @param {object} def - Test definition
+ * @param {number} index - 0-based index in the test array
+ * @returns {function(): number|undefined}
+ */
+function testRandom(seed, def, index) {
+  return seed === undefined ? undefined : seededRandom(`${seed}/${index}/${testName(def, index)}`);
+}
+
+/**
+ * Normalise the seed option of runTests and planTests: any string or number,
+ * or a new random seed when none is given
+ *
+ * @param {string|number} [seed]
+ * @returns {string}
+ */
+function runSeed(seed) {
+  if (seed === undefined) return String(crypto.randomInt(1, 2 ** 31));
+  if (!['string', 'number'].includes(typeof seed) || String(seed) === '') {
+    throw new Error(`Invalid seed: expected a string or number, got ${JSON.stringify(seed)}`);
+  }
+  return String(seed);
+}
+
+/**
+ * Work out whether a test's own `skip` / `if` fields keep it from running.
+ * The condition is evaluated when the test is about to start, so it sees
+ * variables set by earlier tests; the row values of a data-driven test take
+ * precedence over them, as in the rest of its definition.
+ *
+ * @param {object} def - Test definition
+ * @param {object} [vars] - Variable values taking precedence over process.env
+ * @returns {string|null} - Why the test is skipped, or null when it should run
+ */
+function conditionalSkipReason(def, vars) {
+  if (def.skip) {
+    return def.skip === true ? 'Marked as skipped' : def.skip;
+  }
+  const row = rowValues.get(def) || {};
+  if (def.if !== undefined && !evaluateCondition(def.if, (name) => {
+    const value = hasOwn(row, name) ? row[name] : lookupVariable(name, vars);
+    return value === undefined ? undefined : stringifyVariable(value);
+  })) {
+    return `Condition is false: ${def.if}`;
+  }
+  return null;
+}
+
+/**
+ * Work out which earlier tests each test has to wait for when tests run
+ * concurrently.  Two tests are ordered when one sets (setVars) a variable the
+ * other references or sets, or references a variable the other sets — i.e.
+ * read-after-write, write-after-read and write-after-write on the same name.
+ *
+ * @param {Array<object>} definitions - Test definitions in declared order
+ * @returns {Array<number[]>} - For each test, the indexes of the tests it depends on
+ */
+function findDependencies(definitions) {
+  const { sets, uses } = variableUsage(definitions);
+
+  return definitions.map((_, i) => {
+    const deps = [];
+    for (let j = 0; j < i; j++) {
+      if (overlaps(sets[j], uses[i]) || overlaps(uses[j], sets[i]) || overlaps(sets[j], sets[i])) {
+        deps.push(j);
+      }
+    }
+    return deps;
+  });
+}
+
+/**
+ * Work out which earlier tests set (setVars) the variables each test
+ * references: the tests it needs to have run first to get its values.
+ *
+ * @param {Array<object>} definitions - Test definitions in declared order
+ * @returns {Array<number[]>} - For each test, the indexes of the tests setting its variables
+ */
+function findSetVarsDependencies(definitions) {
+  const { sets, uses } = variableUsage(definitions);
+  return definitions.map((_, i) => {
+    const deps = [];
+    for (let j = 0; j < i; j++) {
+      if (overlaps(sets[j], uses[i])) deps.push(j);
+    }
+    return deps;
+  });
+}
+
+/**
+ * The variables each test sets through setVars and those it references
+ * elsewhere in its definition.
+ *
+ * @param {Array<object>} definitions - Test definitions
+ * @returns {{sets: Array<Set<string>>, uses: Array<Set<string>>}}
+ */
+function variableUsage(definitions) {
+  return {
+    sets: definitions.map((def) => new Set(Object.keys(def.setVars || {}))),
+    uses: definitions.map((def) => {
+      const { setVars, ...rest } = def;
+      return collectVariableReferences(rest);
+    }),
+  };
+}
+
+function overlaps(a, b) {
+  return [...a].some((name) => b.has(name));
+}
+
+/**
+ * Decide whether a test is selected by the name / tag filters.
+ *
+ * @param {object} def - Test definition
+ * @param {number} index - 0-based index in the test array (for labelling)
+ * @param {object} filters - { indexes, grep, tags, excludeTags } (see runTests), plus
+ *   `only` when some test is marked `only: true` (see selectionFilters)
+ * @returns {boolean} - true when the test should run
+ */
+function isSelected(def, index, { indexes, grep, tags, excludeTags, only } = {}) {
+  const name = testName(def, index);
+  const defTags = def.tags || [];
+
+  if (only && !def.only) return false;
+  if (indexes && !indexes.includes(index)) return false;
+  if (grep && !(grep instanceof RegExp ? grep : new RegExp(grep)).test(name)) return false;
+  if (tags && tags.length > 0 && !tags.some((tag) => defTags.includes(tag))) return false;
+  if (excludeTags && excludeTags.some((tag) => defTags.includes(tag))) return false;
+  return true;
+}
+
+/**
+ * The filters to select tests with: the grep / tags / excludeTags options,
+ * narrowed down to the tests marked `only: true` when there are any.
+ *
+ * @param {Array<object>} definitions - Test definitions
+ * @param {object} options - runTests options
+ * @returns {object} - Filters for isSelected
+ */
+function selectionFilters(definitions, options) {
+  return { ...options, only: definitions.some((def) => def.only) };
+}
+
+/**
+ * Decide which tests run (see isSelected).  With the `dependencies` option
+ * the earlier tests setting (setVars) variables that a selected test
+ * references are selected too, whatever the filters, and so are the tests
+ * those depend on.
+ *
+ * @param {Array<object>} definitions - Test definitions in declared order
+ * @param {object} options - runTests options
+ * @returns {boolean[]} - For each test, whether it is selected
+ */
+function selectTests(definitions, options) {
+  const filters = selectionFilters(definitions, options);
+  const selected = definitions.map((def, i) => isSelected(def, i, filters));
+
+  if (options.dependencies) {
+    const dependencies = findSetVarsDependencies(definitions);
+    // Dependencies come before their dependants, so one backward pass is transitive
+    for (let i = definitions.length - 1; i >= 0; i--) {
+      if (selected[i]) dependencies[i].forEach((j) => { selected[j] = true; });
+    }
+  }
+  return selected;
+}
+
+/**
+ * Build the result of a test that never got to execute.
+ *
+ * @param {object} def - Test definition
+ * @param {number} index - 0-based index in the test array (for labelling)
+ * @param {string} error - Why the test did not run
+ * @returns {TestResult}
+ */
+function unexecutedResult(def, index, error) {
+  return {
+    name: testName(def, index),
+    type: testType(def),
+    passed: false,
+    error,
+    durationMs: 0,
+    attempts: 0,
+    attemptErrors: [],
+    ...reportFields({}),
   };
 }
 
 /**
- * Run all tests defined in the YAML string sequentially.
- * Stops at the first failure (fail-fast).
+ * Create the variable store of a run from its vars option.  It is a copy, so
+ * values captured by setVars leak neither into the caller's object nor into
+ * other runs.
+ *
+ * @param {object} [vars] - Variable values (any JSON type)
+ * @returns {object}
+ */
+function runVariables(vars = {}) {
+  if (!isPlainObject(vars)) {
+    throw new Error('Invalid vars: expected an object mapping variable names to values');
+  }
+  const result = {};
+  for (const [name, value] of Object.entries(vars)) {
+    if (!VARIABLE_NAME.test(name)) {
+      throw new Error(`Invalid vars: "${name}" is not a valid variable name`);
+    }
+    result[name] = value;
+  }
+  return result;
+}
+
+/**
+ * Give every definition without its own timeoutSeconds the run-wide default.
+ *
+ * @param {Suite} suite - Parsed suite
+ * @param {number} [seconds] - Default timeout; nothing changes when omitted
+ * @returns {Suite}
+ */
+function withDefaultTimeout(suite, seconds) {
+  if (seconds === undefined) return suite;
+
+  const result = { ...suite };
+  for (const phase of PHASES) {
+    result[phase] = suite[phase].map((def) => (
+      def.timeoutSeconds === undefined ? keepRowValues({ ...def, timeoutSeconds: seconds }, def) : def
+    ));
+  }
+  return result;
+}
+
+/**
+ * Run setup or teardown steps one after another.
+ *
+ * @param {Array<object>} definitions - The steps
+ * @param {object} options
+ * @param {boolean} options.stopOnFailure - Skip the remaining steps after a failure
+ *   (steps marked continueOnFailure never stop the phase)
+ * @param {AbortSignal} [options.signal] - Skip the remaining steps once aborted
+ * @param {object} [options.vars] - Variable values (see runSingleTest)
+ * @param {string} [options.seed] - Seed of generated values (see runSingleTest)
+ * @param {function(): void} [options.onGenerate] - See runSingleTest
+ * @param {string[]} [options.secrets] - Extra secret variable names and patterns (see runSingleTest)
+ * @param {object} options.secretStore - Secret store of the run (see runSingleTest)
+ * @param {string} options.phase - 'setup' or 'teardown'
+ * @param {function(string, object): void} options.emit - Receives the steps' events (see runEvents)
+ * @returns {Promise<TestResult[]>}
+ */
+async function runSteps(definitions, { stopOnFailure, signal, vars, seed, onGenerate, secrets, secretStore, phase, emit }) {
+  const results = [];
+  let skipReason = null;
+
+  for (let i = 0; i < definitions.length; i++) {
+    const def = definitions[i];
+    if (!skipReason && signal && signal.aborted) skipReason = 'Skipped due to interruption';
+    if (skipReason) {
+      results.push({ ...unexecutedResult(def, i, skipReason), skipped: true });
+      emit('testEnd', { phase, index: i, result: results[i] });
+      continue;
+    }
+
+    const result = await runSingleTest(def, i, { signal, vars, seed, onGenerate, secrets, secretStore, phase, emit }).catch((err) => (
+      unexecutedResult(def, i, err.message)
+    ));
+    results.push(result);
+    emit('testEnd', { phase, index: i, result });
+    if (result.interrupted) skipReason = 'Skipped due to interruption';
+    else if (!result.passed && !result.skipped && stopOnFailure && !def.continueOnFailure) skipReason = 'Skipped due to previous failure';
+  }
+
+  return results;
+}
+
+/**
+ * Run all tests defined in the YAML string.
+ *
+ * Tests run one after another by default.  With `concurrency` > 1 up to that
+ * many tests run at the same time, except that a test always waits for the
+ * earlier tests it shares setVars variables with (see findDependencies).
+ * Results are returned in declared order either way.  Execution is fail-fast
+ * by default: after the first failure no further test is started and the
+ * remaining ones are reported as skipped.  Failures of tests marked
+ * `continueOnFailure: true`, or any failure when `failFast` is false, are
+ * collected without aborting the rest of the suite.
+ *
+ * Tests filtered out by `grep`, `tags` or `excludeTags` are not executed and
+ * are reported as deselected.  When any test is marked `only: true`, the
+ * tests that are not are deselected as well.  Tests whose `skip` field is set
+ * or whose `if` condition is false are reported as skipped with
+ * `conditional: true`; they never trigger fail-fast.
+ *
+ * A suite object's `setup` steps run first, one at a time; a failing setup
+ * step (unless marked `continueOnFailure`) skips the rest of the setup and
+ * every test.  `teardown` steps then always run, one at a time and all of
+ * them, even after failures or once `signal` is aborted.  Setup and teardown
+ * are skipped altogether when the filters select no test.
+ *
+ * Aborting `signal` stops new setup steps and tests from starting and stops
+ * the ones already running: their requests are aborted and child processes
+ * killed, and they are reported as failed with `interrupted: true`.  The rest
+ * are reported as skipped, and the result is marked `interrupted`.
  *
  * @param {string} yamlString - Raw YAML content (single object or array)
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1] - Maximum number of tests running at once
+ * @param {boolean} [options.failFast=true] - Stop at the first failure
+ * @param {number[]} [options.indexes] - Only run the tests at these 0-based positions
+ * @param {boolean} [options.dependencies=false] - Also run the earlier tests that set (setVars)
+ *   variables the selected tests reference, whatever the filters (see selectTests)
+ * @param {string|RegExp} [options.grep] - Only run tests whose name matches
+ * @param {string[]} [options.tags] - Only run tests carrying at least one of these tags
+ * @param {string[]} [options.excludeTags] - Never run tests carrying any of these tags
+ * @param {number} [options.timeout] - Default timeoutSeconds for tests that do not set one
+ * @param {AbortSignal} [options.signal] - Interrupts the run (teardown still runs)
+ * @param {object} [options.vars] - Variable values for $VAR references; they take
+ *   precedence over process.env, and values captured by setVars take precedence over them.
+ *   Captured values stay in the run (see result.vars) unless their rule sets `export: true`
+ * @param {string|number} [options.seed] - Seed for the values of template functions such as
+ *   ${uuid()} and ${randomInt(1, 100)}: a run with the same seed generates the same values.
+ *   A random seed is used when none is given (see result.seed)
+ * @param {string[]} [options.secrets] - Variable names and patterns such as "DB_*" whose values are
+ *   secret, besides those matching DEFAULT_SECRET_PATTERNS (see secrets.js).  Secret values, and
+ *   those of Authorization and Cookie headers, are masked in the results and in debug logs
+ * @param {object} [options.secretStore] - Store the secret values of the run are registered in
+ *   (see createSecretStore in secrets.js).  Each run has its own unless one is given: the CLI
+ *   shares one between its runs and its reporters
+ * @param {string} [options.filePath] - File the YAML was read from; include paths resolve against it
+ * @param {EventEmitter} [options.events] - Receives the events of the run as they happen (see RunEvents)
+ * @param {function(object): void} [options.onSuiteStart] - Called with each event of the same name;
+ *   likewise onTestStart, onAttempt, onAssertion, onTestEnd and onSuiteEnd
  * @returns {Promise<RunResult>}
  *
+ * @typedef {object} RunEvents - Events of a run, in the order they happen (payloads in braces).
+ *   Setup steps, tests and teardown steps send the same test events, told apart by `phase`;
+ *   with concurrency the events of several tests interleave.  Deselected tests send none.
+ * @property {{total: number, selected: number, tests: Array<{name: string, type: string|null, selected: boolean}>,
+ *   seed: string, filePath?: string}} suiteStart - The suite is valid and about to run
+ * @property {{phase: string, index: number, name: string, type: string|null}} testStart -
+ *   A test starts executing (not sent for skipped tests)
+ * @property {{phase: string, index: number, name: string, attempt: number, passed: boolean,
+ *   error: string|null, durationMs: number, willRetry: boolean}} attempt - An attempt is over
+ * @property {{phase: string, index: number, name: string, attempt: number, description: string,
+ *   passed: boolean, error?: string}} assertion - An expectation has been evaluated
+ * @property {{phase: string, index: number, result: TestResult}} testEnd - A test, skipped or not,
+ *   has its result
+ * @property {{result: RunResult}} suiteEnd - The run is over, teardown included
+ *
  * @typedef {object} RunResult
- * @property {number} total   - Total number of tests defined
+ * @property {number} total   - Total number of tests defined (setup and teardown excluded)
  * @property {number} passed  - Number of tests that passed
- * @property {number} failed  - Number of tests that failed (0 or 1 with fail-fast)
- * @property {number} skipped - Number of tests skipped due to fail-fast
+ * @property {number} failed  - Number of tests that failed
+ * @property {number} skipped - Number of tests skipped due to fail-fast, setup failure, interruption
+ *   or their own skip / if fields
+ * @property {number} deselected - Number of tests filtered out by grep / tags / only
  * @property {TestResult[]} results - Per-test outcome
+ * @property {TestResult[]} setup - Per-step outcome of the suite setup
+ * @property {TestResult[]} teardown - Per-step outcome of the suite teardown
+ * @property {boolean} interrupted - Whether `signal` was aborted during the run
+ * @property {object} vars - Variables at the end of the run: the vars option plus every value
+ *   captured by setVars, with its JSON type (not masked)
+ * @property {string} seed - Seed of the generated values; pass it as the seed option to repeat them
+ * @property {boolean} seedUsed - Whether a template function drew a generated value from the seed,
+ *   i.e. whether the seed matters to repeat the run
  *
  * @typedef {object} TestResult
  * @property {string}      name       - Test name/title
+ * @property {string|null} type       - Test type: http, command, wait or httpBodyComparison
  * @property {boolean}     passed     - Whether the test passed
  * @property {string|null} error      - Error message on failure
  * @property {number}      durationMs - Wall-clock time in milliseconds
  * @property {number}      attempts   - Number of attempts made (retry support)
+ * @property {Array<{attempt: number, error: string}>} attemptErrors - Why each failed attempt failed
+ * @property {object|Array|null} request - Resolved request ({url, method, headers[, params][, body]} for HTTP,
+ *   {command, env, workingDir} for commands, {command, jsonPath} for waits; an array of two for comparisons)
+ * @property {object|Array|null} response - HTTP response ({statusCode, headers, body}; an array of two
+ *   for comparisons) or the extracted value for waits ({value})
+ * @property {object|null} commandResult - Command result ({stdout, stderr, exitCode[, json]})
+ * @property {Array<{description: string, passed: boolean, error?: string}>} assertions - Evaluated assertions
+ * @property {object}      vars       - Variables captured by setVars, with their JSON types
+ * @property {Array<object>} [bodyDifferences] - Differences between the bodies of a failed comparison,
+ *   as in its error: {path, kind, lhs, rhs} for an edit (E), addition (N) or deletion (D) at the
+ *   path (an array of keys), {path, kind: 'A', lhs, rhs, items} for an array whose items were
+ *   added or removed, with the array before and after and the changed {index, kind, lhs, rhs} items
+ * @property {boolean}     [interrupted] - Set when `signal` stopped the test while it was running
+ * @property {boolean}     [conditional] - Set on tests skipped by their skip / if fields; `error` holds the reason
  */
-async function runTests(yamlString) {
-  const definitions = parseTestDefinitions(yamlString);
+async function runTests(yamlString, options = {}) {
+  const { concurrency = 1, failFast = true, signal } = options;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency: expected a positive integer, got ${concurrency}`);
+  }
+  if (options.timeout !== undefined && !(typeof options.timeout === 'number' && options.timeout > 0)) {
+    throw new Error(`Invalid timeout: expected a positive number of seconds, got ${options.timeout}`);
+  }
+  const vars = runVariables(options.vars);
+  const seed = runSeed(options.seed);
+  let seedUsed = false;
+  const onGenerate = () => {
+    seedUsed = true;
+  };
+  const secretStore = options.secretStore || createSecretStore();
+  const secrets = runSecrets(options.secrets, vars, secretStore);
+  const emit = runEvents(options);
+
+  const suite = withDefaultTimeout(parseSuite(yamlString, { filePath: options.filePath }), options.timeout);
 
   // Validate all definitions before executing any test
-  validateTestDefinitions(definitions);
+  validateSuite(suite);
 
+  const definitions = suite.tests;
   const total = definitions.length;
-  const results = [];
+  const dependencies = findDependencies(definitions);
+  const results = new Array(total);
+  const started = new Array(total).fill(false);
+  const aborted = () => Boolean(signal && signal.aborted);
+  const selection = selectTests(definitions, options);
+  let failedFast = false;
 
-  for (let i = 0; i < definitions.length; i++) {
-    const def = normaliseDefinition(definitions[i]);
-    const result = await runSingleTest(def, i);
-    results.push(result);
+  definitions.forEach((def, i) => {
+    if (!selection[i]) {
+      started[i] = true;
+      results[i] = { ...unexecutedResult(def, i, null), deselected: true };
+    }
+  });
+
+  const anySelected = started.includes(false);
+  emit('suiteStart', {
+    total,
+    selected: started.filter((s) => !s).length,
+    tests: definitions.map((def, i) => ({ name: testName(def, i), type: testType(def), selected: !started[i] })),
+    seed,
+    ...(options.filePath ? { filePath: options.filePath } : {}),
+  });
+
+  const setup = anySelected
+    ? await runSteps(suite.setup, { stopOnFailure: true, signal, vars, seed, onGenerate, secrets, secretStore, phase: 'setup', emit })
+    : [];
+  const setupFailed = setup.some((r, i) => !r.passed && !r.skipped && !r.interrupted && !suite.setup[i].continueOnFailure);
 
-    if (!result.passed) {
-      // Fail-fast: record the rest as skipped
-      for (let j = i + 1; j < definitions.length; j++) {
-        const skippedDef = definitions[j];
-        results.push({
-          name: skippedDef.name || skippedDef.test_title || `test-${j + 1}`,
-          passed: false,
-          error: 'Skipped due to previous failure',
-          durationMs: 0,
-          attempts: 0,
-          skipped: true,
+  await new Promise((resolve) => {
+    let running = 0;
+
+    const launch = () => {
+      for (let i = 0; i < total && running < concurrency && !failedFast && !setupFailed && !aborted(); i++) {
+        if (started[i] || !dependencies[i].every((j) => results[j])) continue;
+
+        started[i] = true;
+        running++;
+        runSingleTest(definitions[i], i, { signal, vars, seed, onGenerate, secrets, secretStore, emit }).catch((err) => (
+          unexecutedResult(definitions[i], i, err.message)
+        )).then((result) => {
+          results[i] = result;
+          running--;
+          emit('testEnd', { phase: 'tests', index: i, result });
+          if (!result.passed && !result.skipped && !result.interrupted && failFast && !definitions[i].continueOnFailure) {
+            failedFast = true;
+          }
+          launch();
         });
       }
-      break;
+
+      if (running === 0) resolve();
+    };
+
+    launch();
+  });
+
+  // Record every test that was never started as skipped
+  let skipReason = 'Skipped due to previous failure';
+  if (setupFailed) skipReason = 'Skipped due to setup failure';
+  else if (!failedFast && aborted()) skipReason = 'Skipped due to interruption';
+  for (let i = 0; i < total; i++) {
+    if (!results[i]) {
+      results[i] = { ...unexecutedResult(definitions[i], i, skipReason), skipped: true };
+      emit('testEnd', { phase: 'tests', index: i, result: results[i] });
     }
   }
 
+  const teardown = anySelected
+    ? await runSteps(suite.teardown, { stopOnFailure: false, vars, seed, onGenerate, secrets, secretStore, phase: 'teardown', emit })
+    : [];
+
   const passed = results.filter((r) => r.passed).length;
-  const failed = results.filter((r) => !r.passed && !r.skipped).length;
+  const failed = results.filter((r) => !r.passed && !r.skipped && !r.deselected).length;
   const skipped = results.filter((r) => r.skipped).length;
+  const deselected = results.filter((r) => r.deselected).length;
+
+  const result = {
+    total, passed, failed, skipped, deselected, results, setup, teardown, interrupted: aborted(), vars, seed, seedUsed,
+  };
+  emit('suiteEnd', { result });
+  return result;
+}
+
+/**
+ * List the tests defined in the YAML string that the given filters select,
+ * without running them.
+ *
+ * @param {string} yamlString - Raw YAML content (single object or array)
+ * @param {object} [options] - Same indexes / grep / tags / excludeTags filters, dependencies and filePath
+ *   as runTests
+ * @returns {Array<{name: string, type: string|null, tags: string[]}>}
+ */
+function listTests(yamlString, options = {}) {
+  const suite = parseSuite(yamlString, { filePath: options.filePath });
+  validateSuite(suite);
+
+  const selection = selectTests(suite.tests, options);
+  return suite.tests
+    .map((def, i) => ({ def, i }))
+    .filter(({ i }) => selection[i])
+    .map(({ def, i }) => ({
+      name: testName(def, i),
+      type: testType(def),
+      tags: def.tags || [],
+    }));
+}
+
+/**
+ * Work out what a run would do without sending anything (dry run): every
+ * selected test, with the setup and teardown steps around them, resolved the
+ * same way as when it runs (see planTest). Variables that earlier tests
+ * would set through setVars are not known yet and stay unresolved.  With
+ * the seed of a run, generated values are those of each test's first attempt.
+ *
+ * @param {string} yamlString - Raw YAML content (single object or array)
+ * @param {object} [options] - Same indexes / grep / tags / excludeTags filters, dependencies, vars, seed,
+ *   secrets, secretStore and filePath as runTests; secret values are masked in the plan
+ * @returns {Array<{phase: string, name: string, type: string|null, request: object|Array, commands: string[]}>}
+ */
+function planTests(yamlString, options = {}) {
+  const suite = parseSuite(yamlString, { filePath: options.filePath });
+  validateSuite(suite);
+  const vars = runVariables(options.vars);
+  const seed = runSeed(options.seed);
+  const secretStore = options.secretStore || createSecretStore();
+  const secrets = runSecrets(options.secrets, vars, secretStore);
+
+  const plan = (phase, def, i) => ({
+    phase,
+    name: testName(def, i),
+    type: testType(def),
+    ...secretStore.mask(planTest(serialiseDefinition(def), { vars, random: testRandom(seed, def, i), secrets, secretStore })),
+  });
 
-  return { total, passed, failed, skipped, results };
+  // Like runTests, setup and teardown only run when a test is selected
+  const selection = selectTests(suite.tests, options);
+  const selected = suite.tests
+    .map((def, i) => ({ def, i }))
+    .filter(({ i }) => selection[i]);
+  if (selected.length === 0) return [];
+
+  return [
+    ...suite.setup.map((def, i) => plan('setup', def, i)),
+    ...selected.map(({ def, i }) => plan('tests', def, i)),
+    ...suite.teardown.map((def, i) => plan('teardown', def, i)),
+  ];
+}
+
+/**
+ * Per-test statistics over several runs of the same suite (see --repeat).
+ * Deselected tests are left out; runs in which a test was skipped do not
+ * count towards its pass rate, durations or attempts.  A test is flaky when
+ * it passed in some runs and failed in others, or when it passed only after
+ * retries: both runs count as green, but would not have without luck.
+ *
+ * @param {RunResult[]} runs - Results of runTests for each run, in order
+ * @returns {TestStats[]}
+ *
+ * @typedef {object} TestStats
+ * @property {string}      name    - Test name/title
+ * @property {string|null} type    - Test type
+ * @property {number}      runs    - Runs in which the test executed
+ * @property {number}      passed  - Runs in which it passed
+ * @property {number}      failed  - Runs in which it failed (or was interrupted)
+ * @property {number}      skipped - Runs in which it was skipped
+ * @property {number|null} passRate - passed / runs, null when it never executed
+ * @property {number|null} meanDurationMs - Mean durationMs of the runs it executed in
+ * @property {number|null} p95DurationMs  - 95th percentile (nearest rank) of those durations
+ * @property {number}      attempts    - Attempts made over every run
+ * @property {number}      maxAttempts - Most attempts made in a single run
+ * @property {number}      retriedPasses - Runs in which it passed only after retries
+ * @property {boolean}     flaky   - Whether its outcome depended on the run or on retries
+ */
+function summarizeRuns(runs) {
+  if (runs.length === 0) return [];
+
+  return runs[0].results
+    .map((first, i) => ({ first, results: runs.map((run) => run.results[i]) }))
+    .filter(({ first }) => !first.deselected)
+    .map(({ first, results }) => {
+      const executed = results.filter((r) => !r.skipped);
+      const passed = executed.filter((r) => r.passed).length;
+      const durations = executed.map((r) => r.durationMs).sort((a, b) => a - b);
+      const retriedPasses = executed.filter((r) => r.passed && r.attempts > 1).length;
+
+      return {
+        name: first.name,
+        type: first.type,
+        runs: executed.length,
+        passed,
+        failed: executed.length - passed,
+        skipped: results.length - executed.length,
+        passRate: executed.length > 0 ? passed / executed.length : null,
+        meanDurationMs: durations.length > 0
+          ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length)
+          : null,
+        p95DurationMs: durations.length > 0 ? durations[Math.ceil(durations.length * 0.95) - 1] : null,
+        attempts: executed.reduce((sum, r) => sum + r.attempts, 0),
+        maxAttempts: Math.max(0, ...executed.map((r) => r.attempts)),
+        retriedPasses,
+        flaky: (passed > 0 && passed < executed.length) || retriedPasses > 0,
+      };
+    });
 }
 
-module.exports = { runTests, parseTestDefinitions, runSingleTest };
+module.exports = {
+  runTests,
+  listTests,
+  planTests,
+  parseSuite,
+  parseTestDefinitions,
+  runSingleTest,
+  selectTests,
+  summarizeRuns,
+  testName,
+};
@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * Masking of secret values in debug logs, error messages and reports.
+ *
+ * A value becomes a secret when
+ *
+ *   - a setVars rule marked `secret: true` captures it,
+ *   - a variable whose name matches a secret pattern (DEFAULT_SECRET_PATTERNS,
+ *     plus the names and patterns passed with --secret / the secrets option)
+ *     is used in a template or passed to the run, or
+ *   - it is sent in a request header named in SECRET_HEADERS.
+ *
+ * Secret values are kept in a secret store (see createSecretStore).  Each
+ * run of runTests has its own, so that text produced long after a value was
+ * first seen (a later test's response, a reporter's output) is still masked,
+ * while one run's secrets neither pile up in a long-lived process nor mask
+ * another run's output.  The CLI passes a single store to all of its runs.
+ * A store's mask method replaces every occurrence of its values with
+ * SECRET_MASK.
+ */
+
+const SECRET_MASK = '****';
+
+// `*` matches any run of characters; names are compared case-insensitively
+const DEFAULT_SECRET_PATTERNS = ['*TOKEN', '*SECRET', '*PASSWORD', '*API_KEY'];
+
+// Shorter values are not masked in text: masking every "t" or "42" would
+// garble the output without hiding anything worth hiding
+const MIN_SECRET_LENGTH = 4;
+
+// Request and response headers whose values are always masked (lower case)
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+// Stores of the tests in progress, which mask debug logs (see maskActiveSecrets),
+// with the number of tests using each
+const activeStores = new Map();
+
+/**
+ * Whether a variable name is a secret: it matches one of the default
+ * patterns or one of the given names / patterns
+ * @param {string} name - The variable name
+ * @param {string[]} [patterns] - Extra names and patterns (`*` is a wildcard)
+ * @returns {boolean}
+ */
+function isSecretName(name, patterns = []) {
+  return [...DEFAULT_SECRET_PATTERNS, ...patterns].some((pattern) => {
+    const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i').test(name);
+  });
+}
+
+function isSecretHeader(name) {
+  return SECRET_HEADERS.includes(name.toLowerCase());
+}
+
+/**
+ * The text a secret value is registered and matched as: strings trimmed,
+ * other values as their JSON text
+ * @param {*} value
+ * @returns {string}
+ */
+function secretText(value) {
+  return typeof value === 'string' ? value.trim() : JSON.stringify(value);
+}
+
+/**
+ * Create a secret store: the secret values seen by one run and the masking
+ * of text with them.
+ * @returns {{register: function(*): void, registerHeaders: function(object=): void,
+ *   registerVariables: function(object, string[]=): void, mask: function(*): *,
+ *   maskVariables: function(object): object, clear: function(): void}}
+ */
+function createSecretStore() {
+  const values = new Set();
+  let maskPattern = null;
+
+  /**
+   * The regular expression matching any secret value, longest first so that
+   * a secret containing another one is masked as a whole.  Values are also
+   * matched as they appear escaped inside JSON text.
+   * @returns {RegExp|null}
+   */
+  function secretPattern() {
+    if (!maskPattern && values.size) {
+      const forms = new Set();
+      for (const value of values) {
+        forms.add(value);
+        forms.add(JSON.stringify(value).slice(1, -1));
+      }
+      const alternatives = [...forms]
+        .sort((a, b) => b.length - a.length)
+        .map((form) => form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      maskPattern = new RegExp(alternatives.join('|'), 'g');
+    }
+    return maskPattern;
+  }
+
+  /**
+   * Remember a secret value so that mask hides it from now on.
+   * Non-string values are masked as their JSON text; values shorter than
+   * MIN_SECRET_LENGTH are ignored.
+   * @param {*} value - The secret value
+   */
+  function register(value) {
+    if (value === undefined || value === null) return;
+    const text = secretText(value);
+    if (text.length < MIN_SECRET_LENGTH || values.has(text)) return;
+
+    values.add(text);
+    maskPattern = null;
+  }
+
+  /**
+   * Register the values of the secret headers of a request.  A value with an
+   * authentication scheme ("Bearer abc") also hides the credential on its own.
+   * @param {object} [headers] - Header names and values
+   */
+  function registerHeaders(headers) {
+    for (const [name, value] of Object.entries(headers || {})) {
+      if (!isSecretHeader(name)) continue;
+      register(value);
+      const credential = /^[A-Za-z][\w-]*\s+(\S.*)$/.exec(String(value).trim());
+      if (credential) register(credential[1]);
+    }
+  }
+
+  /**
+   * Register the values of the secret variables among `vars`
+   * @param {object} vars - Variable names and values
+   * @param {string[]} [patterns] - Extra secret names and patterns (see isSecretName)
+   */
+  function registerVariables(vars, patterns) {
+    for (const [name, value] of Object.entries(vars || {})) {
+      if (isSecretName(name, patterns)) register(value);
+    }
+  }
+
+  /**
+   * Mask secrets in a value: registered secret values are replaced with
+   * SECRET_MASK in every string nested inside it, and the values of secret
+   * headers (SECRET_HEADERS, matched by key) are masked as a whole.
+   * Returns a masked copy (objects with a toJSON method as their JSON form);
+   * the value itself is not modified.
+   * @param {*} value - A string, array or object
+   * @returns {*} - The masked value
+   */
+  function mask(value) {
+    if (typeof value === 'string') {
+      const pattern = secretPattern();
+      return pattern ? value.replace(pattern, SECRET_MASK) : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(mask);
+    }
+    if (value && typeof value.toJSON === 'function') {
+      // e.g. the AxiosHeaders of a response
+      return mask(value.toJSON());
+    }
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+      const masked = {};
+      for (const [key, item] of Object.entries(value)) {
+        if (isSecretHeader(key) && typeof item === 'string') {
+          masked[key] = SECRET_MASK;
+        } else if (isSecretHeader(key) && Array.isArray(item)) {
+          masked[key] = item.map(() => SECRET_MASK);
+        } else {
+          masked[key] = mask(item);
+        }
+      }
+      return masked;
+    }
+    return value;
+  }
+
+  /**
+   * Mask the values of variables (e.g. those captured by setVars): secret
+   * values, whatever their type, are replaced with SECRET_MASK as a whole and
+   * other values go through mask
+   * @param {object} vars - Variable names and values
+   * @returns {object} - The masked copy
+   */
+  function maskVariables(vars) {
+    const masked = {};
+    for (const [name, value] of Object.entries(vars)) {
+      masked[name] = values.has(secretText(value)) ? SECRET_MASK : mask(value);
+    }
+    return masked;
+  }
+
+  /**
+   * Forget every registered secret value
+   */
+  function clear() {
+    values.clear();
+    maskPattern = null;
+  }
+
+  return { register, registerHeaders, registerVariables, mask, maskVariables, clear };
+}
+
+/**
+ * Mark a secret store as in use by a test in progress (see executeTest), so
+ * that debug logs, which are written outside of any test's context, are
+ * masked with it too.  Tests running side by side may share a store: it
+ * stays active until the last of them is over.
+ * @param {object} store - A store made by createSecretStore
+ * @returns {function(): void} - Call when the test is over
+ */
+function activateSecretStore(store) {
+  activeStores.set(store, (activeStores.get(store) || 0) + 1);
+  return () => {
+    const count = activeStores.get(store) - 1;
+    if (count > 0) activeStores.set(store, count);
+    else activeStores.delete(store);
+  };
+}
+
+/**
+ * Mask a value with the stores of every test in progress (for debug logs)
+ * @param {*} value - A string, array or object
+ * @returns {*} - The masked value
+ */
+function maskActiveSecrets(value) {
+  let masked = value;
+  for (const store of activeStores.keys()) masked = store.mask(masked);
+  return masked;
+}
+
+module.exports = {
+  SECRET_MASK,
+  DEFAULT_SECRET_PATTERNS,
+  SECRET_HEADERS,
+  isSecretName,
+  createSecretStore,
+  activateSecretStore,
+  maskActiveSecrets,
+};
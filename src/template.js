@@ -0,0 +1,449 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Variable templates in the string fields of a test definition.
+ *
+ *   $VAR, ${VAR}            the value of VAR
+ *   ${VAR:-default}         default when VAR is unset or empty
+ *   ${VAR:?message}         fail with message when VAR is unset or empty
+ *   ${uuid()}               a generated value (see FUNCTIONS); arguments are
+ *                           quoted strings, numbers, $VAR or other calls:
+ *                           ${sha256($USER)}, ${randomInt(1, 100)}
+ *   ${VAR | upper}          filters (see FILTERS), chained left to right:
+ *                           ${VAR:-none | json | base64}
+ *   $$                      a literal $
+ *
+ * A `$` not followed by a variable name, `{` or `$` (e.g. "$.token", "$1",
+ * "$(date)", "cost: 5$") is left as it is.  A string that is nothing but one
+ * reference takes the value with its JSON type; references inside longer
+ * strings are replaced by their text, with non-string values written as JSON.
+ * Referencing a variable that is not set, without a default, is an error.
+ */
+
+const NAME = /^[A-Z_][A-Z0-9_]*/i;
+const BRACED = /^([A-Z_][A-Z0-9_]*)\s*(?::([-?])([^|]*))?((?:\|\s*[A-Z][A-Z0-9]*\s*)*)$/i;
+const CALL = /^[A-Z_][A-Z0-9_]*\s*\(/i;
+const ALPHANUMERIC = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const FILTERS = {
+  upper: (value) => text(value).toUpperCase(),
+  lower: (value) => text(value).toLowerCase(),
+  trim: (value) => text(value).trim(),
+  base64: (value) => Buffer.from(text(value)).toString('base64'),
+  urlencode: (value) => encodeURIComponent(text(value)),
+  json: (value) => JSON.stringify(value),
+};
+
+function text(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Functions for generated values, with the number of arguments they take
+ * ([required, maximum]).  `random` is the random number source of the test
+ * (see seededRandom), so that a run can be repeated with the same values.
+ */
+const FUNCTIONS = {
+  uuid: {
+    signature: 'uuid()',
+    arity: [0, 0],
+    call: (random) => {
+      const bytes = Array.from({ length: 16 }, () => Math.floor(random() * 256));
+      bytes[6] = (bytes[6] & 0x0f) | 0x40;
+      bytes[8] = (bytes[8] & 0x3f) | 0x80;
+      const hex = bytes.map((byte) => byte.toString(16).padStart(2, '0')).join('');
+      return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    },
+  },
+  now: {
+    signature: "now('ISO' | 'DATE' | 'TIME')",
+    arity: [0, 1],
+    call: (random, format = 'ISO') => {
+      const iso = new Date().toISOString();
+      switch (String(format).toUpperCase()) {
+        case 'ISO': return iso;
+        case 'DATE': return iso.slice(0, 10);
+        case 'TIME': return iso.slice(11, 19);
+        default: throw new Error(`Unknown format "${format}" for now() (use ISO, DATE or TIME)`);
+      }
+    },
+  },
+  timestamp: {
+    signature: 'timestamp()',
+    arity: [0, 0],
+    call: () => Math.floor(Date.now() / 1000),
+  },
+  randomInt: {
+    signature: 'randomInt(min, max)',
+    arity: [2, 2],
+    call: (random, min, max) => {
+      const [low, high] = [min, max].map(Number);
+      if (!Number.isInteger(low) || !Number.isInteger(high)) {
+        throw new Error(`randomInt(min, max): expected whole numbers, got ${JSON.stringify(min)} and ${JSON.stringify(max)}`);
+      }
+      if (low > high) throw new Error(`randomInt(${low}, ${high}): min is greater than max`);
+      return low + Math.floor(random() * (high - low + 1));
+    },
+  },
+  randomString: {
+    signature: 'randomString(length)',
+    arity: [1, 1],
+    call: (random, length) => {
+      const size = Number(length);
+      if (!Number.isInteger(size) || size < 0) {
+        throw new Error(`randomString(length): expected a length, got ${JSON.stringify(length)}`);
+      }
+      return Array.from({ length: size }, () => ALPHANUMERIC[Math.floor(random() * ALPHANUMERIC.length)]).join('');
+    },
+  },
+  sha256: {
+    signature: 'sha256(text)',
+    arity: [1, 1],
+    call: (random, value) => crypto.createHash('sha256').update(text(value)).digest('hex'),
+  },
+  base64: {
+    signature: 'base64(text)',
+    arity: [1, 1],
+    call: (random, value) => Buffer.from(text(value)).toString('base64'),
+  },
+};
+
+/**
+ * A repeatable source of random numbers in [0, 1): the same seed always
+ * yields the same sequence (sfc32, seeded from the SHA-256 of the seed).
+ * @param {string|number} seed - Any text
+ * @returns {function(): number}
+ */
+function seededRandom(seed) {
+  const hash = crypto.createHash('sha256').update(String(seed)).digest();
+  let [a, b, c, d] = [0, 4, 8, 12].map((offset) => hash.readUInt32LE(offset));
+  return () => {
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Parse a function call with its filters, e.g. "sha256($USER) | upper".
+ * @param {string} source - The text between "${" and "}"
+ * @returns {{call: object, filters: string[]}} - call is {fn, args}; each
+ *   argument is {value}, {variable} or another call
+ */
+function parseCall(source) {
+  let pos = 0;
+  const rest = () => source.slice(pos);
+  const skipSpace = () => { pos += rest().match(/^\s*/)[0].length; };
+  const fail = (expected) => {
+    throw new Error(`expected ${expected}, found ${rest() ? `"${rest()}"` : 'the end'}`);
+  };
+
+  const parseArguments = (fn) => {
+    const call = { fn, args: [] };
+    pos++; // "("
+    skipSpace();
+    if (source[pos] === ')') {
+      pos++;
+      return call;
+    }
+    for (;;) {
+      call.args.push(parseArgument());
+      skipSpace();
+      if (source[pos] === ')') {
+        pos++;
+        return call;
+      }
+      if (source[pos] !== ',') fail('"," or ")"');
+      pos++;
+    }
+  };
+
+  const parseArgument = () => {
+    skipSpace();
+    const quote = source[pos];
+    if (quote === '"' || quote === "'") {
+      const end = source.indexOf(quote, pos + 1);
+      if (end === -1) fail(`a closing ${quote}`);
+      const value = source.slice(pos + 1, end);
+      pos = end + 1;
+      return { value };
+    }
+    const number = rest().match(/^-?\d+(\.\d+)?/);
+    const variable = rest().match(/^\$\{([A-Z_][A-Z0-9_]*)\}/i) || rest().match(/^\$([A-Z_][A-Z0-9_]*)/i);
+    if (number) {
+      pos += number[0].length;
+      return { value: Number(number[0]) };
+    }
+    if (variable) {
+      pos += variable[0].length;
+      return { variable: variable[1] };
+    }
+    if (CALL.test(rest())) {
+      const fn = rest().match(NAME)[0];
+      pos += rest().indexOf('(');
+      return parseArguments(fn);
+    }
+    return fail('a quoted string, number, $VAR or function call');
+  };
+
+  const fn = rest().match(NAME)[0];
+  pos += rest().indexOf('(');
+  const call = parseArguments(fn);
+
+  const filters = [];
+  skipSpace();
+  while (source[pos] === '|') {
+    pos++;
+    skipSpace();
+    const filter = rest().match(/^[A-Z][A-Z0-9]*/i);
+    if (!filter) fail('a filter name');
+    filters.push(filter[0]);
+    pos += filter[0].length;
+    skipSpace();
+  }
+  if (pos < source.length) fail('"|" or the end of the reference');
+  return { call, filters };
+}
+
+/**
+ * Index of the "}" closing the "${" at `open`, skipping quoted strings and
+ * nested braces inside function calls
+ */
+function closingBrace(source, open) {
+  let depth = 0;
+  let quote = null;
+  for (let i = open; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split a string into literal text and references.
+ * @param {string} source - The string
+ * @returns {Array<object>} - Segments: {literal}, {escape} for "$$", {name, op, arg,
+ *   filters, raw} for references, {call, filters, raw} for function calls and
+ *   {invalid, reason, raw} for a "${" that cannot be parsed
+ */
+function parseTemplate(source) {
+  const segments = [];
+  let literal = '';
+  let i = 0;
+
+  const flush = () => {
+    if (literal) segments.push({ literal });
+    literal = '';
+  };
+
+  while (i < source.length) {
+    const dollar = source.indexOf('$', i);
+    if (dollar === -1) {
+      literal += source.slice(i);
+      break;
+    }
+    literal += source.slice(i, dollar);
+    const rest = source.slice(dollar + 1);
+
+    if (rest[0] === '$') {
+      flush();
+      segments.push({ escape: true });
+      i = dollar + 2;
+    } else if (rest[0] === '{' && CALL.test(rest.slice(1))) {
+      flush();
+      const end = closingBrace(source, dollar + 1);
+      const raw = end === -1 ? source.slice(dollar) : source.slice(dollar, end + 1);
+      try {
+        if (end === -1) throw new Error('missing "}"');
+        segments.push({ ...parseCall(source.slice(dollar + 2, end).trim()), raw });
+      } catch (err) {
+        segments.push({ invalid: true, reason: err.message, raw });
+      }
+      i = dollar + raw.length;
+    } else if (rest[0] === '{' && NAME.test(rest.slice(1))) {
+      flush();
+      const end = rest.indexOf('}');
+      const raw = end === -1 ? source.slice(dollar) : source.slice(dollar, dollar + end + 2);
+      const match = end === -1 ? null : rest.slice(1, end).trim().match(BRACED);
+      if (match) {
+        const filters = match[4].split('|').map((f) => f.trim()).filter(Boolean);
+        segments.push({ name: match[1], op: match[2] || null, arg: (match[3] || '').trim(), filters, raw });
+      } else {
+        segments.push({ invalid: true, raw });
+      }
+      i = dollar + raw.length;
+    } else if (NAME.test(rest)) {
+      flush();
+      const name = rest.match(NAME)[0];
+      segments.push({ name, op: null, arg: '', filters: [], raw: `$${name}` });
+      i = dollar + 1 + name.length;
+    } else {
+      literal += '$';
+      i = dollar + 1;
+    }
+  }
+
+  flush();
+  return segments;
+}
+
+/**
+ * Names of the variables a string references, including those passed to
+ * functions (invalid references are ignored).
+ * @param {string} source - The string
+ * @returns {string[]}
+ */
+function templateVariables(source) {
+  const callVariables = (call) => call.args.flatMap((arg) => {
+    if (arg.fn) return callVariables(arg);
+    return arg.variable ? [arg.variable] : [];
+  });
+  return parseTemplate(source).flatMap((segment) => {
+    if (segment.call) return callVariables(segment.call);
+    return segment.name ? [segment.name] : [];
+  });
+}
+
+/**
+ * Evaluate a parsed function call
+ * @returns {*} - The value, or undefined when keepUndefined applies to one of its variables
+ */
+function evaluateCall(call, lookup, random, keepUndefined) {
+  const fn = FUNCTIONS[call.fn];
+  if (!fn) {
+    throw new Error(`Unknown function "${call.fn}()" (use one of: ${Object.keys(FUNCTIONS).map((name) => `${name}()`).join(', ')})`);
+  }
+  const args = [];
+  for (const arg of call.args) {
+    let value = arg.value;
+    if (arg.fn) {
+      value = evaluateCall(arg, lookup, random, keepUndefined);
+    } else if (arg.variable) {
+      value = lookup(arg.variable);
+      if (value === undefined && !keepUndefined) throw new Error(`Variable ${arg.variable} is not set`);
+    }
+    if (value === undefined) return undefined;
+    args.push(value);
+  }
+
+  const [required, allowed] = fn.arity;
+  if (args.length < required || args.length > allowed) {
+    const count = required === allowed ? String(required) : `${required} to ${allowed}`;
+    throw new Error(`${fn.signature} takes ${count === '0' ? 'no' : count} argument${count === '1' ? '' : 's'}, got ${args.length}`);
+  }
+  return fn.call(random, ...args);
+}
+
+/**
+ * Apply the :- / :? modifier of a reference to the value of its variable
+ * @returns {*} - The value to substitute
+ */
+function applyModifier(segment, value) {
+  const empty = value === undefined || value === null || value === '';
+  if (segment.op === '-' && empty) return segment.arg;
+  if (segment.op === '?' && empty) throw new Error(segment.arg || `Variable ${segment.name} is not set`);
+  if (value === undefined) throw new Error(`Variable ${segment.name} is not set`);
+  return value;
+}
+
+/**
+ * Render one string.
+ * @param {string} source - The string
+ * @param {function(string): *} lookup - Returns the value of a variable, undefined when not set
+ * @param {object} [options]
+ * @param {boolean} [options.keepUndefined] - Leave references to variables that are not
+ *   set as written instead of failing (defaults are not applied to them either)
+ * @param {boolean} [options.escape] - Produce a template again: keep "$$" and escape
+ *   every "$" in substituted values, so the result can be rendered later
+ * @param {boolean} [options.keepFunctions] - Leave function calls as written
+ * @param {function(): number} [options.random] - Random number source for functions
+ *   (see seededRandom); Math.random by default
+ * @returns {*} - The rendered string, or the value of a string that is only a reference
+ */
+function renderTemplate(source, lookup, options = {}) {
+  const { keepUndefined = false, escape = false, keepFunctions = false, random = Math.random } = options;
+  const segments = parseTemplate(source);
+  const escapeText = (value) => (escape ? value.replace(/\$/g, '$$$$') : value);
+
+  const values = segments.map((segment) => {
+    if ('literal' in segment) return segment.literal;
+    if (segment.escape) return escape ? '$$' : '$';
+    if (segment.invalid) {
+      const reason = segment.reason ? `: ${segment.reason}` : '';
+      throw new Error(`Invalid variable reference "${segment.raw}"${reason} (write $$ for a literal $)`);
+    }
+
+    let value;
+    if (segment.call) {
+      if (keepFunctions) return { kept: segment.raw };
+      value = evaluateCall(segment.call, lookup, random, keepUndefined);
+      if (value === undefined) return { kept: segment.raw };
+    } else {
+      value = lookup(segment.name);
+      if (value === undefined && keepUndefined) return { kept: segment.raw };
+      value = applyModifier(segment, value);
+    }
+
+    for (const filter of segment.filters) {
+      if (!FILTERS[filter]) {
+        throw new Error(`Unknown filter "${filter}" in "${segment.raw}" (use one of: ${Object.keys(FILTERS).join(', ')})`);
+      }
+      value = FILTERS[filter](value);
+    }
+    return { value };
+  });
+
+  if (values.length === 1 && typeof values[0] === 'object') {
+    const [only] = values;
+    if ('kept' in only) return only.kept;
+    return typeof only.value === 'string' ? escapeText(only.value) : only.value;
+  }
+  return values.map((value) => {
+    if (typeof value === 'string') return value;
+    return 'kept' in value ? value.kept : escapeText(text(value.value));
+  }).join('');
+}
+
+/**
+ * Render every string nested inside a value (see renderTemplate).  Errors name
+ * the field they occurred in, e.g. "http.headers.Authorization: Variable TOKEN is not set".
+ * @param {*} value - A string, array or object
+ * @param {function(string): *} lookup - Returns the value of a variable
+ * @param {object} [options] - See renderTemplate
+ * @param {string} [path] - Field path of the value, for error messages
+ * @returns {*} - A rendered copy of the value
+ */
+function renderTemplates(value, lookup, options = {}, path = '') {
+  if (typeof value === 'string') {
+    try {
+      return renderTemplate(value, lookup, options);
+    } catch (err) {
+      throw new Error(path ? `${path}: ${err.message}` : err.message);
+    }
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) => renderTemplates(item, lookup, options, `${path}[${i}]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => (
+      [key, renderTemplates(item, lookup, options, path ? `${path}.${key}` : key)]
+    )));
+  }
+  return value;
+}
+
+module.exports = { renderTemplate, renderTemplates, templateVariables, seededRandom, FILTERS, FUNCTIONS };
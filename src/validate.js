@@ -1,7 +1,9 @@
 'use strict';
 
+const path = require('path');
 const Ajv = require('ajv');
 const ajvErrors = require('ajv-errors');
+const { parseCondition } = require('./condition');
 
 // ── Reusable sub-schemas ─────────────────────────────────────────────
 
@@ -270,6 +272,8 @@ const httpSetVarRule = {
       },
       additionalProperties: false,
     },
+    export: { type: 'boolean' },
+    secret: { type: 'boolean' },
   },
   additionalProperties: false,
 };
@@ -334,6 +338,8 @@ const commandSetVarRule = {
       },
       additionalProperties: false,
     },
+    export: { type: 'boolean' },
+    secret: { type: 'boolean' },
   },
   additionalProperties: false,
 };
@@ -380,6 +386,8 @@ const waitSetVarRule = {
   type: 'object',
   properties: {
     value: { const: true },
+    export: { type: 'boolean' },
+    secret: { type: 'boolean' },
   },
   additionalProperties: false,
 };
@@ -417,6 +425,31 @@ const httpBodyComparisonConfigSchema = {
   additionalProperties: false,
 };
 
+// ── Retry policy ─────────────────────────────────────────────────────
+
+const retrySchema = {
+  type: 'object',
+  required: ['attempts'],
+  properties: {
+    attempts: { type: 'integer', minimum: 1 },
+    delayMs: { type: 'integer', minimum: 0 },
+    backoff: { type: 'string', enum: ['constant', 'linear', 'exponential'] },
+    maxDelayMs: { type: 'integer', minimum: 0 },
+    on: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        anyOf: [
+          { type: 'string', enum: ['connectionError'] },
+          { type: 'integer', minimum: 100, maximum: 599 },
+        ],
+        errorMessage: 'must be "connectionError" or an HTTP status code',
+      },
+    },
+  },
+  additionalProperties: false,
+};
+
 // ── Main test definition schema ──────────────────────────────────────
 
 const testDefinitionSchema = {
@@ -425,6 +458,13 @@ const testDefinitionSchema = {
   properties: {
     name: { type: 'string' },
     retries: { type: 'integer', minimum: 0 },
+    retry: retrySchema,
+    timeoutSeconds: { type: 'number', exclusiveMinimum: 0 },
+    continueOnFailure: { type: 'boolean' },
+    tags: { type: 'array', items: { type: 'string' } },
+    skip: { oneOf: [{ type: 'boolean' }, { type: 'string' }], errorMessage: 'must be a boolean or a reason' },
+    only: { type: 'boolean' },
+    if: { type: 'string', condition: true },
     source: sourceSchema,
     http: httpConfigSchema,
     command: commandConfigSchema,
@@ -454,6 +494,14 @@ const testDefinitionSchema = {
   ],
   // Conditional validation of expect and setVars per test type
   allOf: [
+    // retries is shorthand for a retry policy; only one may be given
+    {
+      if: { required: ['retry'] },
+      then: {
+        not: { required: ['retries'] },
+        errorMessage: 'use either retries or retry, not both',
+      },
+    },
     // HTTP: validate expect and setVars shapes
     {
       if: { required: ['http'] },
@@ -541,6 +589,22 @@ const rootSchema = {
 const ajv = new Ajv({ allErrors: true, verbose: true });
 ajvErrors(ajv);
 
+// "condition: true" checks the syntax of an `if` expression
+ajv.addKeyword({
+  keyword: 'condition',
+  type: 'string',
+  errors: true,
+  validate: function validateCondition(schema, data) {
+    try {
+      parseCondition(data);
+      return true;
+    } catch (err) {
+      validateCondition.errors = [{ keyword: 'condition', message: err.message, params: {} }];
+      return false;
+    }
+  },
+});
+
 const validate = ajv.compile(rootSchema);
 
 // ── Error formatting ─────────────────────────────────────────────────
@@ -549,9 +613,11 @@ const validate = ajv.compile(rootSchema);
  * Format Ajv validation errors into human-readable messages.
  * @param {Array} errors - Ajv error objects
  * @param {Array} definitions - The original test definitions array
- * @returns {string} - Formatted error message
+ * @param {string} [label='Test'] - How each definition is referred to ("Test #2")
+ * @param {Array<string|null>} [sources] - File each definition was included from
+ * @returns {string[]} - One formatted line per error
  */
-function formatValidationErrors(errors, definitions) {
+function formatValidationErrors(errors, definitions, label = 'Test', sources = []) {
   // Deduplicate and filter out noise from oneOf/anyOf wrappers
   const seen = new Set();
   const meaningful = [];
@@ -591,7 +657,8 @@ function formatValidationErrors(errors, definitions) {
       const idx = parseInt(pathMatch[0].split('/')[1], 10);
       const name = definitions[idx]?.name;
       const subPath = pathMatch[2] || '';
-      prefix = name ? `Test #${idx + 1} ("${name}")` : `Test #${idx + 1}`;
+      prefix = name ? `${label} #${idx + 1} ("${name}")` : `${label} #${idx + 1}`;
+      if (sources[idx]) prefix += ` in ${path.relative(process.cwd(), sources[idx]) || sources[idx]}`;
       prefix += subPath ? ` ${subPath}` : '';
     } else {
       prefix = err.instancePath || '(root)';
@@ -644,8 +711,22 @@ function formatValidationErrors(errors, definitions) {
   }
 
   // Deduplicate final lines
-  const uniqueLines = [...new Set(lines)];
-  return `Validation failed:\n\n${uniqueLines.join('\n')}`;
+  return [...new Set(lines)];
+}
+
+/**
+ * Validate definitions and return the formatted error lines (empty if valid).
+ * @param {Array<object>} definitions - Array of parsed test definition objects
+ * @param {string} [label] - See formatValidationErrors
+ * @param {Array<string|null>} [sources] - See formatValidationErrors
+ * @returns {string[]}
+ */
+function collectValidationErrors(definitions, label, sources) {
+  return validate(definitions) ? [] : formatValidationErrors(validate.errors, definitions, label, sources);
+}
+
+function validationError(lines) {
+  return new Error(`Validation failed:\n\n${lines.join('\n')}`);
 }
 
 // ── Public API ───────────────────────────────────────────────────────
@@ -658,11 +739,27 @@ function formatValidationErrors(errors, definitions) {
  * @throws {Error} If any definition fails validation
  */
 function validateTestDefinitions(definitions) {
-  const valid = validate(definitions);
-  if (!valid) {
-    const message = formatValidationErrors(validate.errors, definitions);
-    throw new Error(message);
-  }
+  const lines = collectValidationErrors(definitions);
+  if (lines.length > 0) throw validationError(lines);
+}
+
+/**
+ * Validate every phase of a suite ({ setup, tests, teardown }) and report
+ * the errors of all phases together.  Setup and teardown steps are labelled
+ * "Setup #n" / "Teardown #n" so errors point at the right array, and
+ * definitions pulled in from another file name that file (suite.sources).
+ *
+ * @param {{setup: Array<object>, tests: Array<object>, teardown: Array<object>}} suite
+ * @throws {Error} If any definition fails validation
+ */
+function validateSuite(suite) {
+  const sources = suite.sources || {};
+  const lines = [
+    ...(suite.setup.length > 0 ? collectValidationErrors(suite.setup, 'Setup', sources.setup) : []),
+    ...collectValidationErrors(suite.tests, 'Test', sources.tests),
+    ...(suite.teardown.length > 0 ? collectValidationErrors(suite.teardown, 'Teardown', sources.teardown) : []),
+  ];
+  if (lines.length > 0) throw validationError(lines);
 }
 
-module.exports = { validateTestDefinitions };
+module.exports = { validateTestDefinitions, validateSuite };
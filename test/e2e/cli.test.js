@@ -440,3 +440,822 @@ describe('CLI e2e – reading from a file', () => {
     expect(r.stderr).toContain('File not found');
   });
 });
+
+// ── Multiple inputs (repeatable -f, directories, globs) ──────────────────────
+
+describe('CLI e2e – multiple inputs', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yamltest-multi-'));
+    fs.mkdirSync(path.join(tmpDir, 'suite'));
+    const test = (name, command) => JSON.stringify([
+      { name, command: { command }, source: { type: 'local' }, expect: { exitCode: 0 } },
+    ]);
+    fs.writeFileSync(path.join(tmpDir, 'suite', 'one.yaml'), test('one', 'true'));
+    fs.writeFileSync(path.join(tmpDir, 'suite', 'two.yml'), test('two', 'true'));
+    fs.writeFileSync(path.join(tmpDir, 'failing.yaml'), test('broken', 'false'));
+    fs.writeFileSync(path.join(tmpDir, 'invalid.yaml'), JSON.stringify({ name: 'bad', source: { type: 'local' } }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('runs every YAML file in a directory and prints one combined summary', () => {
+    const r = runCli('', ['-f', path.join(tmpDir, 'suite')]);
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain('one.yaml');
+    expect(r.stdout).toContain('two.yml');
+    expect(r.stdout).toContain('2 passed');
+    expect(r.stdout).toContain('2 files');
+  });
+
+  it('expands glob patterns', () => {
+    const r = runCli('', ['-f', path.join(tmpDir, 'suite', '*.yaml')]);
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain('1 passed');
+  });
+
+  it('keeps running later files after one fails and exits 1', () => {
+    const r = runCli('', ['-f', path.join(tmpDir, 'failing.yaml'), '-f', path.join(tmpDir, 'suite')]);
+    expect(r.status).toBe(1);
+    expect(r.stdout).toContain('broken');
+    expect(r.stdout).toContain('2 passed');
+    expect(r.stdout).toContain('1 failed');
+    expect(r.stdout).toContain('3 files');
+  });
+
+  it('validates every file before running any test', () => {
+    const r = runCli('', ['-f', path.join(tmpDir, 'suite'), '-f', path.join(tmpDir, 'invalid.yaml')]);
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('invalid.yaml');
+    expect(r.stdout).not.toContain('passed');
+  });
+
+  it('--check validates several files at once', () => {
+    const r = runCli('', ['--check', '-f', path.join(tmpDir, 'suite'), '-f', path.join(tmpDir, 'failing.yaml')]);
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain('ok');
+  });
+
+  it('exits 1 when a glob matches nothing', () => {
+    const r = runCli('', ['-f', path.join(tmpDir, 'nothing', '*.yaml')]);
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('No files match pattern');
+  });
+});
+
+// ── --reporter junit ─────────────────────────────────────────────────────────
+
+describe('CLI e2e – --reporter junit', () => {
+  const yaml = () => JSON.stringify([
+    { name: 'pass', http: { url: base(), method: 'GET', path: '/health' }, source: { type: 'local' }, expect: { statusCode: 200 } },
+    { name: 'fail', http: { url: base(), method: 'GET', path: '/health' }, source: { type: 'local' }, expect: { statusCode: 404 } },
+    { name: 'skip', http: { url: base(), method: 'GET', path: '/health' }, source: { type: 'local' }, expect: { statusCode: 200 } },
+  ]);
+
+  it('writes JUnit XML to --output and keeps the console output', () => {
+    const outFile = path.join(os.tmpdir(), `yamltest-junit-${Date.now()}`, 'report.xml');
+    try {
+      const r = runCli(yaml(), ['-f', '-', '--reporter', 'junit', '--output', outFile]);
+      expect(r.status).toBe(1);
+      expect(r.stdout).toContain('1 failed');
+      const xml = fs.readFileSync(outFile, 'utf8');
+      expect(xml).toContain('<testsuite name="&lt;stdin&gt;" tests="3" failures="1"');
+      expect(xml).toContain('<failure message="Status code mismatch: expected 404, got 200">');
+      expect(xml).toContain('<skipped');
+    } finally {
+      fs.rmSync(path.dirname(outFile), { recursive: true, force: true });
+    }
+  });
+
+  it('prints the XML to stdout when no --output is given', () => {
+    const r = runCli(yaml(), ['-f', '-', '--reporter', 'junit']);
+    expect(r.status).toBe(1);
+    expect(r.stdout.startsWith('<?xml')).toBe(true);
+    expect(r.stdout).not.toContain('1 failed');
+  });
+
+  it('exits 1 on an unknown reporter', () => {
+    const r = runCli(yaml(), ['-f', '-', '--reporter', 'nope']);
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('Unknown reporter');
+  });
+});
+
+// ── --reporter json ──────────────────────────────────────────────────────────
+
+describe('CLI e2e – --reporter json', () => {
+  it('prints the run as JSON with per-test request/response details', () => {
+    const yaml = JSON.stringify([
+      { name: 'health', http: { url: base(), method: 'GET', path: '/health' }, source: { type: 'local' }, expect: { statusCode: 200 } },
+    ]);
+    const r = runCli(yaml, ['-f', '-', '--reporter', 'json']);
+    expect(r.status).toBe(0);
+    const report = JSON.parse(r.stdout);
+    expect(report.passed).toBe(1);
+    const test = report.files[0].results[0];
+    expect(test.type).toBe('http');
+    expect(test.request).toMatchObject({ url: `${base()}/health`, method: 'GET' });
+    expect(test.response).toMatchObject({ statusCode: 200, body: 'healthy' });
+  });
+});
+
+// ── --reporter tap ───────────────────────────────────────────────────────────
+
+describe('CLI e2e – --reporter tap', () => {
+  it('prints a TAP stream with a SKIP directive after a failure', () => {
+    const yaml = JSON.stringify([
+      { name: 'fail', http: { url: base(), method: 'GET', path: '/health' }, source: { type: 'local' }, expect: { statusCode: 404 } },
+      { name: 'skip', http: { url: base(), method: 'GET', path: '/health' }, source: { type: 'local' }, expect: { statusCode: 200 } },
+    ]);
+    const r = runCli(yaml, ['-f', '-', '--reporter', 'tap']);
+    expect(r.status).toBe(1);
+    expect(r.stdout.startsWith('TAP version 13\n1..2\n')).toBe(true);
+    expect(r.stdout).toContain('not ok 1 - fail');
+    expect(r.stdout).toContain('ok 2 - skip # SKIP');
+  });
+});
+
+// ── --reporter html ──────────────────────────────────────────────────────────
+
+describe('CLI e2e – --reporter html', () => {
+  it('writes a single HTML page with the request and response of each test', () => {
+    const yaml = JSON.stringify([
+      { name: 'health', http: { url: base(), method: 'GET', path: '/health' }, source: { type: 'local' }, expect: { statusCode: 404 } },
+    ]);
+    const outFile = path.join(os.tmpdir(), `yamltest-html-${Date.now()}`, 'report.html');
+    try {
+      const r = runCli(yaml, ['-f', '-', '--reporter', 'html', '--output', outFile]);
+      expect(r.status).toBe(1);
+      expect(r.stdout).toContain('1 failed');
+      const html = fs.readFileSync(outFile, 'utf8');
+      expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+      expect(html).toContain('<h2>&lt;stdin&gt; <span class="meta">0 passed · 1 failed');
+      expect(html).toContain('<pre class="error">Status code mismatch: expected 404, got 200</pre>');
+      expect(html).toContain(`<h3>Request</h3><pre>GET ${base()}/health</pre>`);
+      expect(html).toContain('<pre>healthy</pre>');
+    } finally {
+      fs.rmSync(path.dirname(outFile), { recursive: true, force: true });
+    }
+  });
+});
+
+// ── Streaming output ──────────────────────────────────────────────────────────
+
+describe('CLI e2e – streaming output', () => {
+  it('prints each test as soon as it ends', async () => {
+    const yaml = JSON.stringify([
+      { name: 'quick', command: { command: 'true' }, source: { type: 'local' }, expect: { exitCode: 0 } },
+      { name: 'slow', command: { command: 'sleep 1' }, source: { type: 'local' }, expect: { exitCode: 0 } },
+    ]);
+    const child = spawn(NODE, [CLI, '-f', '-'], { env: { ...process.env, NO_COLOR: '1' } });
+    const closed = new Promise((resolve) => child.on('close', resolve));
+    child.stdin.end(yaml);
+
+    let stdout = '';
+    const early = await new Promise((resolve) => {
+      child.stdout.on('data', (chunk) => {
+        stdout += chunk;
+        if (stdout.includes('quick')) resolve(stdout);
+      });
+    });
+    expect(early).not.toContain('slow');
+    expect(child.exitCode).toBeNull();
+
+    expect(await closed).toBe(0);
+    expect(stdout).toContain('2 passed');
+  });
+});
+
+// ── --concurrency ────────────────────────────────────────────────────────────
+
+describe('CLI e2e – --concurrency', () => {
+  it('runs tests concurrently and still prints them in declared order', () => {
+    const yaml = JSON.stringify([
+      { name: 'first', command: { command: 'sleep 0.3' }, source: { type: 'local' }, expect: { exitCode: 0 } },
+      { name: 'second', command: { command: 'true' }, source: { type: 'local' }, expect: { exitCode: 0 } },
+    ]);
+    const r = runCli(yaml, ['-f', '-', '--concurrency', '2']);
+    expect(r.status).toBe(0);
+    expect(r.stdout.indexOf('first')).toBeLessThan(r.stdout.indexOf('second'));
+    expect(r.stdout).toContain('2 passed');
+  });
+
+  it('exits 1 on a non-numeric value', () => {
+    const r = runCli('', ['-f', '-', '--concurrency', 'many']);
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('--concurrency');
+  });
+});
+
+// ── --no-fail-fast ───────────────────────────────────────────────────────────
+
+describe('CLI e2e – --no-fail-fast', () => {
+  it('reports every failure and exits 1', () => {
+    const yaml = JSON.stringify([
+      { name: 'broken-1', http: { url: base(), method: 'GET', path: '/missing' }, source: { type: 'local' }, expect: { statusCode: 200 } },
+      { name: 'healthy',  http: { url: base(), method: 'GET', path: '/health' },  source: { type: 'local' }, expect: { statusCode: 200 } },
+      { name: 'broken-2', http: { url: base(), method: 'GET', path: '/missing' }, source: { type: 'local' }, expect: { statusCode: 200 } },
+    ]);
+    const r = runCli(yaml, ['-f', '-', '--no-fail-fast']);
+    expect(r.status).toBe(1);
+    expect(r.stdout).toContain('1 passed');
+    expect(r.stdout).toContain('2 failed');
+    expect(r.stdout).not.toContain('skipped');
+  });
+});
+
+// ── Selection: --grep / --tag / --exclude-tag / --list ──────────────────────
+
+describe('CLI e2e – test selection', () => {
+  const yaml = () => JSON.stringify([
+    { name: 'login', tags: ['smoke'], http: { url: base(), method: 'GET', path: '/health' }, source: { type: 'local' }, expect: { statusCode: 200 } },
+    { name: 'checkout', tags: ['payments'], http: { url: base(), method: 'GET', path: '/missing' }, source: { type: 'local' }, expect: { statusCode: 200 } },
+    { name: 'refund', tags: ['payments', 'slow'], http: { url: base(), method: 'GET', path: '/health' }, source: { type: 'local' }, expect: { statusCode: 200 } },
+  ]);
+
+  it('runs only tagged tests and reports the rest as deselected', () => {
+    const r = runCli(yaml(), ['-f', '-', '--tag', 'smoke']);
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain('login');
+    expect(r.stdout).not.toContain('checkout');
+    expect(r.stdout).toContain('1 passed');
+    expect(r.stdout).toContain('2 deselected');
+  });
+
+  it('combines --grep with --exclude-tag', () => {
+    const r = runCli(yaml(), ['-f', '-', '--grep', 'o', '--exclude-tag', 'payments']);
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain('1 passed');
+    expect(r.stdout).toContain('2 deselected');
+  });
+
+  it('leaves deselected tests out of the TAP plan', () => {
+    const r = runCli(yaml(), ['-f', '-', '--tag', 'payments', '--exclude-tag', 'slow', '--reporter', 'tap']);
+    expect(r.status).toBe(1);
+    expect(r.stdout.startsWith('TAP version 13\n1..1\n')).toBe(true);
+    expect(r.stdout).toContain('not ok 1 - checkout');
+  });
+
+  it('--list prints the selected tests with their tags without running them', () => {
+    const r = runCli(yaml(), ['-f', '-', '--list', '--tag', 'payments']);
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain('checkout [payments]');
+    expect(r.stdout).toContain('refund [payments, slow]');
+    expect(r.stdout).not.toContain('login');
+    expect(r.stdout).toContain('2 tests selected');
+    expect(r.stdout).not.toContain('failed');
+  });
+
+  it('exits 1 on an invalid --grep pattern', () => {
+    const r = runCli(yaml(), ['-f', '-', '--grep', '(']);
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('Invalid --grep pattern');
+  });
+});
+
+// ── skip / only / if ─────────────────────────────────────────────────────────
+
+describe('CLI e2e – conditional execution', () => {
+  const cmd = (name, command, extra = {}) => ({ name, command: { command }, source: { type: 'local' }, expect: { exitCode: 0 }, ...extra });
+
+  it('shows conditionally skipped tests with their reason, apart from fail-fast skips', () => {
+    const yaml = JSON.stringify([
+      cmd('tls', 'true', { if: "$SCHEME == 'https'" }),
+      cmd('todo', 'true', { skip: 'waiting for v2' }),
+      cmd('broken', 'false'),
+      cmd('after-broken', 'true'),
+    ]);
+    const r = runCli(yaml, ['-f', '-'], { SCHEME: 'http' });
+    expect(r.status).toBe(1);
+    expect(r.stdout).toContain("tls (skipped: Condition is false: $SCHEME == 'https')");
+    expect(r.stdout).toContain('todo (skipped: waiting for v2)');
+    expect(r.stdout).toContain('after-broken (skipped)');
+    expect(r.stdout).toContain('1 failed | 1 skipped | 2 skipped by condition | 4 total');
+  });
+
+  it('exits 0 when the only tests not passing were skipped by condition', () => {
+    const r = runCli(JSON.stringify([cmd('ok', 'true'), cmd('off', 'false', { skip: true })]));
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain('1 passed | 1 skipped by condition | 2 total');
+  });
+
+  it('reports an invalid if condition before running anything', () => {
+    const r = runCli(JSON.stringify([cmd('bad', 'true', { if: 'SCHEME == 1' })]));
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('/if: Invalid condition "SCHEME == 1"');
+  });
+});
+
+// ── --var / --env-file ───────────────────────────────────────────────────────
+
+describe('CLI e2e – --var and --env-file', () => {
+  // The value reaches the shell through the command's env, so it is printed as-is
+  const show = (variable, expected) => ({
+    name: `show ${variable}`,
+    command: { command: 'printf %s "$$VALUE"', env: { VALUE: `$${variable}` } },
+    source: { type: 'local' },
+    expect: { exitCode: 0, stdout: { equals: expected } },
+  });
+
+  let envFile;
+  beforeAll(() => {
+    envFile = path.join(os.tmpdir(), `yamltest-e2e-${Date.now()}.env`);
+    fs.writeFileSync(envFile, [
+      '# settings for the e2e run',
+      'export E2E_FROM_FILE="line one\\nline two"',
+      'E2E_OVERRIDDEN=file # wins over the shell',
+      "E2E_LITERAL='$NOT_EXPANDED'",
+      '',
+    ].join('\n'));
+  });
+  afterAll(() => fs.rmSync(envFile, { force: true }));
+
+  it('resolves --var values in URLs and headers', () => {
+    const yaml = JSON.stringify([{
+      name: 'health',
+      http: { url: '$E2E_BASE', method: 'GET', path: '/health' },
+      source: { type: 'local' },
+      expect: { statusCode: 200 },
+    }]);
+    const r = runCli(yaml, ['-f', '-', '--var', `E2E_BASE=${base()}`]);
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain('1 passed');
+  });
+
+  it('applies --var over --env-file over the environment', () => {
+    const yaml = JSON.stringify([
+      show('E2E_FROM_FILE', 'line one\nline two'),
+      show('E2E_OVERRIDDEN', 'cli'),
+      show('E2E_LITERAL', '$$NOT_EXPANDED'),
+      show('E2E_SHELL', 'shell'),
+    ]);
+    const r = runCli(
+      yaml,
+      ['-f', '-', '--env-file', envFile, '--var=E2E_OVERRIDDEN=cli'],
+      { E2E_OVERRIDDEN: 'shell', E2E_SHELL: 'shell' }
+    );
+    expect(r.stdout).toContain('4 passed');
+    expect(r.status).toBe(0);
+  });
+
+  it('exits 1 on a --var without a value', () => {
+    const r = runCli(JSON.stringify([show('X', '')]), ['-f', '-', '--var', 'E2E_ONLY_NAME']);
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('Invalid --var "E2E_ONLY_NAME": expected KEY=VALUE');
+  });
+});
+
+// ── --seed ────────────────────────────────────────────────────────────────────
+
+describe('CLI e2e – --seed', () => {
+  const yaml = JSON.stringify([{
+    name: 'generated',
+    command: { command: 'printf %s ${randomString(10)}' },
+    source: { type: 'local' },
+    expect: { exitCode: 0, stdout: { equals: 'never' } },
+  }]);
+  const failure = (r) => r.stdout.split('\n').find((line) => line.includes('never'));
+
+  it('repeats generated values and prints the seed of a failing run', () => {
+    const first = runCli(yaml, ['-f', '-', '--seed', 'e2e']);
+    const second = runCli(yaml, ['-f', '-', '--seed=e2e']);
+    expect(first.status).toBe(1);
+    expect(failure(first)).toMatch(/[A-Za-z0-9]{10}/);
+    expect(failure(second)).toBe(failure(first));
+    expect(first.stdout).toContain('seed: e2e (re-run with --seed e2e to repeat generated values)');
+  });
+
+  it('prints a random seed that repeats the run', () => {
+    const first = runCli(yaml);
+    const seed = first.stdout.match(/seed: (\d+)/)[1];
+    expect(failure(runCli(yaml, ['-f', '-', '--seed', seed]))).toBe(failure(first));
+  });
+
+  it('does not print the seed when everything passes', () => {
+    const r = runCli(JSON.stringify([{ command: { command: 'true' }, source: { type: 'local' }, expect: { exitCode: 0 } }]));
+    expect(r.status).toBe(0);
+    expect(r.stdout).not.toContain('seed:');
+  });
+
+  it('does not print the seed of a failing run that generated no values', () => {
+    const r = runCli(JSON.stringify([{ command: { command: 'false' }, source: { type: 'local' }, expect: { exitCode: 0 } }]));
+    expect(r.status).toBe(1);
+    expect(r.stdout).not.toContain('seed:');
+  });
+});
+
+// ── --repeat ──────────────────────────────────────────────────────────────────
+
+describe('CLI e2e – --repeat', () => {
+  let counter;
+
+  beforeAll(() => {
+    counter = path.join(os.tmpdir(), `yamltest-repeat-${process.pid}`);
+  });
+
+  afterAll(() => fs.rmSync(counter, { force: true }));
+
+  // Fails every other attempt, passing on its retry
+  const retried = () => ({
+    name: 'retried',
+    command: { command: `n=$(cat ${counter} 2>/dev/null || echo 0); echo $((n+1)) > ${counter}; test $((n % 2)) = 1` },
+    source: { type: 'local' },
+    expect: { exitCode: 0 },
+    retries: 1,
+  });
+  const stable = { name: 'stable', command: { command: 'true' }, source: { type: 'local' }, expect: { exitCode: 0 } };
+
+  it('reports pass rate, durations and attempts per test and flags tests passing after retries as flaky', () => {
+    fs.rmSync(counter, { force: true });
+    const r = runCli(JSON.stringify([stable, retried()]), ['-f', '-', '--repeat', '3']);
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain('run 3/3');
+    expect(r.stdout).toMatch(/✓ stable 100% \(3\/3\)  mean \d+ms  p95 \d+ms  3 attempts\n/);
+    expect(r.stdout).toMatch(/~ retried 100% \(3\/3\) .* 6 attempts \(max 2\)  flaky: passed after retries in 3 of 3 runs/);
+    expect(r.stdout).toContain('1 passed | 1 flaky | 3 runs');
+  });
+
+  it('flags tests failing in some runs as flaky and exits 1', () => {
+    fs.rmSync(counter, { force: true });
+    const { retries, ...noRetry } = retried();
+    const r = runCli(JSON.stringify([noRetry]), ['-f', '-', '--repeat=2']);
+    expect(r.status).toBe(1);
+    expect(r.stdout).toContain('✗ retried: Exit code mismatch');
+    expect(r.stdout).toContain('flaky: failed 1 of 2 runs');
+  });
+
+  it('adds the statistics to the JSON report', () => {
+    const r = runCli(JSON.stringify([stable]), ['-f', '-', '--repeat', '2', '--reporter', 'json']);
+    const { files } = JSON.parse(r.stdout);
+    expect(files[0].repeat).toMatchObject({ runs: 2, tests: [{ name: 'stable', passRate: 1, attempts: 2, flaky: false }] });
+  });
+
+  it('exits 1 on a value that is not a positive integer', () => {
+    const r = runCli('', ['-f', '-', '--repeat', '0']);
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('--repeat must be a positive integer');
+  });
+});
+
+// ── --secret ──────────────────────────────────────────────────────────────────
+
+describe('CLI e2e – secret masking', () => {
+  const yaml = JSON.stringify([{
+    name: 'leaky',
+    command: { command: 'printf "%s %s" "$E2E_API_TOKEN" "$E2E_DB_URL"' },
+    source: { type: 'local' },
+    expect: { exitCode: 0, stdout: { equals: 'nothing' } },
+  }]);
+  const env = { E2E_API_TOKEN: 'e2e-token-value' };
+  const args = ['--var', 'E2E_DB_URL=postgres://e2e:pw@db', '--secret', 'E2E_DB_*'];
+
+  it('masks secret values in console output', () => {
+    const r = runCli(yaml, ['-f', '-', ...args], env);
+    expect(r.status).toBe(1);
+    expect(r.stdout).toContain('**** ****');
+    expect(r.stdout).not.toContain('e2e-token-value');
+    expect(r.stdout).not.toContain('postgres://e2e:pw@db');
+  });
+
+  it('masks secret values in reports', () => {
+    const r = runCli(yaml, ['-f', '-', ...args, '--reporter', 'json'], env);
+    expect(JSON.parse(r.stdout).files[0].results[0].commandResult.stdout).toBe('**** ****');
+    expect(r.stdout).not.toContain('e2e-token-value');
+  });
+
+  it('masks Authorization headers in the dry-run plan', () => {
+    const plan = JSON.stringify([{
+      http: { url: base(), method: 'GET', path: '/health', headers: { Authorization: 'Bearer dry-run-credential' } },
+      source: { type: 'local' },
+      expect: { statusCode: 200 },
+    }]);
+    const r = runCli(plan, ['-f', '-', '--dry-run']);
+    expect(r.stdout).toContain('Authorization: ****');
+    expect(r.stdout).not.toContain('dry-run-credential');
+  });
+});
+
+// ── --dry-run ─────────────────────────────────────────────────────────────────
+
+describe('CLI e2e – --dry-run', () => {
+  it('prints the resolved requests and kubectl commands without running anything', () => {
+    const marker = path.join(os.tmpdir(), `yamltest-dry-run-${Date.now()}`);
+    const yaml = JSON.stringify([
+      { name: 'create', http: { url: '$DRY_RUN_BASE', method: 'POST', path: '/hits', headers: { 'X-Run': 'dry' }, body: { a: 1 } }, source: { type: 'local' }, expect: { statusCode: 200 } },
+      { name: 'touch', command: { command: `touch ${marker}` }, source: { type: 'local' }, expect: { exitCode: 0 } },
+      { name: 'in-pod', command: { command: 'ls /' }, source: { type: 'pod', selector: { kind: 'Pod', metadata: { namespace: 'shop', name: 'web-0' } } }, expect: { exitCode: 0 } },
+    ]);
+    const r = runCli(yaml, ['-f', '-', '--dry-run'], { DRY_RUN_BASE: base() });
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain(`POST ${base()}/hits`);
+    expect(r.stdout).toContain('X-Run: dry');
+    expect(r.stdout).toContain('body: {"a":1}');
+    expect(r.stdout).toContain(`command: touch ${marker}`);
+    expect(r.stdout).toContain("$ kubectl  -n shop exec web-0 -- sh -c 'ls /'");
+    expect(r.stdout).toContain('3 tests planned (dry run – nothing was sent)');
+    expect(fs.existsSync(marker)).toBe(false);
+  });
+});
+
+// ── Suite setup / teardown ───────────────────────────────────────────────────
+
+describe('CLI e2e – suite setup and teardown', () => {
+  const cmd = (name, command) => ({ name, command: { command }, source: { type: 'local' }, expect: { exitCode: 0 } });
+
+  it('runs teardown after a failing test and summarises the steps separately', () => {
+    const yaml = JSON.stringify({
+      setup: [cmd('create fixture', 'true')],
+      tests: [cmd('broken', 'false'), cmd('after-broken', 'true')],
+      teardown: [cmd('delete fixture', 'true')],
+    });
+    const r = runCli(yaml);
+    expect(r.status).toBe(1);
+    expect(r.stdout).toContain('delete fixture');
+    expect(r.stdout).toContain('1 failed | 1 skipped | 2 total');
+    expect(r.stdout).toContain('setup: 1 passed | teardown: 1 passed');
+  });
+
+  it('exits 1 when only a teardown step fails', () => {
+    const yaml = JSON.stringify({ tests: [cmd('ok', 'true')], teardown: [cmd('cleanup', 'false')] });
+    const r = runCli(yaml);
+    expect(r.status).toBe(1);
+    expect(r.stdout).toContain('teardown: 1 failed');
+  });
+
+  it('merges suite defaults into every test', () => {
+    const yaml = JSON.stringify({
+      defaults: { source: { type: 'local' }, http: { url: base(), method: 'GET' } },
+      tests: [{ name: 'health', http: { path: '/health' }, expect: { statusCode: 200 } }],
+    });
+    const r = runCli(yaml, ['-f', '-', '--check']);
+    expect(r.status).toBe(0);
+    expect(runCli(yaml).stdout).toContain('1 passed');
+  });
+
+  it('reports validation errors by phase', () => {
+    const yaml = JSON.stringify({ tests: [cmd('ok', 'true')], teardown: [{ name: 'bad', source: { type: 'local' } }] });
+    const r = runCli(yaml, ['-f', '-', '--check']);
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('Teardown #1 ("bad")');
+  });
+
+  // Start a suite whose first test hangs, send `signal` once it is running
+  async function interruptRun(signal) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yamltest-sigint-'));
+    const started = path.join(dir, 'test-started');
+    const marker = path.join(dir, 'teardown-ran');
+    const file = path.join(dir, 'suite.yaml');
+    fs.writeFileSync(file, JSON.stringify({
+      tests: [cmd('slow', `touch ${started} && sleep 30`), cmd('never', 'true')],
+      teardown: [cmd('cleanup', `touch ${marker}`)],
+    }));
+
+    try {
+      const begin = Date.now();
+      const child = spawn(NODE, [CLI, '-f', file], { env: { ...process.env, NO_COLOR: '1' } });
+      let stdout = '';
+      child.stdout.on('data', (d) => (stdout += d));
+      const poll = setInterval(() => {
+        if (fs.existsSync(started)) {
+          clearInterval(poll);
+          child.kill(signal);
+        }
+      }, 20);
+      const status = await new Promise((resolve) => child.on('close', resolve));
+      clearInterval(poll);
+      return { status, stdout, elapsed: Date.now() - begin, teardownRan: fs.existsSync(marker) };
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  it('stops the running test, runs teardown and exits 130 on SIGINT', async () => {
+    const r = await interruptRun('SIGINT');
+    expect(r.status).toBe(130);
+    expect(r.elapsed).toBeLessThan(10000);
+    expect(r.teardownRan).toBe(true);
+    expect(r.stdout).toMatch(/⊘ slow .* \(interrupted\)/);
+    expect(r.stdout).toContain('1 interrupted | 1 skipped | 2 total');
+    expect(r.stdout).toContain('teardown: 1 passed');
+  }, 15000);
+
+  it('exits 143 on SIGTERM', async () => {
+    const r = await interruptRun('SIGTERM');
+    expect(r.status).toBe(143);
+    expect(r.teardownRan).toBe(true);
+    expect(r.stdout).toContain('1 interrupted');
+  }, 15000);
+});
+
+// ── Includes ─────────────────────────────────────────────────────────────────
+
+describe('CLI e2e – includes', () => {
+  const fixtures = path.join(ROOT, 'test/fixtures/includes');
+
+  it('runs tests included relative to the including file', () => {
+    const r = runCli('', ['-f', path.join(fixtures, 'main.yaml')]);
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain('nested check');
+    expect(r.stdout).toContain('3 passed');
+  });
+
+  it('reports which file an invalid test came from', () => {
+    const r = runCli('', ['-f', path.join(fixtures, 'invalid.yaml'), '--check']);
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain(`in ${path.relative(ROOT, path.join(fixtures, 'common/bad.yaml'))}`);
+  });
+
+  it('exits 1 on an include cycle', () => {
+    const r = runCli('', ['-f', path.join(fixtures, 'cycle-a.yaml')]);
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('Include cycle');
+  });
+});
+
+// ── Data-driven tests ────────────────────────────────────────────────────────
+
+describe('CLI e2e – data-driven tests', () => {
+  it('runs one test per CSV row with the row values in its name', () => {
+    const r = runCli('', ['-f', path.join(ROOT, 'test/fixtures/data/data-driven.yaml')]);
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain('greet [ID=1, NAME=alice, ACTIVE=true]');
+    expect(r.stdout).toContain('greet [ID=2, NAME=Bob, Jr., ACTIVE=false]');
+    expect(r.stdout).toContain('3 passed');
+  });
+});
+
+// ── Retry policy ─────────────────────────────────────────────────────────────
+
+describe('CLI e2e – retry policy', () => {
+  it('shows why each attempt failed', () => {
+    const yaml = JSON.stringify([{
+      name: 'unavailable',
+      http: { url: base(), method: 'GET', path: '/missing' },
+      source: { type: 'local' },
+      expect: { statusCode: 200 },
+      retry: { attempts: 2, delayMs: 1, on: [404] },
+    }]);
+    const r = runCli(yaml);
+    expect(r.status).toBe(1);
+    expect(r.stdout).toContain('[2 attempts]');
+    expect(r.stdout).toContain('attempt 1: Status code mismatch: expected 200, got 404');
+  });
+});
+
+// ── Timeouts ─────────────────────────────────────────────────────────────────
+
+describe('CLI e2e – --timeout', () => {
+  it('fails tests that run longer than the timeout', () => {
+    const yaml = JSON.stringify([
+      { name: 'hangs', command: { command: 'sleep 5' }, source: { type: 'local' }, expect: { exitCode: 0 } },
+      { name: 'quick', command: { command: 'true' }, source: { type: 'local' }, expect: { exitCode: 0 }, timeoutSeconds: 5 },
+    ]);
+    const r = runCli(yaml, ['-f', '-', '--timeout', '0.5', '--no-fail-fast']);
+    expect(r.status).toBe(1);
+    expect(r.stdout).toContain('Test timed out after 0.5s');
+    expect(r.stdout).toContain('1 passed');
+  });
+
+  it('exits 1 on a non-positive value', () => {
+    const r = runCli('', ['-f', '-', '--timeout', '0']);
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('--timeout must be a positive number of seconds');
+  });
+});
+
+// ── --rerun-failed ───────────────────────────────────────────────────────────
+
+describe('CLI e2e – --rerun-failed', () => {
+  const local = (name, command, extra = {}) => ({
+    name, command: { command }, source: { type: 'local' }, expect: { exitCode: 0 }, ...extra,
+  });
+  let dir;
+
+  // Runs in a directory of its own, holding the test files and the state file
+  const run = (args) => spawnSync(NODE, [CLI, ...args], {
+    cwd: dir,
+    encoding: 'utf8',
+    env: { ...process.env, NO_COLOR: '1' },
+    timeout: 15000,
+  });
+  const write = (name, tests) => fs.writeFileSync(path.join(dir, name), JSON.stringify(tests));
+  const state = () => JSON.parse(fs.readFileSync(path.join(dir, '.yamltest/last-run.json'), 'utf8'));
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yamltest-rerun-'));
+  });
+
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('does not record a run without --state-dir', () => {
+    write('suite.yaml', [local('ping', 'true')]);
+    expect(run(['-f', 'suite.yaml']).status).toBe(0);
+    expect(fs.existsSync(path.join(dir, '.yamltest'))).toBe(false);
+  });
+
+  it('records the outcome, position and source file of every test', () => {
+    fs.mkdirSync(path.join(dir, 'common'), { recursive: true });
+    write('common/ping.yaml', [local('ping', 'true')]);
+    write('suite.yaml', [
+      { include: 'common/ping.yaml' },
+      local('get id', 'echo 42', { setVars: { ID: { stdout: true } } }),
+      local('unrelated', 'true'),
+      local('check id', 'test "$ID" = 43'),
+      local('after', 'true'),
+    ]);
+    const r = run(['-f', 'suite.yaml', '--state-dir', '.yamltest']);
+    expect(r.status).toBe(1);
+    expect(state().files).toEqual([{
+      file: 'suite.yaml',
+      tests: [
+        { index: 0, name: 'ping', status: 'passed', source: path.join('common', 'ping.yaml') },
+        { index: 1, name: 'get id', status: 'passed', source: 'suite.yaml' },
+        { index: 2, name: 'unrelated', status: 'passed', source: 'suite.yaml' },
+        { index: 3, name: 'check id', status: 'failed', source: 'suite.yaml' },
+        { index: 4, name: 'after', status: 'skipped', source: 'suite.yaml' },
+      ],
+    }]);
+  });
+
+  it('re-runs the failed and skipped tests with the tests setting their variables', () => {
+    const r = run(['--rerun-failed']);
+    expect(r.status).toBe(1);
+    expect(r.stdout).toContain('get id');
+    expect(r.stdout).toContain('check id');
+    expect(r.stdout).not.toContain('unrelated');
+    expect(r.stdout).toContain('2 deselected');
+    expect(state().files[0].tests.find((t) => t.name === 'after').status).toBe('skipped');
+  });
+
+  it('only updates the re-run tests, until nothing is left to re-run', () => {
+    write('suite.yaml', [
+      { include: 'common/ping.yaml' },
+      local('get id', 'echo 42', { setVars: { ID: { stdout: true } } }),
+      local('unrelated', 'true'),
+      local('check id', 'test "$ID" = 42'),
+      local('after', 'true'),
+    ]);
+    expect(run(['--rerun-failed']).status).toBe(0);
+    expect(state().files[0].tests.map((t) => t.status)).toEqual(['passed', 'passed', 'passed', 'passed', 'passed']);
+
+    const r = run(['--rerun-failed']);
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain('Nothing to re-run');
+  });
+
+  it('warns about variables set by a test of another file that is not re-run', () => {
+    write('login.yaml', [local('login', 'echo tok', { setVars: { SHARED: { stdout: true, export: true } } })]);
+    write('use.yaml', [local('use shared', 'test "$SHARED" = other')]);
+    expect(run(['-f', 'login.yaml', '-f', 'use.yaml', '--state-dir', '.yamltest']).status).toBe(1);
+
+    const r = run(['--rerun-failed']);
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('Warning: "use shared" (use.yaml) uses SHARED, set by "login" in login.yaml, which is not re-run before it');
+    expect(r.stdout).not.toContain('login');
+  });
+
+  it('warns about failed tests that no longer exist', () => {
+    write('use.yaml', [local('renamed', 'true')]);
+    const r = run(['--rerun-failed', '-f', 'use.yaml']);
+    expect(r.status).toBe(0);
+    expect(r.stderr).toContain('"use shared" (use.yaml) failed in the last run but no longer exists');
+    expect(r.stdout).toContain('Nothing to re-run');
+  });
+
+  it('tells apart tests of the same name by their position', () => {
+    write('dupes.yaml', [local('probe', 'true'), local('probe', 'false'), local('probe', 'true')]);
+    expect(run(['-f', 'dupes.yaml', '--state-dir', 'state', '--no-fail-fast']).status).toBe(1);
+
+    // Only the second one is re-run: the others would fail now
+    write('dupes.yaml', [local('probe', 'false'), local('probe', 'true'), local('probe', 'false')]);
+    const r = run(['--rerun-failed', '--state-dir', 'state']);
+    expect(r.status).toBe(0);
+    expect(r.stdout).toContain('2 deselected');
+    const recorded = JSON.parse(fs.readFileSync(path.join(dir, 'state/last-run.json'), 'utf8'));
+    expect(recorded.files[0].tests.map((t) => t.status)).toEqual(['passed', 'passed', 'passed']);
+  });
+
+  it('keeps the outcome of tests that moved but were not re-run', () => {
+    write('moved.yaml', [local('first', 'false'), local('second', 'false')]);
+    expect(run(['-f', 'moved.yaml', '--state-dir', 'moved', '--no-fail-fast']).status).toBe(1);
+
+    write('moved.yaml', [local('added', 'true'), local('first', 'true'), local('second', 'true')]);
+    expect(run(['--rerun-failed', '--state-dir', 'moved', '--grep', '^first$']).status).toBe(0);
+    const recorded = JSON.parse(fs.readFileSync(path.join(dir, 'moved/last-run.json'), 'utf8'));
+    expect(recorded.files[0].tests).toMatchObject([
+      { index: 0, name: 'added', status: 'deselected' },
+      { index: 1, name: 'first', status: 'passed' },
+      { index: 2, name: 'second', status: 'failed' },
+    ]);
+  });
+
+  it('exits 1 when no run was recorded', () => {
+    fs.rmSync(path.join(dir, '.yamltest'), { recursive: true, force: true });
+    const r = run(['--rerun-failed']);
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('No previous run recorded (.yamltest/last-run.json not found); run the tests once with --state-dir .yamltest');
+  });
+});
@@ -7,8 +7,11 @@
  * executeTest → executeCommandTest → executeLocalCommand → child_process.spawn
  */
 
-import { describe, it, expect } from 'vitest';
-import { executeTest } from '../../src/index.js';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { executeTest, runTests, cleanupResources } from '../../src/index.js';
 
 function yaml(obj) {
   return JSON.stringify(obj);
@@ -166,6 +169,57 @@ describe('Command integration – environment variables', () => {
       )
     ).resolves.toBe(true);
   });
+
+  it('renders the command and leaves $$ references to the shell', async () => {
+    await expect(
+      executeTest(
+        yaml({
+          command: {
+            command: 'for w in ${WORDS | upper}; do printf "$${w}-"; done; printf ${MISSING:-end}',
+            env: { WORDS: 'a b' },
+          },
+          source: { type: 'local' },
+          expect: { exitCode: 0, stdout: { equals: 'A-B-end' } },
+        })
+      )
+    ).resolves.toBe(true);
+  });
+
+  it('leaves references to unset variables to the shell', async () => {
+    await expect(
+      executeTest(
+        yaml({
+          command: { command: 'echo "${TEMPLATE_TEST_UNSET:?set TEMPLATE_TEST_UNSET first}"' },
+          source: { type: 'local' },
+          expect: { stderr: { contains: 'set TEMPLATE_TEST_UNSET first' } },
+        })
+      )
+    ).resolves.toBe(true);
+  });
+
+  it('runs shell loop variables as written', async () => {
+    await expect(
+      executeTest(
+        yaml({
+          command: { command: 'for i in 1 2; do echo $i; done' },
+          source: { type: 'local' },
+          expect: { exitCode: 0, stdout: { equals: '1\n2' } },
+        })
+      )
+    ).resolves.toBe(true);
+  });
+
+  it('runs awk field references as written', async () => {
+    await expect(
+      executeTest(
+        yaml({
+          command: { command: "echo a b | awk '{print $NF}'" },
+          source: { type: 'local' },
+          expect: { exitCode: 0, stdout: { equals: 'b' } },
+        })
+      )
+    ).resolves.toBe(true);
+  });
 });
 
 describe('Command integration – shell pipes & complex commands', () => {
@@ -193,3 +247,116 @@ describe('Command integration – shell pipes & complex commands', () => {
     ).resolves.toBe(true);
   });
 });
+
+describe('Command integration – timeoutSeconds', () => {
+  it('kills a command that outlives the timeout', async () => {
+    const start = Date.now();
+    await expect(
+      executeTest(
+        yaml({
+          command: { command: 'sleep 5; echo done' },
+          source: { type: 'local' },
+          expect: { exitCode: 0 },
+          timeoutSeconds: 0.2,
+        })
+      )
+    ).rejects.toThrow('Test timed out after 0.2s');
+    expect(Date.now() - start).toBeLessThan(2000);
+  });
+
+  it('records the request of a timed-out command', async () => {
+    const report = {};
+    await expect(
+      executeTest(
+        yaml({
+          command: { command: 'sleep 5' },
+          source: { type: 'local' },
+          expect: { exitCode: 0 },
+          timeoutSeconds: 0.2,
+        }),
+        { report }
+      )
+    ).rejects.toThrow(/timed out/);
+    expect(report.request.command).toBe('sleep 5');
+    expect(report.commandResult).toBeUndefined();
+  });
+});
+
+describe('Command integration – interruption', () => {
+  it('kills the command when the signal aborts', async () => {
+    const controller = new AbortController();
+    const run = executeTest(
+      yaml({
+        command: { command: 'sleep 5' },
+        source: { type: 'local' },
+        expect: { exitCode: 0 },
+      }),
+      { signal: controller.signal }
+    );
+    setTimeout(() => controller.abort(), 100);
+    await expect(run).rejects.toThrow('Test interrupted');
+  });
+
+  it('kills commands still running on cleanupResources', async () => {
+    const run = executeTest(
+      yaml({
+        command: { command: 'sleep 5' },
+        source: { type: 'local' },
+        expect: { exitCode: 0 },
+      })
+    );
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(cleanupResources()).toEqual({ processes: 1, tempFiles: 0 });
+    await expect(run).rejects.toThrow(/Exit code mismatch/);
+    expect(cleanupResources()).toEqual({ processes: 0, tempFiles: 0 });
+  });
+});
+
+// A stand-in for kubectl on PATH: `kubectl ... exec <pod> -- sh -c "<command>"`
+// runs the command locally after a second, like a slow cluster would
+describe('Command integration – pod commands', () => {
+  let binDir;
+  const originalPath = process.env.PATH;
+
+  beforeAll(() => {
+    binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yamltest-kubectl-'));
+    fs.writeFileSync(path.join(binDir, 'kubectl'), '#!/bin/sh\nsleep 1\nwhile [ "$1" != "--" ]; do shift; done\nshift\nexec "$@"\n', { mode: 0o755 });
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+  });
+
+  afterAll(() => {
+    process.env.PATH = originalPath;
+    fs.rmSync(binDir, { recursive: true, force: true });
+  });
+
+  const podCommand = (name, command, extra = {}) => ({
+    name,
+    command: { command },
+    source: { type: 'pod', selector: { kind: 'Pod', metadata: { namespace: 'shop', name: 'client' } } },
+    expect: { exitCode: 0 },
+    ...extra,
+  });
+
+  it('runs pod commands side by side without blocking each other', async () => {
+    const start = Date.now();
+    const result = await runTests(yaml([podCommand('a', 'echo a'), podCommand('b', 'echo b')]), { concurrency: 2 });
+    expect(result.passed).toBe(2);
+    expect(result.results.map((r) => r.commandResult.stdout)).toEqual(['a', 'b']);
+    expect(Date.now() - start).toBeLessThan(1900);
+  });
+
+  it('reports the exit code of a failing pod command', async () => {
+    const result = await runTests(yaml([podCommand('fails', 'exit 3')]));
+    expect(result.results[0].commandResult.exitCode).toBe(3);
+    expect(result.results[0].error).toMatch(/Exit code mismatch/);
+  });
+
+  it('stops a pod command at its timeout', async () => {
+    const start = Date.now();
+    await expect(executeTest(yaml(podCommand('slow', 'sleep 5', { timeoutSeconds: 0.3 })))).rejects.toThrow(/timed out/i);
+    expect(Date.now() - start).toBeLessThan(1000);
+    // The killed kubectl is gone once its exit has been seen
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(cleanupResources()).toEqual({ processes: 0, tempFiles: 0 });
+  });
+});
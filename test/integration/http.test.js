@@ -57,6 +57,18 @@ beforeAll(async () => {
         return;
       }
 
+      if (url === '/headers') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(req.headers));
+        return;
+      }
+
+      if (url === '/slow') {
+        const timer = setTimeout(() => res.end('late'), 5000);
+        req.on('close', () => clearTimeout(timer));
+        return;
+      }
+
       if (req.method === 'POST' && url === '/echo') {
         let body = '';
         req.on('data', (chunk) => (body += chunk));
@@ -329,3 +341,103 @@ describe('HTTP integration – negated assertions', () => {
     ).resolves.toBe(true);
   });
 });
+
+describe('HTTP integration – timeoutSeconds', () => {
+  it('aborts a request that outlives the timeout', async () => {
+    const start = Date.now();
+    await expect(
+      executeTest(
+        yaml({
+          http: { url: baseUrl, method: 'GET', path: '/slow' },
+          source: { type: 'local' },
+          expect: { statusCode: 200 },
+          timeoutSeconds: 0.2,
+        })
+      )
+    ).rejects.toThrow('Test timed out after 0.2s');
+    expect(Date.now() - start).toBeLessThan(2000);
+  });
+
+  it('passes when the response arrives in time', async () => {
+    await expect(
+      executeTest(
+        yaml({
+          http: { url: baseUrl, method: 'GET', path: '/health' },
+          source: { type: 'local' },
+          expect: { statusCode: 200 },
+          timeoutSeconds: 5,
+        })
+      )
+    ).resolves.toBe(true);
+  });
+});
+
+describe('HTTP integration – vars', () => {
+  it('resolves URL and header variables from vars before process.env', async () => {
+    process.env.VARS_TEST_TOKEN = 'from-env';
+    process.env.VARS_TEST_BASE = 'http://127.0.0.1:1';
+    try {
+      const report = {};
+      await executeTest(
+        yaml({
+          http: { url: '$VARS_TEST_BASE', method: 'GET', path: '/headers', headers: { Authorization: 'Bearer ${VARS_TEST_TOKEN}' } },
+          source: { type: 'local' },
+          expect: { statusCode: 200, bodyJsonPath: [{ path: '$.authorization', comparator: 'equals', value: 'Bearer from-vars' }] },
+        }),
+        { report, vars: { VARS_TEST_BASE: baseUrl, VARS_TEST_TOKEN: 'from-vars' } }
+      );
+      expect(report.request.url).toBe(`${baseUrl}/headers`);
+    } finally {
+      delete process.env.VARS_TEST_TOKEN;
+      delete process.env.VARS_TEST_BASE;
+    }
+  });
+
+  it('writes values captured by setVars into vars', async () => {
+    const vars = { VARS_TEST_USER: 'stale' };
+    await executeTest(
+      yaml({
+        http: { url: baseUrl, method: 'GET', path: '/json' },
+        source: { type: 'local' },
+        expect: { statusCode: 200 },
+        setVars: { VARS_TEST_USER: { jsonPath: '$.user.name' } },
+      }),
+      { vars }
+    );
+    expect(vars.VARS_TEST_USER).toBe('Alice');
+    delete process.env.VARS_TEST_USER;
+  });
+});
+
+describe('HTTP integration – templates', () => {
+  it('renders the path, body, expected values and JSONPaths', async () => {
+    const report = {};
+    await executeTest(
+      yaml({
+        http: { url: baseUrl, method: 'POST', path: '/${ENDPOINT:-echo}', body: { user: '${USER_NAME | upper}', cost: '$$5' } },
+        source: { type: 'local' },
+        expect: {
+          statusCode: 200,
+          bodyJsonPath: [{ path: '$.${FIELD}', comparator: 'contains', value: '{"user":"${USER_NAME | upper}","cost":"$$5"}' }],
+        },
+      }),
+      { report, vars: { USER_NAME: 'ada', FIELD: 'received' } }
+    );
+    expect(report.request.url).toBe(`${baseUrl}/echo`);
+  });
+
+  it('fails on an unset variable, naming the field, before sending anything', async () => {
+    const report = {};
+    await expect(
+      executeTest(
+        yaml({
+          http: { url: baseUrl, method: 'GET', path: '/headers', headers: { Authorization: 'Bearer $TEMPLATE_TEST_UNSET' } },
+          source: { type: 'local' },
+          expect: { statusCode: 200 },
+        }),
+        { report }
+      )
+    ).rejects.toThrow('http.headers.Authorization: Variable TEMPLATE_TEST_UNSET is not set');
+    expect(report.request).toBeUndefined();
+  });
+});
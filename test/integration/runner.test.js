@@ -8,7 +8,11 @@
  */
 
 import http from 'http';
-import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
 import { runTests } from '../../src/runner.js';
 
 // ── Local test server ─────────────────────────────────────────────────────────
@@ -30,6 +34,17 @@ beforeAll(
           res.end('error');
           return;
         }
+        if (req.url.startsWith('/count/')) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ count: Number(req.url.slice(7)) }));
+          return;
+        }
+        if (req.url.startsWith('/items/')) {
+          const items = Array.from({ length: Number(req.url.slice(7)) }, (_, i) => ({ id: i + 1 }));
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ items }));
+          return;
+        }
         res.writeHead(404);
         res.end('not found');
       });
@@ -226,7 +241,8 @@ describe('Runner integration – setVars within-run chaining', () => {
     // A command like `export KEY=value` sets the var only in the subshell
     // spawned for that test. The subshell exits, the var is gone.
     // The next test spawns a fresh subshell from process.env, which does
-    // not contain KEY — so echo $KEY prints an empty line.
+    // not contain KEY — so echo $KEY prints an empty line ($$ leaves the
+    // reference to the shell instead of YAMLTest's own variables).
     // Use setVars instead for cross-step variable passing.
     const key = 'YAMLTEST_SUBSHELL_EXPORT';
     delete process.env[key];
@@ -242,7 +258,7 @@ describe('Runner integration – setVars within-run chaining', () => {
         name: 'read-after-subshell-export',
         // $KEY is empty because the previous subshell exited;
         // the equals check against an empty string confirms it was not propagated.
-        command: { command: `echo "got:${key}:$(echo $${key})"` },
+        command: { command: `echo "got:${key}:$(echo $$${key})"` },
         source: { type: 'local' },
         expect: { exitCode: 0, stdout: { contains: `got:${key}:` } },
       },
@@ -256,3 +272,302 @@ describe('Runner integration – setVars within-run chaining', () => {
     delete process.env[key];
   });
 });
+
+// ── Result details ────────────────────────────────────────────────────────────
+
+describe('Runner integration – result details', () => {
+  it('records the test type, resolved request, response and assertions for HTTP tests', async () => {
+    const result = await runTests(toYaml([
+      {
+        name: 'detailed',
+        http: { url: `${baseUrl}/ok`, method: 'GET', headers: { 'X-Trace': 'abc' } },
+        source: { type: 'local' },
+        expect: { statusCode: 200, bodyContains: 'ok' },
+        setVars: { OK_STATUS: { statusCode: true } },
+      },
+    ]));
+
+    const r = result.results[0];
+    expect(r.type).toBe('http');
+    expect(r.request).toEqual({ url: `${baseUrl}/ok`, method: 'GET', headers: { 'X-Trace': 'abc' } });
+    expect(r.response.statusCode).toBe(200);
+    expect(r.response.body).toBe('ok');
+    expect(r.assertions).toEqual([
+      { description: 'statusCode equals 200', passed: true },
+      { description: 'bodyContains "ok"', passed: true },
+    ]);
+    expect(r.vars).toEqual({ OK_STATUS: 200 });
+  });
+
+  it('records the failed assertion with its error', async () => {
+    const result = await runTests(toYaml([httpTest('wrong-status', '/fail', 200)]));
+    const r = result.results[0];
+    expect(r.response.statusCode).toBe(500);
+    expect(r.assertions).toEqual([
+      { description: 'statusCode equals 200', passed: false, error: 'Status code mismatch: expected 200, got 500' },
+    ]);
+  });
+
+  it('records the command and its result for command tests', async () => {
+    const result = await runTests(toYaml([
+      {
+        name: 'cmd-details',
+        command: { command: 'echo hello' },
+        source: { type: 'local' },
+        expect: { exitCode: 0, stdout: { contains: 'hello' } },
+      },
+    ]));
+    const r = result.results[0];
+    expect(r.type).toBe('command');
+    expect(r.request.command).toBe('echo hello');
+    expect(r.commandResult).toEqual({ stdout: 'hello', stderr: '', exitCode: 0 });
+    expect(r.assertions.map((a) => a.passed)).toEqual([true, true]);
+    expect(r.response).toBeNull();
+  });
+
+  it('records the body and params of a request', async () => {
+    const result = await runTests(toYaml([
+      {
+        name: 'post',
+        http: { url: baseUrl, method: 'POST', path: '/ok', params: { q: '1' }, body: { a: 1 } },
+        source: { type: 'local' },
+        expect: { statusCode: 200 },
+      },
+    ]));
+    expect(result.results[0].request).toEqual({
+      url: `${baseUrl}/ok`, method: 'POST', headers: {}, params: { q: '1' }, body: { a: 1 },
+    });
+  });
+
+  it('records the differences between the bodies of a failed comparison', async () => {
+    const request = (path) => ({ http: { url: baseUrl, method: 'GET', path }, source: { type: 'local' } });
+    const result = await runTests(toYaml([
+      { name: 'same', httpBodyComparison: { request1: request('/count/1'), request2: request('/count/1'), parseAsJson: true } },
+      { name: 'different', httpBodyComparison: { request1: request('/count/1'), request2: request('/count/2'), parseAsJson: true } },
+    ]), { failFast: false });
+    expect(result.results[0]).not.toHaveProperty('bodyDifferences');
+    expect(result.results[1].bodyDifferences).toEqual([{ path: ['count'], kind: 'E', lhs: 1, rhs: 2 }]);
+    expect(result.results[1].error).toContain('• count: 1 => 2\n');
+  });
+
+  it('records the array before and after, and its changed items, as one difference', async () => {
+    const request = (path) => ({ http: { url: baseUrl, method: 'GET', path }, source: { type: 'local' } });
+    const result = await runTests(toYaml([
+      { name: 'items', httpBodyComparison: { request1: request('/items/1'), request2: request('/items/2'), parseAsJson: true } },
+    ]));
+    expect(result.results[0].bodyDifferences).toEqual([{
+      path: ['items'],
+      kind: 'A',
+      lhs: [{ id: 1 }],
+      rhs: [{ id: 1 }, { id: 2 }],
+      items: [{ index: 1, kind: 'N', rhs: { id: 2 } }],
+    }]);
+    expect(result.results[0].error).toContain('• items:\n\nBefore:\n- id: 1\nAfter:\n- id: 1\n- id: 2\n');
+  });
+
+  it('gives skipped tests empty details', async () => {
+    const result = await runTests(toYaml([
+      commandTest('fails', 'false'),
+      commandTest('skipped', 'true'),
+    ]));
+    expect(result.results[1]).toMatchObject({ skipped: true, type: 'command', request: null, assertions: [], vars: {} });
+  });
+});
+
+// ── Suite defaults ────────────────────────────────────────────────────────────
+
+describe('Runner integration – suite defaults', () => {
+  it('sends the default base URL and headers merged with the per-test request', async () => {
+    const result = await runTests(JSON.stringify({
+      defaults: {
+        source: { type: 'local' },
+        http: { url: baseUrl, method: 'GET', headers: { Accept: 'text/plain', 'X-Suite': '1' } },
+      },
+      tests: [
+        { name: 'ok', http: { path: '/ok', headers: { 'X-Suite': '2' } }, expect: { statusCode: 200 } },
+        { name: 'cmd', command: { command: 'echo hi' }, expect: { exitCode: 0 } },
+      ],
+    }));
+
+    expect(result.passed).toBe(2);
+    expect(result.results[0].request).toEqual({
+      url: `${baseUrl}/ok`,
+      method: 'GET',
+      headers: { Accept: 'text/plain', 'X-Suite': '2' },
+    });
+    expect(result.results[1].type).toBe('command');
+  });
+});
+
+// ── Retry conditions ──────────────────────────────────────────────────────────
+
+describe('Runner integration – retry conditions', () => {
+  const retried = (url, on) => toYaml([{
+    name: 'retried',
+    http: { url, method: 'GET' },
+    source: { type: 'local' },
+    expect: { statusCode: 200 },
+    retry: { attempts: 3, delayMs: 1, on },
+  }]);
+
+  it('retries on a listed status code', async () => {
+    const result = await runTests(retried(`${baseUrl}/fail`, [500]));
+    expect(result.results[0].attempts).toBe(3);
+  });
+
+  it('fails right away on a status code that is not listed', async () => {
+    const result = await runTests(retried(`${baseUrl}/missing`, [502, 503]));
+    expect(result.results[0].attempts).toBe(1);
+    expect(result.results[0].error).toMatch(/expected 200, got 404/);
+  });
+
+  it('retries connection errors when connectionError is listed', async () => {
+    const result = await runTests(retried('http://127.0.0.1:1/', ['connectionError']));
+    expect(result.results[0].attempts).toBe(3);
+    expect(result.results[0].attemptErrors[0].error).toMatch(/ECONNREFUSED/);
+  });
+
+  it('does not treat a connection error as a status code match', async () => {
+    const result = await runTests(retried('http://127.0.0.1:1/', [503]));
+    expect(result.results[0].attempts).toBe(1);
+  });
+});
+
+// ── Timeouts ──────────────────────────────────────────────────────────────────
+
+describe('Runner integration – timeouts', () => {
+  it('applies the run-wide timeout to tests without their own', async () => {
+    const result = await runTests(toYaml([
+      commandTest('slow', 'sleep 5'),
+      { ...commandTest('own timeout', 'sleep 0.5'), timeoutSeconds: 5 },
+    ]), { timeout: 0.2, failFast: false });
+
+    expect(result.results[0].passed).toBe(false);
+    expect(result.results[0].error).toBe('Test timed out after 0.2s');
+    expect(result.results[1].passed).toBe(true);
+  });
+
+  it('gives every retry attempt the full timeout', async () => {
+    const result = await runTests(toYaml([
+      { ...commandTest('slow', 'sleep 5'), timeoutSeconds: 0.2, retries: 1 },
+    ]));
+
+    expect(result.results[0].attempts).toBe(2);
+    expect(result.results[0].attemptErrors.map((a) => a.error)).toEqual([
+      'Test timed out after 0.2s',
+      'Test timed out after 0.2s',
+    ]);
+  });
+
+  it('rejects an invalid timeout option', async () => {
+    await expect(runTests(toYaml([commandTest('a', 'true')]), { timeout: 0 }))
+      .rejects.toThrow('Invalid timeout: expected a positive number of seconds, got 0');
+  });
+});
+
+// ── Events ────────────────────────────────────────────────────────────────────
+
+describe('Runner integration – events', () => {
+  const flag = path.join(os.tmpdir(), `yamltest-events-${process.pid}`);
+  // baseUrl is only known once the server listens
+  const suite = () => JSON.stringify({
+    setup: [commandTest('prepare', `rm -f ${flag}`)],
+    tests: [
+      { ...httpTest('ok', '/ok', 200), tags: ['smoke'] },
+      {
+        // fails on its first attempt only
+        ...commandTest('flaky', `test -f ${flag} || { touch ${flag}; exit 1; }`),
+        retry: { attempts: 2, delayMs: 10 },
+      },
+      commandTest('other', 'true'),
+    ],
+    teardown: [commandTest('clean', `rm -f ${flag}`)],
+  });
+  afterAll(() => fs.rmSync(flag, { force: true }));
+
+  it('sends the events of the run to an EventEmitter, in order', async () => {
+    const events = new EventEmitter();
+    const seen = [];
+    for (const name of ['suiteStart', 'testStart', 'attempt', 'assertion', 'testEnd', 'suiteEnd']) {
+      events.on(name, (payload) => seen.push({ name, payload }));
+    }
+
+    const result = await runTests(suite(), { events, tags: ['smoke'] });
+
+    const summary = seen.map(({ name, payload }) => (
+      name === 'suiteStart' || name === 'suiteEnd' ? name : `${name} ${payload.phase}:${payload.name || payload.result.name}`
+    ));
+    expect(summary).toEqual([
+      'suiteStart',
+      'testStart setup:prepare',
+      'assertion setup:prepare',
+      'attempt setup:prepare',
+      'testEnd setup:prepare',
+      'testStart tests:ok',
+      'assertion tests:ok',
+      'attempt tests:ok',
+      'testEnd tests:ok',
+      'testStart teardown:clean',
+      'assertion teardown:clean',
+      'attempt teardown:clean',
+      'testEnd teardown:clean',
+      'suiteEnd',
+    ]);
+    expect(seen[0].payload).toMatchObject({ total: 3, selected: 1 });
+    expect(seen[0].payload.tests.map((t) => t.selected)).toEqual([true, false, false]);
+    expect(seen[seen.length - 1].payload.result).toBe(result);
+  });
+
+  it('calls the on* callbacks with attempts, assertions and results', async () => {
+    const attempts = [];
+    const assertions = [];
+    const ended = [];
+    const result = await runTests(suite(), {
+      onAttempt: (event) => attempts.push(event),
+      onAssertion: (event) => assertions.push(event),
+      onTestEnd: (event) => ended.push(`${event.phase}:${event.result.name}`),
+    });
+
+    expect(result.passed).toBe(3);
+    expect(attempts.filter((a) => a.name === 'flaky')).toMatchObject([
+      { phase: 'tests', index: 1, attempt: 1, passed: false, willRetry: true },
+      { phase: 'tests', index: 1, attempt: 2, passed: true, error: null, willRetry: false },
+    ]);
+    expect(assertions.find((a) => a.name === 'ok')).toMatchObject({ attempt: 1, description: 'statusCode equals 200', passed: true });
+    expect(assertions.find((a) => a.name === 'flaky' && !a.passed)).toMatchObject({ attempt: 1 });
+    expect(ended).toEqual(['setup:prepare', 'tests:ok', 'tests:flaky', 'tests:other', 'teardown:clean']);
+  });
+
+  it('ends skipped tests too', async () => {
+    const ended = [];
+    await runTests(toYaml([httpTest('fail', '/fail', 200), commandTest('never', 'true')]), {
+      onTestEnd: ({ index, result }) => ended.push([index, Boolean(result.skipped)]),
+    });
+    expect(ended).toEqual([[0, false], [1, true]]);
+  });
+
+  it('logs the error of a listener that throws and keeps the run and its result', async () => {
+    const ran = [];
+    const events = new EventEmitter();
+    events.on('testStart', () => {
+      throw new Error('emitter listener broke');
+    });
+    const logged = vi.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const result = await runTests(toYaml([commandTest('a', 'true'), commandTest('b', 'true')]), {
+        events,
+        onTestStart: ({ name }) => {
+          ran.push(name);
+          throw new Error('listener broke');
+        },
+      });
+      expect(ran).toEqual(['a', 'b']);
+      expect(result.passed).toBe(2);
+      expect(logged).toHaveBeenCalledTimes(4);
+      expect(logged.mock.calls[0]).toEqual(['Error in a testStart listener of runTests:', new Error('emitter listener broke')]);
+      expect(logged.mock.calls[1][1].message).toBe('listener broke');
+    } finally {
+      logged.mockRestore();
+    }
+  });
+});
@@ -5,14 +5,15 @@
  *
  * Spins up a real local HTTP server and runs real shell commands to exercise
  * the full setVars pipeline: extract values from one test step, store them
- * in process.env, and use them in subsequent steps via ${VAR} syntax.
+ * (in process.env for the single-test API, in the variable store of the run
+ * for runTests), and use them in subsequent steps via ${VAR} syntax.
  *
  * Covers all extraction sources for http and command test types, plus
  * cross-type chaining (http→command, command→http, command→command, http→http).
  */
 
 import http from 'http';
-import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest';
 import { executeTest } from '../../src/index.js';
 import { runTests } from '../../src/runner.js';
 
@@ -54,6 +55,16 @@ beforeAll(async () => {
         return;
       }
 
+      if (req.method === 'POST' && req.url === '/echo') {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(body);
+        });
+        return;
+      }
+
       if (req.url === '/check-key') {
         const key = req.headers['x-api-key'];
         if (key === 'my-secret-key') {
@@ -645,3 +656,192 @@ describe('setVars integration – multiple variables', () => {
     expect(result.failed).toBe(0);
   });
 });
+
+// ── Variable store of a run ───────────────────────────────────────────────────
+
+describe('setVars integration – variable store of a run', () => {
+  const capture = (setVars) => ({
+    name: 'capture',
+    http: { url: baseUrl, method: 'GET', path: '/json' },
+    source: { type: 'local' },
+    expect: { statusCode: 200 },
+    setVars,
+  });
+
+  it('keeps captured values out of process.env and out of later runs', async () => {
+    const first = await runTests(toYaml([capture({ SV_RUN_TOKEN: { jsonPath: '$.token' } })]));
+    expect(first.vars).toEqual({ SV_RUN_TOKEN: 'secret-token-xyz' });
+    expect(process.env.SV_RUN_TOKEN).toBeUndefined();
+
+    const second = await runTests(toYaml([{
+      name: 'uses token',
+      command: { command: 'printf %s "${SV_RUN_TOKEN:-unset}"' },
+      source: { type: 'local' },
+      expect: { exitCode: 0, stdout: { equals: 'unset' } },
+    }]));
+    expect(second.passed).toBe(1);
+  });
+
+  // $$ leaves the reference to the shell, so these print the command's environment
+  const printEnv = (name, variable) => ({
+    name,
+    command: { command: `printf %s "$\${${variable}:-unset}"` },
+    source: { type: 'local' },
+    expect: { exitCode: 0 },
+  });
+
+  it('passes only values of rules marked export: true to the environment of commands', async () => {
+    trackVars('SV_SHELL_EXPORTED');
+    const result = await runTests(toYaml([
+      capture({ SV_SHELL_KEPT: { jsonPath: '$.token' }, SV_SHELL_EXPORTED: { jsonPath: '$.user.name', export: true } }),
+      printEnv('kept', 'SV_SHELL_KEPT'),
+      printEnv('exported', 'SV_SHELL_EXPORTED'),
+    ]));
+    expect(result.passed).toBe(3);
+    expect(result.results[1].commandResult.stdout).toBe('unset');
+    expect(result.results[2].commandResult.stdout).toBe('Alice');
+  });
+
+  it('does not pass --var style values to the environment of commands', async () => {
+    const result = await runTests(toYaml([printEnv('given', 'SV_GIVEN_VAR')]), { vars: { SV_GIVEN_VAR: 'given' } });
+    expect(result.results[0].commandResult.stdout).toBe('unset');
+  });
+
+  it('does not let a run see the values captured by an earlier run', async () => {
+    const first = await runTests(toYaml([
+      capture({ SV_FIRST_RUN: { jsonPath: '$.token' } }),
+      printEnv('same run', 'SV_FIRST_RUN'),
+    ]));
+    expect(first.vars).toEqual({ SV_FIRST_RUN: 'secret-token-xyz' });
+
+    const second = await runTests(toYaml([printEnv('next run', 'SV_FIRST_RUN')]));
+    expect(second.results[0].commandResult.stdout).toBe('unset');
+    expect(second.vars).toEqual({});
+    expect(process.env.SV_FIRST_RUN).toBeUndefined();
+  });
+
+  it('returns captured values with their JSON types', async () => {
+    const result = await runTests(toYaml([
+      capture({ SV_USER: { jsonPath: '$.user' }, SV_ID: { jsonPath: '$.user.id' }, SV_CODE: { statusCode: true } }),
+    ]), { vars: { SV_GIVEN: 'x' } });
+    expect(result.vars).toEqual({ SV_GIVEN: 'x', SV_USER: { id: 42, name: 'Alice' }, SV_ID: 42, SV_CODE: 200 });
+    expect(result.results[0].vars).toEqual({ SV_USER: { id: 42, name: 'Alice' }, SV_ID: 42, SV_CODE: 200 });
+  });
+
+  it('substitutes typed values into expected values and request bodies', async () => {
+    const result = await runTests(toYaml([
+      capture({ SV_USER: { jsonPath: '$.user' }, SV_ID: { jsonPath: '$.user.id' } }),
+      {
+        name: 'echo',
+        http: { url: baseUrl, method: 'POST', path: '/echo', body: { owner: '$SV_USER', note: 'user ${SV_ID}' } },
+        source: { type: 'local' },
+        expect: {
+          statusCode: 200,
+          body: { owner: { id: 42, name: 'Alice' }, note: 'user 42' },
+          bodyJsonPath: [
+            { path: '$.owner', comparator: 'equals', value: '$SV_USER' },
+            { path: '$.owner.id', comparator: 'equals', value: '${SV_ID}' },
+          ],
+        },
+      },
+    ]));
+    expect(result.results[1].error).toBeNull();
+    expect(result.passed).toBe(2);
+  });
+
+  it('exports values of rules marked export: true to process.env', async () => {
+    trackVars('SV_EXPORTED', 'SV_KEPT');
+    const result = await runTests(toYaml([
+      capture({ SV_EXPORTED: { jsonPath: '$.user', export: true }, SV_KEPT: { jsonPath: '$.token' } }),
+    ]));
+    expect(result.passed).toBe(1);
+    expect(JSON.parse(process.env.SV_EXPORTED)).toEqual({ id: 42, name: 'Alice' });
+    expect(process.env.SV_KEPT).toBeUndefined();
+  });
+});
+
+describe('setVars integration – secrets', () => {
+  const echo = (body, expected) => ({
+    name: 'echo',
+    http: { url: baseUrl, method: 'POST', path: '/echo', body },
+    source: { type: 'local' },
+    expect: { statusCode: 200, body: expected },
+  });
+
+  it('masks a value captured with secret: true in results and later errors', async () => {
+    const result = await runTests(toYaml([
+      {
+        name: 'login',
+        http: { url: baseUrl, method: 'GET', path: '/json' },
+        source: { type: 'local' },
+        expect: { statusCode: 200 },
+        setVars: { SV_SESSION: { jsonPath: '$.token', secret: true } },
+      },
+      echo({ session: '$SV_SESSION' }, { session: 'other' }),
+    ]), { failFast: false });
+
+    expect(result.results[0].vars).toEqual({ SV_SESSION: '****' });
+    expect(result.results[0].response.body.token).toBe('****');
+    expect(result.results[1].error).toContain('****');
+    expect(JSON.stringify(result.results)).not.toContain('secret-token-xyz');
+    expect(result.vars.SV_SESSION).toBe('secret-token-xyz');
+  });
+
+  it('masks Authorization headers and the credential they carry', async () => {
+    const result = await runTests(toYaml([{
+      name: 'auth',
+      http: { url: baseUrl, method: 'GET', path: '/check-auth', headers: { Authorization: 'Bearer wrong-credential' } },
+      source: { type: 'local' },
+      expect: { statusCode: 200 },
+    }]));
+
+    expect(result.results[0].request.headers).toEqual({ Authorization: '****' });
+    expect(result.results[0].response.body).toEqual({ authenticated: false, received: '****' });
+  });
+
+  it('masks variables named by the secrets option', async () => {
+    const result = await runTests(toYaml([{
+      name: 'print',
+      command: { command: 'printf "connecting to %s" "$SV_DB_URL"' },
+      source: { type: 'local' },
+      expect: { exitCode: 0, stdout: { equals: 'nothing' } },
+    }]), { vars: { SV_DB_URL: 'postgres://admin:pw@db' }, secrets: ['SV_DB_*'] });
+
+    expect(result.results[0].commandResult.stdout).toBe('connecting to ****');
+    expect(result.results[0].error).not.toContain('admin:pw');
+  });
+
+  it('keeps the secrets of a run out of the results of later runs', async () => {
+    const login = {
+      name: 'login',
+      http: { url: baseUrl, method: 'GET', path: '/json' },
+      source: { type: 'local' },
+      expect: { statusCode: 200 },
+    };
+    const first = await runTests(toYaml([{ ...login, setVars: { SV_SESSION: { jsonPath: '$.token', secret: true } } }]));
+    const second = await runTests(toYaml([login]));
+
+    expect(first.results[0].response.body.token).toBe('****');
+    expect(second.results[0].response.body.token).toBe('secret-token-xyz');
+  });
+
+  it('masks secrets in debug logs', async () => {
+    const lines = [];
+    const debug = vi.spyOn(console, 'debug').mockImplementation((...args) => lines.push(args.join(' ')));
+    process.env.DEBUG_MODE = 'true';
+    try {
+      await executeTest(yaml({
+        http: { url: baseUrl, method: 'GET', path: '/check-auth', headers: { Authorization: 'Bearer debug-credential' } },
+        source: { type: 'local' },
+        expect: { statusCode: 401 },
+      }));
+    } finally {
+      delete process.env.DEBUG_MODE;
+      debug.mockRestore();
+    }
+
+    const logged = lines.join('\n');
+    expect(logged).toContain('"Authorization": "****"');
+    expect(logged).not.toContain('debug-credential');
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Unit tests for the `if` condition language (src/condition.js).
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseCondition, evaluateCondition } from '../../src/condition.js';
+
+const vars = { SCHEME: 'https', REPLICAS: '5', DISABLED: 'false', ZERO: '0', VERSION: '2.4.1' };
+const evaluate = (expression) => evaluateCondition(expression, (name) => vars[name]);
+
+// ── Evaluation ────────────────────────────────────────────────────────────────
+
+describe('evaluateCondition', () => {
+  it('compares variables with quoted strings', () => {
+    expect(evaluate("$SCHEME == 'https'")).toBe(true);
+    expect(evaluate('${SCHEME} != "https"')).toBe(false);
+  });
+
+  it('compares numerically when both sides are numbers', () => {
+    expect(evaluate('$REPLICAS >= 3')).toBe(true);
+    expect(evaluate('$REPLICAS < 10')).toBe(true);
+    expect(evaluate('$REPLICAS == 5.0')).toBe(true);
+  });
+
+  it('matches regular expressions with =~', () => {
+    expect(evaluate("$VERSION =~ '^2\\.'")).toBe(true);
+    expect(evaluate("$VERSION =~ '^3\\.'")).toBe(false);
+  });
+
+  it('treats empty, unset, "0" and "false" values as false', () => {
+    expect(evaluate('$SCHEME')).toBe(true);
+    expect(evaluate('$UNSET')).toBe(false);
+    expect(evaluate('$DISABLED')).toBe(false);
+    expect(evaluate('$ZERO')).toBe(false);
+    expect(evaluate('!$UNSET')).toBe(true);
+    expect(evaluate("$UNSET == ''")).toBe(true);
+  });
+
+  it('compares with true and false', () => {
+    expect(evaluate('$DISABLED == false')).toBe(true);
+    expect(evaluate('true')).toBe(true);
+  });
+
+  it('combines with &&, || and parentheses, && binding tighter', () => {
+    expect(evaluate("$UNSET || $SCHEME == 'https' && $REPLICAS > 3")).toBe(true);
+    expect(evaluate("($UNSET || $SCHEME == 'https') && $REPLICAS > 9")).toBe(false);
+    expect(evaluate("!($SCHEME == 'http') && !$DISABLED")).toBe(true);
+  });
+});
+
+// ── Syntax errors ─────────────────────────────────────────────────────────────
+
+describe('parseCondition', () => {
+  it('rejects bare words and points at the variable syntax', () => {
+    expect(() => parseCondition("SCHEME == 'https'")).toThrow(
+      /Invalid condition "SCHEME == 'https'": unexpected "SCHEME" at position 1 \(variables are written \$SCHEME\)/
+    );
+  });
+
+  it('rejects incomplete expressions', () => {
+    expect(() => parseCondition('$A ==')).toThrow(/expected a variable or value, found end of condition/);
+    expect(() => parseCondition('($A')).toThrow(/expected "\)"/);
+    expect(() => parseCondition('$A $B')).toThrow(/expected an operator, found "B" at position 4/);
+    expect(() => parseCondition("$A == 'x")).toThrow(/unterminated string/);
+    expect(() => parseCondition('  ')).toThrow(/condition is empty/);
+  });
+});
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Unit tests for planTest – the dry-run planner.
+ *
+ * planTest resolves a test definition the way its executor would and returns
+ * the request plus the kubectl command lines, without sending anything. No
+ * cluster is needed: pod names looked up at run time show up as placeholders.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { planTest } from '../../src/index.js';
+
+const plan = (test) => planTest(JSON.stringify(test));
+
+const podSelector = (metadata) => ({ kind: 'Pod', metadata: { namespace: 'shop', ...metadata } });
+
+// ── HTTP tests ────────────────────────────────────────────────────────────────
+
+describe('planTest – local HTTP', () => {
+  beforeEach(() => {
+    process.env.PLAN_HOST = 'api.example.com';
+    process.env.PLAN_TOKEN = 'abc123';
+  });
+  afterEach(() => {
+    delete process.env.PLAN_HOST;
+    delete process.env.PLAN_TOKEN;
+  });
+
+  it('resolves environment variables in the URL and headers and joins the path', () => {
+    const result = plan({
+      name: 'create user',
+      source: { type: 'local' },
+      http: {
+        url: 'https://$PLAN_HOST/api',
+        path: '/users',
+        method: 'POST',
+        headers: { Authorization: 'Bearer $PLAN_TOKEN' },
+        params: { dryRun: 'false' },
+        body: { name: 'ada' },
+      },
+      expect: { statusCode: 201 },
+    });
+    expect(result).toEqual({
+      request: {
+        method: 'POST',
+        url: 'https://api.example.com/api/users',
+        headers: { Authorization: 'Bearer abc123' },
+        params: { dryRun: 'false' },
+        body: { name: 'ada' },
+      },
+      commands: [],
+    });
+  });
+
+  it('defaults the method to GET and splits a path out of the URL', () => {
+    const result = plan({
+      source: { type: 'local' },
+      http: { url: 'http://localhost:8080/health' },
+      expect: { statusCode: 200 },
+    });
+    expect(result.request).toMatchObject({ method: 'GET', url: 'http://localhost:8080/health' });
+  });
+
+  it('plans the Service lookup for a LoadBalancer address', () => {
+    const result = plan({
+      source: { type: 'local', selector: { kind: 'Service', metadata: { namespace: 'shop', name: 'web' } } },
+      http: { method: 'GET', path: '/health' },
+      expect: { statusCode: 200 },
+    });
+    expect(result.commands).toEqual(['kubectl  -n shop get service web -o json']);
+    expect(result.request.url).toBe('http://loadbalancer-ip/health');
+  });
+});
+
+describe('planTest – pod HTTP', () => {
+  const http = { url: 'http://orders:8080', path: '/orders', method: 'GET' };
+
+  it('plans the kubectl exec curl line for usePodExec', () => {
+    const result = plan({
+      source: { type: 'pod', usePodExec: true, selector: podSelector({ name: 'client' }) },
+      http,
+      expect: { statusCode: 200 },
+    });
+    expect(result.commands).toHaveLength(1);
+    expect(result.commands[0]).toMatch(/^kubectl {2}-n shop exec pod\/client -- sh -c "curl -s -i /);
+    expect(result.commands[0]).toContain("'http://orders:8080/orders'");
+  });
+
+  it('lists the pod lookup first and uses <pod> for pods selected by label', () => {
+    const result = plan({
+      source: { type: 'pod', usePodExec: true, selector: podSelector({ labels: { app: 'client' } }) },
+      http,
+      expect: { statusCode: 200 },
+    });
+    expect(result.commands[0]).toBe("kubectl  -n shop get pod -l app=client -o jsonpath='{.items[0].metadata.name}'");
+    expect(result.commands[1]).toContain('exec <pod> --');
+  });
+
+  it('plans the kubectl debug line for the default pod source', () => {
+    const result = plan({
+      source: { type: 'pod', container: 'app', selector: podSelector({ name: 'client' }) },
+      http,
+      expect: { statusCode: 200 },
+    });
+    expect(result.commands).toHaveLength(1);
+    expect(result.commands[0]).toMatch(/^kubectl debug -it -n shop client --image=node:slim --profile=general --target=app /);
+  });
+
+  it('plans the port-forward and points the request at the local port', () => {
+    const result = plan({
+      source: { type: 'pod', usePortForward: true, selector: { kind: 'Service', metadata: { namespace: 'shop', name: 'orders' } } },
+      http,
+      expect: { statusCode: 200 },
+    });
+    expect(result.commands).toEqual(['kubectl -n shop port-forward service/orders <local-port>:8080']);
+    expect(result.request.url).toBe('http://localhost:<local-port>/orders');
+  });
+});
+
+// ── Command, wait and comparison tests ────────────────────────────────────────
+
+describe('planTest – other test types', () => {
+  it('returns a local command with its environment and no kubectl commands', () => {
+    const result = plan({
+      source: { type: 'local' },
+      command: { command: 'echo hi', env: { A: '1' }, workingDir: '/tmp' },
+      expect: { exitCode: 0 },
+    });
+    expect(result).toEqual({ request: { command: 'echo hi', env: { A: '1' }, workingDir: '/tmp' }, commands: [] });
+  });
+
+  it('plans the kubectl exec line for a pod command', () => {
+    const result = plan({
+      source: { type: 'pod', selector: podSelector({ labels: { app: 'db' } }) },
+      command: { command: 'pg_isready', env: { PGHOST: 'localhost' } },
+      expect: { exitCode: 0 },
+    });
+    expect(result.commands).toEqual([
+      "kubectl  -n shop get pod -l app=db -o jsonpath='{.items[0].metadata.name}'",
+      "kubectl  -n shop exec <pod> -- sh -c 'export PGHOST='\\''localhost'\\''; pg_isready'",
+    ]);
+  });
+
+  it('plans the resource lookup of a wait test', () => {
+    const result = plan({
+      wait: { target: podSelector({ name: 'db-0' }), jsonPath: '.status.phase', jsonPathExpectation: { comparator: 'equals', value: 'Running' } },
+    });
+    expect(result.commands).toEqual(['kubectl  -n shop get pod db-0 -o json']);
+    expect(result.request).toEqual({ command: result.commands[0], jsonPath: '.status.phase' });
+  });
+
+  it('plans both requests of a body comparison', () => {
+    const result = plan({
+      httpBodyComparison: {
+        request1: { http: { url: 'http://a:1', path: '/x', method: 'GET' }, source: { type: 'local' } },
+        request2: { http: { url: 'http://b:2', path: '/x', method: 'GET' }, source: { type: 'local' } },
+      },
+    });
+    expect(result.request.map((r) => r.url)).toEqual(['http://a:1/x', 'http://b:2/x']);
+    expect(result.commands).toEqual([]);
+  });
+
+  it('renders namespaces, label selectors and contexts', () => {
+    const result = planTest(JSON.stringify({
+      wait: {
+        target: { kind: 'Pod', context: '$CLUSTER', metadata: { namespace: '$NS', labels: { app: '${APP | lower}' } } },
+        jsonPath: '$.status.phase',
+        jsonPathExpectation: { comparator: 'equals', value: 'Running' },
+      },
+    }), { vars: { CLUSTER: 'kind-dev', NS: 'shop', APP: 'Web' } });
+    expect(result.commands).toEqual(['kubectl --context=kind-dev -n shop get pod -l app=web -o json']);
+    expect(result.request.jsonPath).toBe('$.status.phase');
+  });
+
+  it('keeps references to variables that are not set yet', () => {
+    const result = plan({
+      source: { type: 'local' },
+      http: { url: 'http://api', path: '/users/$PLAN_USER_ID', headers: { Authorization: 'Bearer ${PLAN_UNSET_TOKEN}' } },
+      expect: { statusCode: 200 },
+    });
+    expect(result.request.url).toBe('http://api/users/$PLAN_USER_ID');
+    expect(result.request.headers).toEqual({ Authorization: 'Bearer ${PLAN_UNSET_TOKEN}' });
+  });
+
+  it('rejects an invalid definition like executeTest does', () => {
+    expect(() => plan({ source: { type: 'local' }, http: { url: 'http://a' } })).toThrow();
+  });
+});
@@ -0,0 +1,263 @@
+'use strict';
+
+/**
+ * Unit tests for the CLI report formatters (src/reporters.js).
+ *
+ * Formatters are pure functions of the per-file RunResults, so the fixtures
+ * below are hand-built results rather than real test runs.
+ */
+
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { formatJUnit, formatJson, formatTap, formatHtml } from '../../src/reporters.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const sampleResults = () => [
+  {
+    file: 'tests/auth.yaml',
+    result: {
+      total: 3,
+      passed: 1,
+      failed: 1,
+      skipped: 1,
+      results: [
+        { name: 'login', passed: true, error: null, durationMs: 41, attempts: 1 },
+        { name: 'profile <me>', passed: false, error: 'Status code mismatch: expected 200, got 401\nsecond line', durationMs: 1500, attempts: 2 },
+        { name: 'logout', passed: false, error: 'Skipped due to previous failure', durationMs: 0, attempts: 0, skipped: true },
+      ],
+    },
+  },
+  {
+    file: 'tests/health.yaml',
+    result: {
+      total: 1,
+      passed: 1,
+      failed: 0,
+      skipped: 0,
+      results: [{ name: 'liveness', passed: true, error: null, durationMs: 8, attempts: 1 }],
+    },
+  },
+];
+
+// ── formatJUnit ───────────────────────────────────────────────────────────────
+
+describe('formatJUnit', () => {
+  it('writes an XML declaration and aggregated <testsuites> counts', () => {
+    const xml = formatJUnit(sampleResults());
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+    expect(xml).toContain('<testsuites name="YAMLTest" tests="4" failures="1" errors="0" skipped="1" time="1.549">');
+  });
+
+  it('emits one <testsuite> per file and one <testcase> per test', () => {
+    const xml = formatJUnit(sampleResults());
+    expect(xml.match(/<testsuite /g)).toHaveLength(2);
+    expect(xml.match(/<testcase /g)).toHaveLength(4);
+    expect(xml).toContain('<testsuite name="tests/health.yaml" tests="1" failures="0" errors="0" skipped="0" time="0.008">');
+  });
+
+  it('uses durationMs as the testcase time in seconds', () => {
+    const xml = formatJUnit(sampleResults());
+    expect(xml).toContain('<testcase name="login" classname="tests/auth.yaml" time="0.041"/>');
+  });
+
+  it('adds a <failure> element carrying the error message', () => {
+    const xml = formatJUnit(sampleResults());
+    expect(xml).toContain('<failure message="Status code mismatch: expected 200, got 401">Status code mismatch: expected 200, got 401\nsecond line</failure>');
+  });
+
+  it('adds <skipped/> for fail-fast skips', () => {
+    const xml = formatJUnit(sampleResults());
+    expect(xml).toMatch(/<testcase name="logout"[^>]*>\s*<skipped message="Skipped due to previous failure"\/>/);
+  });
+
+  it('escapes XML special characters in names and messages', () => {
+    const xml = formatJUnit(sampleResults());
+    expect(xml).toContain('name="profile &lt;me&gt;"');
+    expect(xml).not.toContain('<me>');
+  });
+
+  it('leaves deselected tests out of the suite', () => {
+    const results = sampleResults();
+    results[1].result.total = 2;
+    results[1].result.deselected = 1;
+    results[1].result.results.push({ name: 'readiness', passed: false, error: null, durationMs: 0, attempts: 0, deselected: true });
+    const xml = formatJUnit(results);
+    expect(xml).not.toContain('readiness');
+    expect(xml).toContain('<testsuite name="tests/health.yaml" tests="1"');
+    expect(xml).toContain('<testsuites name="YAMLTest" tests="4"');
+  });
+});
+
+// ── formatJson ────────────────────────────────────────────────────────────────
+
+describe('formatJson', () => {
+  it('produces parseable JSON with combined counts', () => {
+    const report = JSON.parse(formatJson(sampleResults()));
+    expect(report).toMatchObject({ total: 4, passed: 2, failed: 1, skipped: 1, deselected: 0, durationMs: 1549 });
+  });
+
+  it('groups results per file and keeps every test result field', () => {
+    const report = JSON.parse(formatJson(sampleResults()));
+    expect(report.files.map((f) => f.file)).toEqual(['tests/auth.yaml', 'tests/health.yaml']);
+    expect(report.files[0].durationMs).toBe(1541);
+    expect(report.files[0].results[1]).toEqual(sampleResults()[0].result.results[1]);
+  });
+
+  it('marks interrupted runs at the top level and per file', () => {
+    const results = sampleResults();
+    results[1].result.interrupted = true;
+    const report = JSON.parse(formatJson(results));
+    expect(report.interrupted).toBe(true);
+    expect(report.files.map((f) => f.interrupted)).toEqual([false, true]);
+  });
+
+  it('includes the seed of generated values', () => {
+    const results = sampleResults();
+    results.forEach(({ result }) => { result.seed = '1234'; });
+    expect(JSON.parse(formatJson(results)).seed).toBe('1234');
+    expect(JSON.parse(formatJson(sampleResults()))).not.toHaveProperty('seed');
+  });
+});
+
+// ── formatTap ─────────────────────────────────────────────────────────────────
+
+describe('formatTap', () => {
+  it('starts with the version line and the plan', () => {
+    const lines = formatTap(sampleResults()).split('\n');
+    expect(lines[0]).toBe('TAP version 13');
+    expect(lines[1]).toBe('1..4');
+  });
+
+  it('numbers tests across files and introduces each file with a comment', () => {
+    const tap = formatTap(sampleResults());
+    expect(tap).toContain('# tests/auth.yaml\nok 1 - login');
+    expect(tap).toContain('# tests/health.yaml\nok 4 - liveness');
+  });
+
+  it('turns fail-fast skips into # SKIP directives', () => {
+    expect(formatTap(sampleResults())).toContain('ok 3 - logout # SKIP Skipped due to previous failure');
+  });
+
+  it('adds a YAML diagnostic block with the error and attempt count to failures', () => {
+    const tap = formatTap(sampleResults());
+    const block = tap.match(/not ok 2 - profile <me>\n {2}---\n([\s\S]*?)\n {2}\.\.\./);
+    expect(block).not.toBeNull();
+    const diagnostic = yaml.load(block[1].replace(/^ {2}/gm, ''));
+    expect(diagnostic.message).toBe('Status code mismatch: expected 200, got 401\nsecond line');
+    expect(diagnostic.attempts).toBe(2);
+  });
+
+  it('lists suite setup and teardown steps around the tests', () => {
+    const step = (name, passed) => ({ name, passed, error: passed ? null : 'boom', durationMs: 5, attempts: 1 });
+    const results = [{
+      file: 'f.yaml',
+      result: {
+        total: 1, passed: 1, failed: 0, skipped: 0,
+        setup: [step('create-ns', true)],
+        results: [step('t', true)],
+        teardown: [step('delete-ns', false)],
+      },
+    }];
+    const tap = formatTap(results);
+    expect(tap).toContain('1..3\n# f.yaml\nok 1 - [setup] create-ns\nok 2 - t\nnot ok 3 - [teardown] delete-ns');
+    expect(tap).toContain('# fail 1');
+    expect(formatJUnit(results)).toContain('<testsuite name="f.yaml" tests="3" failures="1"');
+  });
+
+  it('escapes # in test names', () => {
+    const results = [{ file: 'f.yaml', result: { total: 1, passed: 1, failed: 0, skipped: 0, results: [{ name: 'issue #42', passed: true, durationMs: 1, attempts: 1 }] } }];
+    expect(formatTap(results)).toContain('ok 1 - issue \\#42');
+  });
+});
+
+// ── formatHtml ────────────────────────────────────────────────────────────────
+
+describe('formatHtml', () => {
+  const comparison = () => [{
+    file: 'compare.yaml',
+    result: {
+      total: 1, passed: 0, failed: 1, skipped: 0,
+      results: [{
+        name: 'v1 vs v2',
+        type: 'httpBodyComparison',
+        passed: false,
+        error: 'HTTP response bodies do not match:\n\nDifferences:\n• count: 2 => 3\n',
+        durationMs: 12,
+        attempts: 1,
+        request: [
+          { url: 'http://v1/items', method: 'GET', headers: {} },
+          { url: 'http://v2/items', method: 'GET', headers: {} },
+        ],
+        response: [
+          { statusCode: 200, headers: {}, body: { count: 2 } },
+          { statusCode: 200, headers: {}, body: { count: 3 } },
+        ],
+        bodyDifferences: [
+          { path: ['count'], kind: 'E', lhs: 2, rhs: 3 },
+          { path: ['note'], kind: 'E', lhs: 'a => b', rhs: 'c' },
+          { path: ['time: utc'], kind: 'E', lhs: '10: 00', rhs: '11: 00' },
+          { path: ['tags'], kind: 'A', lhs: ['a', 'b'], rhs: ['a'], items: [{ index: 1, kind: 'D', lhs: 'b' }] },
+          { path: ['added'], kind: 'N', rhs: { x: 1 } },
+          { path: ['removed'], kind: 'D', lhs: true },
+        ],
+      }],
+    },
+  }];
+
+  it('writes a self-contained page with the summary counts', () => {
+    const html = formatHtml(sampleResults());
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).not.toMatch(/<script|<link|src=/);
+    expect(html).toContain('<div class="passed"><b>2</b>passed</div>');
+    expect(html).toContain('<div class="failed"><b>1</b>failed</div>');
+    expect(html).toContain('<b>1.55s</b>duration');
+  });
+
+  it('lists every test with its status, duration and attempts, escaping names and errors', () => {
+    const html = formatHtml(sampleResults());
+    expect(html.match(/<details class="test /g)).toHaveLength(4);
+    expect(html).toContain('<span class="status">failed</span><span class="name">profile &lt;me&gt;</span>');
+    expect(html).toContain('<span class="meta">2 attempts</span><span class="meta">1.50s</span>');
+    expect(html).toContain('<pre class="error">Status code mismatch: expected 200, got 401\nsecond line</pre>');
+    expect(html).toContain('<details class="test skipped">');
+  });
+
+  it('shows the request and response of HTTP tests', () => {
+    const results = sampleResults();
+    Object.assign(results[0].result.results[1], {
+      type: 'http',
+      request: { url: 'http://api/me', method: 'POST', headers: { Authorization: 'Bearer abcdef' }, body: { a: 1 } },
+      response: { statusCode: 401, headers: { 'content-type': 'text/plain' }, body: 'no' },
+    });
+    const html = formatHtml(results);
+    expect(html).toContain('<h3>Request</h3><pre>POST http://api/me</pre><pre>Authorization: ****</pre>');
+    expect(html).toContain('<h3>Response</h3><pre>Status 401</pre><pre>content-type: text/plain</pre><pre>no</pre>');
+  });
+
+  it('renders the differences of a body comparison side by side', () => {
+    const html = formatHtml(comparison());
+    expect(html).toContain('<th>Path</th><th>GET http://v1/items</th><th>GET http://v2/items</th>');
+    expect(html).toContain('<td><code>count</code></td><td class="del"><pre>2</pre></td><td class="add"><pre>3</pre></td>');
+    expect(html).toContain('<td><code>note</code></td><td class="del"><pre>&quot;a =&gt; b&quot;</pre></td><td class="add"><pre>&quot;c&quot;</pre></td>');
+    expect(html).toContain('<td><code>time: utc</code></td><td class="del"><pre>&quot;10: 00&quot;</pre></td><td class="add"><pre>&quot;11: 00&quot;</pre></td>');
+    expect(html).toContain('<td><code>tags</code></td><td class="del"><pre>- a\n- b</pre></td><td class="add"><pre>- a</pre></td>');
+    expect(html).toContain('<td><code>added</code></td><td></td><td class="add"><pre>{&quot;x&quot;:1}</pre></td>');
+    expect(html).toContain('<td><code>removed</code></td><td class="del"><pre>true</pre></td><td></td>');
+    expect(html).toContain('<pre class="error">HTTP response bodies do not match</pre>');
+    expect(html).toContain('<h3>Response 2</h3>');
+  });
+
+  it('includes the statistics of repeated runs', () => {
+    const results = sampleResults();
+    results[1].repeat = {
+      runs: 5,
+      tests: [{
+        name: 'liveness', runs: 5, passed: 5, passRate: 1, meanDurationMs: 8, p95DurationMs: 12, attempts: 7, maxAttempts: 2, flaky: true,
+      }],
+    };
+    const html = formatHtml(results);
+    expect(html).toContain('<h3>5 runs</h3>');
+    expect(html).toContain('<td>liveness</td><td>100% (5/5)</td><td>8ms</td><td>12ms</td><td>7 (max 2)</td><td><span class="flaky">flaky</span></td>');
+  });
+});
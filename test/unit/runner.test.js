@@ -7,8 +7,12 @@
  * Uses real local shell commands (fast, no network, no mock complexity).
  */
 
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { fileURLToPath } from 'url';
 import { describe, it, expect } from 'vitest';
-import { runTests, parseTestDefinitions } from '../../src/runner.js';
+import { runTests, listTests, planTests, parseSuite, parseTestDefinitions, summarizeRuns } from '../../src/runner.js';
 
 // ── parseTestDefinitions ──────────────────────────────────────────────────────
 
@@ -39,6 +43,252 @@ describe('parseTestDefinitions', () => {
   it('throws on YAML that is a primitive', () => {
     expect(() => parseTestDefinitions('42')).toThrow(/Invalid YAML/);
   });
+
+  it('flattens a suite object into setup, tests and teardown order', () => {
+    const yaml = 'setup: [{ name: s }]\ntests: [{ name: t }]\nteardown: [{ name: d }]';
+    expect(parseTestDefinitions(yaml).map((d) => d.name)).toEqual(['s', 't', 'd']);
+  });
+});
+
+// ── parseSuite ────────────────────────────────────────────────────────────────
+
+describe('parseSuite', () => {
+  it('wraps a bare array in a suite without setup or teardown', () => {
+    expect(parseSuite('- name: a\n- name: b')).toMatchObject({ setup: [], tests: [{ name: 'a' }, { name: 'b' }], teardown: [] });
+  });
+
+  it('parses a suite object', () => {
+    const suite = parseSuite('setup: [{ name: s }]\ntests: [{ name: t }]');
+    expect(suite).toMatchObject({ setup: [{ name: 's' }], tests: [{ name: 't' }], teardown: [] });
+  });
+
+  it('treats an object with a test type key as a single test', () => {
+    const suite = parseSuite('{ name: x, http: { url: "http://x" }, tests: [] }');
+    expect(suite.tests).toHaveLength(1);
+  });
+
+  it('rejects unknown suite properties', () => {
+    expect(() => parseSuite('tests: [{ name: t }]\ncleanup: []')).toThrow(/unknown property "cleanup"/);
+  });
+
+  it('rejects a phase that is not an array', () => {
+    expect(() => parseSuite('tests: { name: t }')).toThrow(/"tests" must be an array/);
+  });
+
+  it('rejects a suite without tests', () => {
+    expect(() => parseSuite('setup: [{ name: s }]')).toThrow(/No test definitions/);
+  });
+});
+
+// ── parseSuite – includes ─────────────────────────────────────────────────────
+
+describe('parseSuite – includes', () => {
+  const fixtures = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/includes');
+  const parseFixture = (name) => {
+    const filePath = path.join(fixtures, name);
+    return parseSuite(fs.readFileSync(filePath, 'utf8'), { filePath });
+  };
+
+  it('replaces include entries and !include items by the included tests', () => {
+    const suite = parseFixture('main.yaml');
+    expect(suite.setup.map((d) => d.name)).toEqual(['login']);
+    expect(suite.tests.map((d) => d.name)).toEqual(['uses shared environment', 'shared check', 'nested check']);
+  });
+
+  it('inserts the content of a !include tag anywhere in a definition', () => {
+    expect(parseFixture('main.yaml').tests[0].command.env).toEqual({ GREETING: 'hello' });
+  });
+
+  it('records the file each definition came from', () => {
+    const { sources } = parseFixture('main.yaml');
+    expect(sources.setup).toEqual([path.join(fixtures, 'common/login.yaml')]);
+    expect(sources.tests).toEqual([
+      null,
+      path.join(fixtures, 'common/checks.yaml'),
+      path.join(fixtures, 'common/nested.yaml'),
+    ]);
+  });
+
+  it('resolves include paths against the current directory without a filePath', () => {
+    const relative = path.relative(process.cwd(), path.join(fixtures, 'common/login.yaml'));
+    expect(parseSuite(`- include: ${relative}`).tests[0].name).toBe('login');
+  });
+
+  it('rejects include cycles', () => {
+    expect(() => parseFixture('cycle-a.yaml')).toThrow(/Include cycle: .*cycle-a\.yaml -> .*cycle-b\.yaml -> .*cycle-a\.yaml/);
+    expect(() => parseFixture('cycle-tag.yaml')).toThrow(/Include cycle/);
+  });
+
+  it('reports a missing included file with the including file', () => {
+    expect(() => parseSuite('- include: ./missing.yaml', { filePath: path.join(fixtures, 'main.yaml') }))
+      .toThrow(/Included file not found: .*missing\.yaml \(included from .*main\.yaml\)/);
+  });
+
+  it('rejects include entries with other properties', () => {
+    expect(() => parseSuite('- include: ./x.yaml\n  name: x')).toThrow(/Invalid include entry/);
+  });
+
+  it('names the included file in validation errors', async () => {
+    const filePath = path.join(fixtures, 'invalid.yaml');
+    await expect(runTests(fs.readFileSync(filePath, 'utf8'), { filePath }))
+      .rejects.toThrow(/Test #2 \("bad method"\) in .*common\/bad\.yaml \/http\/method/);
+  });
+
+  it('runs the included tests', async () => {
+    const filePath = path.join(fixtures, 'main.yaml');
+    const result = await runTests(fs.readFileSync(filePath, 'utf8'), { filePath });
+    expect(result.passed).toBe(3);
+    expect(result.setup[0].passed).toBe(true);
+  });
+});
+
+// ── parseSuite – data-driven tests ────────────────────────────────────────────
+
+describe('parseSuite – matrix and forEach', () => {
+  const dataDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/data');
+  const parse = (defs, filePath) => parseSuite(JSON.stringify(defs), { filePath }).tests;
+
+  it('expands a matrix into every combination of values', () => {
+    const tests = parse([{
+      name: 'call',
+      matrix: { METHOD: ['GET', 'POST'], STATUS: [200, 404] },
+      http: { url: 'http://x/$METHOD', method: '$METHOD' },
+      expect: { statusCode: '${STATUS}' },
+    }]);
+    expect(tests.map((t) => t.name)).toEqual([
+      'call [METHOD=GET, STATUS=200]',
+      'call [METHOD=GET, STATUS=404]',
+      'call [METHOD=POST, STATUS=200]',
+      'call [METHOD=POST, STATUS=404]',
+    ]);
+    expect(tests[3]).toEqual({
+      name: 'call [METHOD=POST, STATUS=404]',
+      http: { url: 'http://x/POST', method: 'POST' },
+      expect: { statusCode: 404 },
+    });
+  });
+
+  it('expands inline forEach rows and keeps other variable references', () => {
+    const tests = parse([{ name: 'echo', forEach: [{ ID: 1 }, { ID: 'two' }], command: { command: 'echo $ID $HOME' } }]);
+    expect(tests.map((t) => t.command.command)).toEqual(['echo 1 $HOME', 'echo two $HOME']);
+    expect(tests.map((t) => t.name)).toEqual(['echo [ID=1]', 'echo [ID=two]']);
+  });
+
+  it('does not append the row to names that reference row variables', () => {
+    const tests = parse([{ name: 'user ${ID}', forEach: [{ ID: 1 }, { ID: 2 }], command: { command: 'true' } }]);
+    expect(tests.map((t) => t.name)).toEqual(['user 1', 'user 2']);
+  });
+
+  it('leaves function calls to be generated when each row runs', () => {
+    const tests = parse([{ name: 'n', forEach: [{ ID: 1 }], command: { command: 'echo ${uuid()} $ID' } }]);
+    expect(tests[0].command.command).toBe('echo ${uuid()} 1');
+  });
+
+  it('applies defaults and filters to row values and escapes a $ in them', () => {
+    const tests = parse([{
+      name: 'region ${REGION | upper}',
+      forEach: [{ REGION: 'eu', PASS: 'pa$$word' }],
+      command: { command: 'login ${PASS | base64} ${ZONE:-a} $$HOME $USER' },
+      expect: { stdout: { equals: '$PASS' } },
+    }]);
+    expect(tests[0]).toMatchObject({
+      name: 'region EU',
+      command: { command: `login ${Buffer.from('pa$$word').toString('base64')} \${ZONE:-a} $$HOME $USER` },
+      expect: { stdout: { equals: 'pa$$$$word' } },
+    });
+  });
+
+  it('loads rows from a CSV file relative to the including file', () => {
+    const tests = parse([{ name: 'u', forEach: './users.csv', command: { command: 'echo "$NAME"' } }], path.join(dataDir, 'suite.yaml'));
+    expect(tests.map((t) => t.command.command)).toEqual(['echo "alice"', 'echo "Bob, Jr."', 'echo "say "hi""']);
+    expect(tests[0].name).toBe('u [ID=1, NAME=alice, ACTIVE=true]');
+  });
+
+  it('types unquoted CSV numbers and booleans', () => {
+    const tests = parse([{ forEach: './users.csv', retries: '$ID', continueOnFailure: '$ACTIVE', command: { command: 'true' } }], path.join(dataDir, 'x.yaml'));
+    expect(tests.map((t) => [t.retries, t.continueOnFailure])).toEqual([[1, true], [2, false], [3, true]]);
+  });
+
+  it.each(['users.json', 'users.yaml'])('loads rows from %s', (file) => {
+    const tests = parse([{ name: 'u', forEach: `./${file}`, command: { command: 'echo $NAME' } }], path.join(dataDir, 'x.yaml'));
+    expect(tests.map((t) => t.command.command)).toEqual(['echo alice', 'echo bob']);
+  });
+
+  it('expands setup and teardown steps too', () => {
+    const suite = parseSuite(JSON.stringify({ setup: [{ forEach: [{ N: 1 }, { N: 2 }], command: { command: 'true' } }], tests: [{}] }));
+    expect(suite.setup.map((d) => d.name)).toEqual(['test [N=1]', 'test [N=2]']);
+  });
+
+  it.each([
+    [{ matrix: [1], forEach: [] }, /either matrix or forEach/],
+    [{ matrix: { A: [] } }, /"A" must be a non-empty array/],
+    [{ forEach: [] }, /no data rows/],
+    [{ forEach: [1] }, /row 1 must be an object/],
+    [{ forEach: [{ 'not-valid': 1 }] }, /"not-valid" is not a valid variable name/],
+    [{ forEach: 42 }, /expected a list of rows or a data file path/],
+    [{ forEach: './missing.csv' }, /Data file not found/],
+    [{ forEach: '../../unit/runner.test.js' }, /unsupported file type/],
+  ])('rejects invalid data %#', (fields, message) => {
+    expect(() => parse([{ name: 'x', command: { command: 'true' }, ...fields }], path.join(dataDir, 'x.yaml'))).toThrow(message);
+  });
+});
+
+// ── parseSuite – defaults ─────────────────────────────────────────────────────
+
+describe('parseSuite – defaults', () => {
+  const parse = (suite) => parseSuite(JSON.stringify(suite));
+
+  it('deep-merges defaults into every test, setup and teardown step', () => {
+    const suite = parse({
+      defaults: { source: { type: 'local' }, retries: 2 },
+      setup: [{ name: 's', command: { command: 'true' } }],
+      tests: [{ name: 't', command: { command: 'true' } }],
+      teardown: [{ name: 'd', command: { command: 'true' } }],
+    });
+    for (const def of [suite.setup[0], suite.tests[0], suite.teardown[0]]) {
+      expect(def).toMatchObject({ source: { type: 'local' }, retries: 2 });
+    }
+  });
+
+  it('lets per-test values override defaults at any depth', () => {
+    const { tests } = parse({
+      defaults: {
+        http: { url: 'https://api', headers: { Authorization: 'Bearer x', Accept: 'application/json' }, skipSslVerification: true },
+      },
+      tests: [{ http: { method: 'GET', path: '/a', headers: { Accept: 'text/plain' } } }],
+    });
+    expect(tests[0].http).toEqual({
+      url: 'https://api',
+      method: 'GET',
+      path: '/a',
+      headers: { Authorization: 'Bearer x', Accept: 'text/plain' },
+      skipSslVerification: true,
+    });
+  });
+
+  it('replaces arrays instead of merging them', () => {
+    const { tests } = parse({ defaults: { tags: ['a', 'b'] }, tests: [{ name: 't', tags: ['c'] }] });
+    expect(tests[0].tags).toEqual(['c']);
+  });
+
+  it('only applies test type defaults to tests of that type', () => {
+    const { tests } = parse({
+      defaults: { http: { url: 'https://api' }, command: { workingDir: '/tmp' } },
+      tests: [{ http: { method: 'GET' } }, { command: { command: 'ls' } }],
+    });
+    expect(tests[0]).toEqual({ http: { url: 'https://api', method: 'GET' } });
+    expect(tests[1]).toEqual({ command: { workingDir: '/tmp', command: 'ls' } });
+  });
+
+  it('does not modify the defaults block', () => {
+    const { tests } = parse({ defaults: { source: { type: 'local' } }, tests: [{ source: { type: 'pod' } }, {}] });
+    expect(tests[0].source.type).toBe('pod');
+    expect(tests[1].source.type).toBe('local');
+  });
+
+  it('rejects defaults that are not an object', () => {
+    expect(() => parse({ defaults: [], tests: [{}] })).toThrow(/"defaults" must be an object/);
+  });
 });
 
 // ── runTests – happy path ─────────────────────────────────────────────────────
@@ -173,3 +423,644 @@ describe('runTests – retry', () => {
     expect(result.results[0].attempts).toBe(1);
   });
 });
+
+// ── runTests – retry policy ───────────────────────────────────────────────────
+
+describe('runTests – retry policy', () => {
+  const failing = (retry) => JSON.stringify([{
+    name: 'always-fails',
+    command: { command: 'exit 3' },
+    source: { type: 'local' },
+    expect: { exitCode: 0 },
+    retry,
+  }]);
+
+  it('makes the configured number of attempts and records why each failed', async () => {
+    const result = await runTests(failing({ attempts: 3, delayMs: 1 }));
+    const r = result.results[0];
+    expect(r.attempts).toBe(3);
+    expect(r.attemptErrors.map((e) => e.attempt)).toEqual([1, 2, 3]);
+    expect(r.attemptErrors[0].error).toMatch(/exit code/i);
+    expect(r.error).toBe(r.attemptErrors[2].error);
+  });
+
+  it('backs off exponentially between attempts', async () => {
+    const start = Date.now();
+    await runTests(failing({ attempts: 3, delayMs: 60, backoff: 'exponential' }));
+    // 60ms + 120ms
+    expect(Date.now() - start).toBeGreaterThanOrEqual(175);
+  });
+
+  it('caps the delay at maxDelayMs', async () => {
+    const start = Date.now();
+    await runTests(failing({ attempts: 3, delayMs: 5000, backoff: 'linear', maxDelayMs: 20 }));
+    expect(Date.now() - start).toBeLessThan(2000);
+  });
+
+  it('does not retry failures that do not match the on conditions', async () => {
+    const result = await runTests(failing({ attempts: 5, delayMs: 1, on: [503, 'connectionError'] }));
+    expect(result.results[0].attempts).toBe(1);
+  });
+
+  it('keeps the errors of the failed attempts of a test that passed on retry', async () => {
+    const flag = path.join(os.tmpdir(), `yamltest-retry-${process.pid}-${Date.now()}`);
+    try {
+      const result = await runTests(JSON.stringify([{
+        name: 'flaky',
+        command: { command: `test -f ${flag} || { touch ${flag}; exit 1; }` },
+        source: { type: 'local' },
+        expect: { exitCode: 0 },
+        retry: { attempts: 3, delayMs: 1 },
+      }]));
+      const r = result.results[0];
+      expect(r.passed).toBe(true);
+      expect(r.attempts).toBe(2);
+      expect(r.attemptErrors).toHaveLength(1);
+    } finally {
+      fs.rmSync(flag, { force: true });
+    }
+  });
+});
+
+// ── runTests – concurrency ────────────────────────────────────────────────────
+
+describe('runTests – concurrency', () => {
+  const sleepCmd = (name, seconds, extra = {}) => ({
+    name,
+    command: { command: `sleep ${seconds}` },
+    source: { type: 'local' },
+    expect: { exitCode: 0 },
+    ...extra,
+  });
+
+  it('runs independent tests at the same time and keeps declared order', async () => {
+    const yaml = JSON.stringify([
+      sleepCmd('slow', 0.6),
+      sleepCmd('fast-1', 0.3),
+      sleepCmd('fast-2', 0.3),
+    ]);
+    const start = Date.now();
+    const result = await runTests(yaml, { concurrency: 3 });
+    const elapsed = Date.now() - start;
+
+    expect(result.passed).toBe(3);
+    expect(result.results.map((r) => r.name)).toEqual(['slow', 'fast-1', 'fast-2']);
+    expect(elapsed).toBeLessThan(1100); // sequential would take >= 1200ms
+  });
+
+  it('respects the concurrency limit', async () => {
+    const yaml = JSON.stringify([sleepCmd('a', 0.3), sleepCmd('b', 0.3), sleepCmd('c', 0.3)]);
+    const start = Date.now();
+    await runTests(yaml, { concurrency: 2 });
+    expect(Date.now() - start).toBeGreaterThanOrEqual(600);
+  });
+
+  it('waits for the test that sets a variable before running a test that uses it', async () => {
+    const key = 'YAMLTEST_CONCURRENCY_VAR';
+    const yaml = JSON.stringify([
+      {
+        name: 'producer',
+        command: { command: 'sleep 0.3 && echo produced' },
+        source: { type: 'local' },
+        expect: { exitCode: 0 },
+        setVars: { [key]: { stdout: true } },
+      },
+      {
+        name: 'consumer',
+        command: { command: `echo $${key}` },
+        source: { type: 'local' },
+        expect: { exitCode: 0, stdout: { equals: 'produced' } },
+      },
+      sleepCmd('independent', 0.1),
+    ]);
+    try {
+      const result = await runTests(yaml, { concurrency: 3 });
+      expect(result.passed).toBe(3);
+    } finally {
+      delete process.env[key];
+    }
+  });
+
+  it('stops starting new tests after a failure and skips the rest', async () => {
+    const yaml = JSON.stringify([
+      { name: 'fails', command: { command: 'false' }, source: { type: 'local' }, expect: { exitCode: 0 } },
+      sleepCmd('in-flight', 0.2),
+      sleepCmd('never-started', 0.1),
+    ]);
+    const result = await runTests(yaml, { concurrency: 2 });
+    expect(result.results[0].passed).toBe(false);
+    expect(result.results[1].passed).toBe(true);
+    expect(result.results[2].skipped).toBe(true);
+  });
+
+  it('rejects an invalid concurrency value', async () => {
+    await expect(runTests(passCmd('x'), { concurrency: 0 })).rejects.toThrow(/Invalid concurrency/);
+  });
+});
+
+// ── runTests – continue on failure ────────────────────────────────────────────
+
+describe('runTests – continue on failure', () => {
+  const yaml = JSON.stringify([
+    { name: 't1', command: { command: 'false' }, source: { type: 'local' }, expect: { exitCode: 0 } },
+    { name: 't2', command: { command: 'true' }, source: { type: 'local' }, expect: { exitCode: 0 } },
+    { name: 't3', command: { command: 'false' }, source: { type: 'local' }, expect: { exitCode: 0 } },
+    { name: 't4', command: { command: 'true' }, source: { type: 'local' }, expect: { exitCode: 0 } },
+  ]);
+
+  it('runs every test and collects all failures when failFast is false', async () => {
+    const result = await runTests(yaml, { failFast: false });
+    expect(result.passed).toBe(2);
+    expect(result.failed).toBe(2);
+    expect(result.skipped).toBe(0);
+    expect(result.results.map((r) => r.passed)).toEqual([false, true, false, true]);
+  });
+
+  it('keeps going past a test marked continueOnFailure', async () => {
+    const defs = JSON.parse(yaml);
+    defs[0].continueOnFailure = true;
+    const result = await runTests(JSON.stringify(defs));
+    expect(result.results[0].passed).toBe(false);
+    expect(result.results[1].passed).toBe(true);
+    // t3 is not marked, so fail-fast still stops the suite there
+    expect(result.results[2].passed).toBe(false);
+    expect(result.results[3].skipped).toBe(true);
+  });
+});
+
+// ── runTests – selection ──────────────────────────────────────────────────────
+
+describe('runTests – selection', () => {
+  const tagged = (name, tags, command = 'true') => ({
+    name,
+    tags,
+    command: { command },
+    source: { type: 'local' },
+    expect: { exitCode: 0 },
+  });
+  const yaml = JSON.stringify([
+    tagged('login-ok', ['smoke', 'auth']),
+    tagged('payment-ok', ['payments']),
+    tagged('login-slow', ['auth', 'slow']),
+    tagged('untagged', undefined, 'false'),
+  ]);
+
+  it('runs only tests whose name matches grep', async () => {
+    const result = await runTests(yaml, { grep: '^login' });
+    expect(result.total).toBe(4);
+    expect(result.passed).toBe(2);
+    expect(result.failed).toBe(0);
+    expect(result.deselected).toBe(2);
+    expect(result.results.map((r) => !!r.deselected)).toEqual([false, true, false, true]);
+  });
+
+  it('accepts a RegExp for grep', async () => {
+    const result = await runTests(yaml, { grep: /PAYMENT/i });
+    expect(result.results.filter((r) => !r.deselected).map((r) => r.name)).toEqual(['payment-ok']);
+  });
+
+  it('runs tests carrying any of the given tags, minus excluded tags', async () => {
+    const result = await runTests(yaml, { tags: ['auth', 'payments'], excludeTags: ['slow'] });
+    expect(result.results.filter((r) => !r.deselected).map((r) => r.name)).toEqual(['login-ok', 'payment-ok']);
+    expect(result.deselected).toBe(2);
+  });
+
+  it('reports deselected tests as neither failed nor skipped', async () => {
+    const result = await runTests(yaml, { tags: ['smoke'] });
+    expect(result.results[3]).toMatchObject({ name: 'untagged', deselected: true, attempts: 0, error: null });
+    expect(result.failed).toBe(0);
+    expect(result.skipped).toBe(0);
+  });
+
+  it('does not let a deselected test trigger fail-fast', async () => {
+    const result = await runTests(yaml, { excludeTags: ['slow'] });
+    // untagged fails, but nothing runs after it anyway; login-slow is deselected, not skipped
+    expect(result.results[2]).toMatchObject({ deselected: true });
+    expect(result.results[2].skipped).toBeUndefined();
+    expect(result.failed).toBe(1);
+  });
+
+  it('listTests returns the selected tests without running them', () => {
+    expect(listTests(yaml, { excludeTags: ['auth'] })).toEqual([
+      { name: 'payment-ok', type: 'command', tags: ['payments'] },
+      { name: 'untagged', type: 'command', tags: [] },
+    ]);
+  });
+
+  it('runs only the tests at the given indexes', async () => {
+    const result = await runTests(yaml, { indexes: [1, 3], tags: ['payments'] });
+    expect(result.results.filter((r) => !r.deselected).map((r) => r.name)).toEqual(['payment-ok']);
+    expect(result.deselected).toBe(3);
+  });
+
+  it('planTests plans the selected tests without running them', () => {
+    const plans = planTests(yaml, { tags: ['payments'] });
+    expect(plans).toEqual([
+      {
+        phase: 'tests',
+        name: 'payment-ok',
+        type: 'command',
+        request: { command: 'true', env: {}, workingDir: null },
+        commands: [],
+      },
+    ]);
+  });
+});
+
+describe('runTests – selection with setVars dependencies', () => {
+  const step = (name, command, setVars) => ({
+    name,
+    command: { command },
+    source: { type: 'local' },
+    expect: { exitCode: 0 },
+    ...(setVars ? { setVars } : {}),
+  });
+  const yaml = JSON.stringify([
+    step('get user', 'echo 7', { USER_ID: { stdout: true } }),
+    step('get order', 'echo $USER_ID-1', { ORDER_ID: { stdout: true } }),
+    step('unrelated', 'echo x', { OTHER: { stdout: true } }),
+    step('check order', 'test "$ORDER_ID" = 7-1'),
+  ]);
+
+  it('pulls in the tests setting the variables of the selected tests, transitively', async () => {
+    const result = await runTests(yaml, { indexes: [3], dependencies: true });
+    expect(result.results.filter((r) => !r.deselected).map((r) => r.name)).toEqual(['get user', 'get order', 'check order']);
+    expect(result.passed).toBe(3);
+    expect(result.deselected).toBe(1);
+  });
+
+  it('pulls in dependencies whatever the other filters', () => {
+    expect(listTests(yaml, { grep: '^get order$', dependencies: true }).map((t) => t.name)).toEqual(['get user', 'get order']);
+  });
+
+  it('leaves dependencies out without the option', async () => {
+    const result = await runTests(yaml, { indexes: [3] });
+    expect(result.failed).toBe(1);
+    expect(result.results[3].error).toContain('Exit code mismatch');
+  });
+});
+
+// ── runTests – skip, only and if ──────────────────────────────────────────────
+
+describe('runTests – conditional execution', () => {
+  const cmd = (name, command, extra = {}) => ({
+    name,
+    command: { command },
+    source: { type: 'local' },
+    expect: { exitCode: 0 },
+    ...extra,
+  });
+
+  it('skips tests marked skip with their reason, without triggering fail-fast', async () => {
+    const result = await runTests(JSON.stringify([
+      cmd('todo', 'false', { skip: 'waiting for v2' }),
+      cmd('off', 'false', { skip: true }),
+      cmd('runs', 'true'),
+    ]));
+    expect(result.passed).toBe(1);
+    expect(result.failed).toBe(0);
+    expect(result.skipped).toBe(2);
+    expect(result.results[0]).toMatchObject({ skipped: true, conditional: true, error: 'waiting for v2', attempts: 0 });
+    expect(result.results[1]).toMatchObject({ skipped: true, conditional: true, error: 'Marked as skipped' });
+  });
+
+  it('runs a test only when its if condition holds', async () => {
+    process.env.COND_SCHEME = 'http';
+    try {
+      const result = await runTests(JSON.stringify([
+        cmd('tls', 'true', { if: "$COND_SCHEME == 'https'" }),
+        cmd('plain', 'true', { if: "$COND_SCHEME == 'http'" }),
+      ]));
+      expect(result.results[0]).toMatchObject({
+        skipped: true,
+        conditional: true,
+        error: "Condition is false: $COND_SCHEME == 'https'",
+      });
+      expect(result.results[1].passed).toBe(true);
+    } finally {
+      delete process.env.COND_SCHEME;
+    }
+  });
+
+  it('evaluates if conditions after earlier tests set their variables', async () => {
+    const result = await runTests(JSON.stringify([
+      cmd('detect', 'printf yes', { setVars: { COND_FEATURE: { stdout: true } } }),
+      cmd('feature', 'true', { if: "$COND_FEATURE == 'yes'" }),
+    ]), { concurrency: 2 });
+    expect(result.passed).toBe(2);
+  });
+
+  it('evaluates if conditions with the row values of a matrix', async () => {
+    const result = await runTests(JSON.stringify([
+      cmd('deploy $ENV', 'true', { matrix: { ENV: ['prod', 'dev'] }, if: "$ENV == 'prod'" }),
+    ]));
+    expect(result.results.map((r) => r.name)).toEqual(['deploy prod', 'deploy dev']);
+    expect(result.results[0].passed).toBe(true);
+    expect(result.results[1]).toMatchObject({ skipped: true, conditional: true, error: "Condition is false: $ENV == 'prod'" });
+  });
+
+  it('honours if conditions on setup steps without failing the setup', async () => {
+    const result = await runTests(JSON.stringify({
+      setup: [cmd('optional', 'false', { if: '$COND_UNSET' })],
+      tests: [cmd('t', 'true')],
+    }));
+    expect(result.setup[0]).toMatchObject({ skipped: true, conditional: true });
+    expect(result.passed).toBe(1);
+  });
+
+  it('deselects every test not marked only when some test is', async () => {
+    const yaml = JSON.stringify([cmd('a', 'true'), cmd('b', 'true', { only: true }), cmd('c', 'false')]);
+    const result = await runTests(yaml);
+    expect(result.passed).toBe(1);
+    expect(result.deselected).toBe(2);
+    expect(result.results.map((r) => !!r.deselected)).toEqual([true, false, true]);
+    expect(listTests(yaml).map((t) => t.name)).toEqual(['b']);
+    expect(listTests(yaml, { grep: 'a' })).toEqual([]);
+  });
+});
+
+// ── runTests – vars ───────────────────────────────────────────────────────────
+
+describe('runTests – vars', () => {
+  const echo = (name, variable, expected, extra = {}) => ({
+    name,
+    command: { command: `printf %s "$${variable}"` },
+    source: { type: 'local' },
+    expect: { exitCode: 0, stdout: { equals: expected } },
+    ...extra,
+  });
+
+  it('gives vars precedence over process.env', async () => {
+    process.env.RUN_VAR_HOST = 'from-env';
+    try {
+      const result = await runTests(JSON.stringify([echo('host', 'RUN_VAR_HOST', 'from-vars')]), {
+        vars: { RUN_VAR_HOST: 'from-vars' },
+      });
+      expect(result.passed).toBe(1);
+    } finally {
+      delete process.env.RUN_VAR_HOST;
+    }
+  });
+
+  it('lets values captured by setVars override vars for later tests', async () => {
+    const vars = { RUN_VAR_ID: 'initial', RUN_VAR_COUNT: 3 };
+    const capture = {
+      name: 'capture',
+      command: { command: 'printf changed' },
+      source: { type: 'local' },
+      expect: { exitCode: 0 },
+      setVars: { RUN_VAR_ID: { stdout: true } },
+    };
+    const result = await runTests(JSON.stringify([
+      echo('count', 'RUN_VAR_COUNT', '3'),
+      echo('before', 'RUN_VAR_ID', 'initial'),
+      capture,
+      echo('after', 'RUN_VAR_ID', 'changed', { if: "$RUN_VAR_ID == 'changed'" }),
+    ]), { vars });
+    expect(result.results.map((r) => r.passed)).toEqual([true, true, true, true]);
+    // The caller's object is left alone
+    expect(vars).toEqual({ RUN_VAR_ID: 'initial', RUN_VAR_COUNT: 3 });
+  });
+
+  it('rejects vars that are not an object of variable names', async () => {
+    const yaml = JSON.stringify([echo('x', 'X', '')]);
+    await expect(runTests(yaml, { vars: ['A=1'] })).rejects.toThrow(/Invalid vars: expected an object/);
+    await expect(runTests(yaml, { vars: { 'not-a-name': '1' } })).rejects.toThrow(/Invalid vars: "not-a-name" is not a valid variable name/);
+  });
+});
+
+// ── runTests – setup and teardown ─────────────────────────────────────────────
+
+describe('runTests – seed', () => {
+  const generate = (name) => ({
+    name,
+    command: { command: 'printf %s ${uuid()}-${randomInt(1, 1000000)}' },
+    source: { type: 'local' },
+    expect: { exitCode: 0 },
+  });
+  const yaml = JSON.stringify([generate('first'), generate('second')]);
+  const commands = (result) => result.results.map((r) => r.commandResult.stdout);
+
+  it('repeats generated values for the same seed, with one sequence per test', async () => {
+    const [a, b] = await Promise.all([runTests(yaml, { seed: 42 }), runTests(yaml, { seed: '42' })]);
+    expect(commands(a)).toEqual(commands(b));
+    expect(commands(a)[0]).not.toBe(commands(a)[1]);
+    expect(a.seed).toBe('42');
+  });
+
+  it('gives a selected test the values it had in the full run', async () => {
+    const full = await runTests(yaml, { seed: 'abc' });
+    const selected = await runTests(yaml, { seed: 'abc', grep: 'second' });
+    expect(selected.results[1].commandResult.stdout).toBe(commands(full)[1]);
+  });
+
+  it('picks and returns a random seed when none is given', async () => {
+    const first = await runTests(yaml);
+    const again = await runTests(yaml, { seed: first.seed });
+    expect(first.seed).toMatch(/^\d+$/);
+    expect(commands(again)).toEqual(commands(first));
+  });
+
+  it('tells whether a template function drew from the seed', async () => {
+    const plain = JSON.stringify([{ command: { command: 'printf ${now()}' }, source: { type: 'local' }, expect: { exitCode: 0 } }]);
+    expect((await runTests(yaml)).seedUsed).toBe(true);
+    expect((await runTests(plain)).seedUsed).toBe(false);
+  });
+
+  it('plans the values of the first attempt', async () => {
+    const [plan] = planTests(yaml, { seed: 7, grep: 'first' });
+    const result = await runTests(yaml, { seed: 7 });
+    expect(plan.request.command).toBe(`printf %s ${commands(result)[0]}`);
+  });
+
+  it('rejects seeds that are not a string or number', async () => {
+    await expect(runTests(yaml, { seed: { n: 1 } })).rejects.toThrow('Invalid seed: expected a string or number, got {"n":1}');
+    await expect(runTests(yaml, { seed: '' })).rejects.toThrow('Invalid seed');
+  });
+});
+
+describe('runTests – setup and teardown', () => {
+  const cmd = (name, command) => ({ name, command: { command }, source: { type: 'local' }, expect: { exitCode: 0 } });
+  const suite = (setup, tests, teardown) => JSON.stringify({ setup, tests, teardown });
+
+  it('planTests plans setup and teardown around the selected tests', () => {
+    const yaml = suite([cmd('s', 'true')], [cmd('t', 'true')], [cmd('d', 'true')]);
+    expect(planTests(yaml).map((p) => `${p.phase}:${p.name}`)).toEqual(['setup:s', 'tests:t', 'teardown:d']);
+    expect(planTests(yaml, { grep: 'nothing' })).toEqual([]);
+  });
+
+  it('runs setup before and teardown after the tests and reports them separately', async () => {
+    const result = await runTests(suite([cmd('s', 'true')], [cmd('t', 'true')], [cmd('d', 'true')]));
+    expect(result.total).toBe(1);
+    expect(result.passed).toBe(1);
+    expect(result.setup.map((r) => [r.name, r.passed])).toEqual([['s', true]]);
+    expect(result.teardown.map((r) => [r.name, r.passed])).toEqual([['d', true]]);
+  });
+
+  it('returns empty setup and teardown for a plain test array', async () => {
+    const result = await runTests(passCmd('plain'));
+    expect(result.setup).toEqual([]);
+    expect(result.teardown).toEqual([]);
+    expect(result.interrupted).toBe(false);
+  });
+
+  it('still runs teardown after a fail-fast test failure', async () => {
+    const result = await runTests(suite([], [cmd('t1', 'false'), cmd('t2', 'true')], [cmd('d', 'true')]));
+    expect(result.failed).toBe(1);
+    expect(result.skipped).toBe(1);
+    expect(result.teardown[0].passed).toBe(true);
+  });
+
+  it('skips the rest of the setup and every test when a setup step fails', async () => {
+    const result = await runTests(suite([cmd('s1', 'false'), cmd('s2', 'true')], [cmd('t', 'true')], [cmd('d', 'true')]));
+    expect(result.setup[1]).toMatchObject({ skipped: true, error: 'Skipped due to previous failure' });
+    expect(result.results[0]).toMatchObject({ skipped: true, error: 'Skipped due to setup failure' });
+    expect(result.teardown[0].passed).toBe(true);
+  });
+
+  it('runs every teardown step even when one fails', async () => {
+    const result = await runTests(suite([], [cmd('t', 'true')], [cmd('d1', 'false'), cmd('d2', 'true')]));
+    expect(result.teardown.map((r) => r.passed)).toEqual([false, true]);
+    expect(result.failed).toBe(0);
+  });
+
+  it('stops the running test and runs teardown but no further tests once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const yaml = suite([], [cmd('t1', 'sleep 5'), cmd('t2', 'true')], [cmd('d', 'true')]);
+    const run = runTests(yaml, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 100);
+    const result = await run;
+    expect(result.interrupted).toBe(true);
+    expect(result.results[0]).toMatchObject({ passed: false, interrupted: true, error: 'Test interrupted' });
+    expect(result.results[0].durationMs).toBeLessThan(2000);
+    expect(result.results[1]).toMatchObject({ skipped: true, error: 'Skipped due to interruption' });
+    expect(result.teardown[0].passed).toBe(true);
+  });
+
+  it('skips the remaining setup steps and tests when a setup step is interrupted', async () => {
+    const controller = new AbortController();
+    const yaml = suite([cmd('s1', 'sleep 5'), cmd('s2', 'true')], [cmd('t', 'true')], [cmd('d', 'true')]);
+    const run = runTests(yaml, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 100);
+    const result = await run;
+    expect(result.setup[0].interrupted).toBe(true);
+    expect(result.setup[1]).toMatchObject({ skipped: true, error: 'Skipped due to interruption' });
+    expect(result.results[0]).toMatchObject({ skipped: true, error: 'Skipped due to interruption' });
+    expect(result.teardown[0].passed).toBe(true);
+  });
+
+  it('does not retry a test once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const yaml = suite([], [{ ...cmd('t', 'false'), retry: { attempts: 5, delayMs: 5000 } }], []);
+    const run = runTests(yaml, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 100);
+    const result = await run;
+    expect(result.results[0]).toMatchObject({ attempts: 1, interrupted: true });
+    expect(result.results[0].error).toMatch(/Exit code mismatch/);
+  });
+
+  it('skips setup and teardown when no test is selected', async () => {
+    const result = await runTests(suite([cmd('s', 'true')], [cmd('t', 'true')], [cmd('d', 'true')]), { grep: 'nothing' });
+    expect(result.setup).toEqual([]);
+    expect(result.teardown).toEqual([]);
+  });
+});
+
+// ── runTests – defaults ───────────────────────────────────────────────────────
+
+describe('runTests – defaults', () => {
+  it('runs tests that take their source and expectations from defaults', async () => {
+    const yaml = JSON.stringify({
+      defaults: { source: { type: 'local' }, expect: { exitCode: 0 } },
+      tests: [{ name: 'uses-defaults', command: { command: 'true' } }],
+    });
+    const result = await runTests(yaml);
+    expect(result.passed).toBe(1);
+  });
+
+  it('reports validation errors against the merged test', async () => {
+    const yaml = JSON.stringify({
+      defaults: { source: { type: 'nowhere' } },
+      tests: [{ name: 'ok-on-its-own', command: { command: 'true' }, expect: { exitCode: 0 } }],
+    });
+    await expect(runTests(yaml)).rejects.toThrow(/Test #1 \("ok-on-its-own"\) \/source\/type: must be one of/);
+  });
+});
+
+// ── runTests – data-driven tests ──────────────────────────────────────────────
+
+describe('runTests – data-driven tests', () => {
+  it('runs each row as its own test with its own result', async () => {
+    const yaml = JSON.stringify([{
+      name: 'exit',
+      forEach: [{ CODE: 0 }, { CODE: 1 }, { CODE: 0 }],
+      command: { command: 'exit $CODE' },
+      source: { type: 'local' },
+      expect: { exitCode: 0 },
+      continueOnFailure: true,
+    }]);
+    const result = await runTests(yaml);
+    expect(result.total).toBe(3);
+    expect(result.results.map((r) => [r.name, r.passed])).toEqual([
+      ['exit [CODE=0]', true],
+      ['exit [CODE=1]', false],
+      ['exit [CODE=0]', true],
+    ]);
+  });
+});
+
+// ── summarizeRuns ─────────────────────────────────────────────────────────────
+
+describe('summarizeRuns', () => {
+  const result = (name, fields) => ({ name, type: 'command', passed: true, durationMs: 10, attempts: 1, ...fields });
+  const run = (...results) => ({ results });
+
+  it('computes pass rate, mean / p95 durations and attempts per test', () => {
+    const durations = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100, 110, 120, 130, 140, 150, 160, 170, 180, 190, 1000];
+    const [stats] = summarizeRuns(durations.map((durationMs, i) => run(result('t', { durationMs, passed: i !== 3 }))));
+    expect(stats).toMatchObject({
+      name: 't',
+      runs: 20,
+      passed: 19,
+      failed: 1,
+      skipped: 0,
+      passRate: 0.95,
+      meanDurationMs: 145,
+      p95DurationMs: 190,
+      attempts: 20,
+      maxAttempts: 1,
+    });
+  });
+
+  it('flags tests that passed only after retries as flaky', () => {
+    const [steady, retried] = summarizeRuns([
+      run(result('steady'), result('retried', { attempts: 3 })),
+      run(result('steady'), result('retried')),
+    ]);
+    expect(steady.flaky).toBe(false);
+    expect(retried).toMatchObject({ passRate: 1, attempts: 4, maxAttempts: 3, retriedPasses: 1, flaky: true });
+  });
+
+  it('flags tests with different outcomes as flaky, but not those that always fail', () => {
+    const [mixed, broken] = summarizeRuns([
+      run(result('mixed', { passed: false }), result('broken', { passed: false })),
+      run(result('mixed'), result('broken', { passed: false })),
+    ]);
+    expect(mixed).toMatchObject({ passRate: 0.5, flaky: true });
+    expect(broken).toMatchObject({ passRate: 0, flaky: false });
+  });
+
+  it('leaves out deselected tests and runs in which a test was skipped', () => {
+    const stats = summarizeRuns([
+      run(result('a', { deselected: true }), result('b', { durationMs: 40 })),
+      run(result('a', { deselected: true }), result('b', { passed: false, skipped: true, durationMs: 0, attempts: 0 })),
+    ]);
+    expect(stats).toHaveLength(1);
+    expect(stats[0]).toMatchObject({ name: 'b', runs: 1, skipped: 1, passRate: 1, meanDurationMs: 40, attempts: 1 });
+  });
+
+  it('has no rates or durations for a test that never ran', () => {
+    const [stats] = summarizeRuns([run(result('t', { passed: false, skipped: true, attempts: 0 }))]);
+    expect(stats).toMatchObject({ runs: 0, passRate: null, meanDurationMs: null, p95DurationMs: null, flaky: false });
+  });
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Unit tests for secrets.js – which values are secret and how they are masked.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  isSecretName,
+  createSecretStore,
+  activateSecretStore,
+  maskActiveSecrets,
+} from '../../src/secrets.js';
+
+let store;
+beforeEach(() => {
+  store = createSecretStore();
+});
+
+// ── Secret names ──────────────────────────────────────────────────────────────
+
+describe('isSecretName', () => {
+  it('matches the default patterns, ignoring case', () => {
+    expect(isSecretName('AUTH_TOKEN')).toBe(true);
+    expect(isSecretName('token')).toBe(true);
+    expect(isSecretName('DB_PASSWORD')).toBe(true);
+    expect(isSecretName('CLIENT_SECRET')).toBe(true);
+    expect(isSecretName('STRIPE_API_KEY')).toBe(true);
+    expect(isSecretName('TOKEN_URL')).toBe(false);
+    expect(isSecretName('HOST')).toBe(false);
+  });
+
+  it('matches extra names and patterns', () => {
+    expect(isSecretName('DB_URL', ['DB_*'])).toBe(true);
+    expect(isSecretName('SESSION', ['SESSION'])).toBe(true);
+    expect(isSecretName('SESSION_ID', ['SESSION'])).toBe(false);
+    expect(isSecretName('A.B', ['A.*'])).toBe(true);
+    expect(isSecretName('AXB', ['A.*'])).toBe(false);
+  });
+});
+
+// ── Masking ───────────────────────────────────────────────────────────────────
+
+describe('mask', () => {
+  it('leaves values alone while no secret is registered', () => {
+    expect(store.mask('Bearer abc123')).toBe('Bearer abc123');
+    expect(store.mask({ a: [1, 'x'] })).toEqual({ a: [1, 'x'] });
+  });
+
+  it('replaces every occurrence of a secret in nested strings', () => {
+    store.register('s3cr3t-value');
+    const value = { error: 'got s3cr3t-value, expected s3cr3t-value!', list: ['x s3cr3t-value'], n: 42 };
+    expect(store.mask(value)).toEqual({ error: 'got ****, expected ****!', list: ['x ****'], n: 42 });
+    expect(value.error).toContain('s3cr3t-value');
+  });
+
+  it('masks the longest secret first', () => {
+    store.register('abcd');
+    store.register('abcdefgh');
+    expect(store.mask('abcdefgh abcd')).toBe('**** ****');
+  });
+
+  it('masks secrets as they appear inside JSON text', () => {
+    store.register('pa"ss\\word');
+    expect(store.mask(JSON.stringify({ password: 'pa"ss\\word' }))).toBe('{"password":"****"}');
+  });
+
+  it('masks non-string secrets by their JSON text', () => {
+    store.register(987654);
+    expect(store.mask('pin 987654')).toBe('pin ****');
+  });
+
+  it('ignores empty and very short values', () => {
+    store.register('');
+    store.register('abc');
+    store.register(null);
+    expect(store.mask('abc')).toBe('abc');
+  });
+
+  it('masks secret headers by name, whatever their value', () => {
+    const headers = { Authorization: 'Basic eA==', 'set-cookie': ['a=1', 'b=2'], Accept: 'text/plain' };
+    expect(store.mask({ headers })).toEqual({
+      headers: { Authorization: '****', 'set-cookie': ['****', '****'], Accept: 'text/plain' },
+    });
+  });
+
+  it('masks objects with a toJSON method by their JSON form', () => {
+    const headers = { toJSON: () => ({ cookie: 'id=1', 'x-id': '7' }) };
+    expect(store.mask(headers)).toEqual({ cookie: '****', 'x-id': '7' });
+  });
+});
+
+// ── Registration ──────────────────────────────────────────────────────────────
+
+describe('registerHeaders', () => {
+  it('registers secret header values and the credential after the scheme', () => {
+    store.registerHeaders({ Authorization: 'Bearer tok-123456', Cookie: 'session=xyz-9876', 'X-Id': 'visible' });
+    expect(store.mask('sent Bearer tok-123456; echoed tok-123456')).toBe('sent ****; echoed ****');
+    expect(store.mask('session=xyz-9876 visible')).toBe('**** visible');
+  });
+});
+
+describe('registerVariables', () => {
+  it('registers only the variables with secret names', () => {
+    store.registerVariables({ API_TOKEN: 'tok-abcdef', HOST: 'example.com', DB_URL: 'postgres://u:p@db' }, ['DB_*']);
+    expect(store.mask('tok-abcdef example.com postgres://u:p@db')).toBe('**** example.com ****');
+  });
+});
+
+describe('maskVariables', () => {
+  it('masks secret values of any type as a whole', () => {
+    store.register(123456);
+    store.register('tok-abcdef');
+    expect(store.maskVariables({ PIN: 123456, TOKEN: 'tok-abcdef', URL: 'http://x/?t=tok-abcdef', N: 7 })).toEqual({
+      PIN: '****', TOKEN: '****', URL: 'http://x/?t=****', N: 7,
+    });
+  });
+});
+
+// ── Secret stores ─────────────────────────────────────────────────────────────
+
+describe('createSecretStore', () => {
+  it('keeps the secrets of each store to itself', () => {
+    const other = createSecretStore();
+    store.register('tok-abcdef');
+    expect(store.mask('tok-abcdef')).toBe('****');
+    expect(other.mask('tok-abcdef')).toBe('tok-abcdef');
+  });
+
+  it('forgets its secrets when cleared', () => {
+    store.register('tok-abcdef');
+    store.clear();
+    expect(store.mask('tok-abcdef')).toBe('tok-abcdef');
+  });
+});
+
+describe('maskActiveSecrets', () => {
+  it('masks with the stores in use until the last of their tests is over', () => {
+    const other = createSecretStore();
+    store.register('tok-abcdef');
+    other.register('pw-123456');
+    const first = activateSecretStore(store);
+    const second = activateSecretStore(store);
+    const third = activateSecretStore(other);
+    expect(maskActiveSecrets('tok-abcdef pw-123456')).toBe('**** ****');
+
+    first();
+    third();
+    expect(maskActiveSecrets('tok-abcdef pw-123456')).toBe('**** pw-123456');
+    second();
+    expect(maskActiveSecrets('tok-abcdef pw-123456')).toBe('tok-abcdef pw-123456');
+  });
+});
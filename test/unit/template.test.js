@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * Unit tests for variable templates (src/template.js).
+ */
+
+import { describe, it, expect } from 'vitest';
+import { renderTemplate, renderTemplates, templateVariables, seededRandom } from '../../src/template.js';
+
+const vars = {
+  MY_HOST: 'localhost',
+  MY_PORT: '8080',
+  API_TOKEN: 'secret',
+  my_lower: 'value',
+  EMPTY: '',
+  COUNT: 3,
+  USER: { id: 7, name: 'ada' },
+  PRICE: 'costs $5',
+};
+const lookup = (name) => vars[name];
+const render = (source, options) => renderTemplate(source, lookup, options);
+
+// ── References ────────────────────────────────────────────────────────────────
+
+describe('renderTemplate – references', () => {
+  it('resolves $VAR and ${VAR}', () => {
+    expect(render('http://$MY_HOST')).toBe('http://localhost');
+    expect(render('http://${MY_HOST}:${MY_PORT}')).toBe('http://localhost:8080');
+    expect(render('$MY_HOST:$MY_PORT')).toBe('localhost:8080');
+  });
+
+  it('resolves lowercase variable names', () => {
+    expect(render('$my_lower')).toBe('value');
+  });
+
+  it('keeps the JSON type of a string that is only a reference', () => {
+    expect(render('$COUNT')).toBe(3);
+    expect(render('${USER}')).toEqual({ id: 7, name: 'ada' });
+    expect(render('count: $COUNT, user: $USER')).toBe('count: 3, user: {"id":7,"name":"ada"}');
+  });
+
+  it('leaves strings without references alone', () => {
+    expect(render('https://example.com/api')).toBe('https://example.com/api');
+    expect(render('')).toBe('');
+  });
+
+  it('leaves a $ that does not start a reference alone', () => {
+    expect(render('$.items[0].name')).toBe('$.items[0].name');
+    expect(render('echo $1 $(date) ${#list} 5$')).toBe('echo $1 $(date) ${#list} 5$');
+  });
+
+  it('writes $$ as a literal $', () => {
+    expect(render('cost: $$MY_PORT')).toBe('cost: $MY_PORT');
+    expect(render('for f in *; do echo "$${f}"; done')).toBe('for f in *; do echo "${f}"; done');
+  });
+
+  it('does not render values again', () => {
+    expect(render('${PRICE}!')).toBe('costs $5!');
+  });
+});
+
+// ── Defaults and errors ───────────────────────────────────────────────────────
+
+describe('renderTemplate – unset variables', () => {
+  it('fails on a variable that is not set', () => {
+    expect(() => render('Bearer $UNDEFINED_TOKEN')).toThrow('Variable UNDEFINED_TOKEN is not set');
+  });
+
+  it('uses the default of ${VAR:-default} when the variable is unset or empty', () => {
+    expect(render('${UNDEFINED:-http://localhost}')).toBe('http://localhost');
+    expect(render('${EMPTY:-fallback}')).toBe('fallback');
+    expect(render('${MY_HOST:-fallback}')).toBe('localhost');
+    expect(render('x${UNDEFINED:-}y')).toBe('xy');
+  });
+
+  it('fails with the message of ${VAR:?message} when the variable is unset or empty', () => {
+    expect(() => render('${UNDEFINED:?set UNDEFINED to the API address}')).toThrow(/^set UNDEFINED to the API address$/);
+    expect(() => render('${EMPTY:?}')).toThrow('Variable EMPTY is not set');
+    expect(render('${API_TOKEN:?missing}')).toBe('secret');
+  });
+
+  it('rejects references it cannot parse', () => {
+    expect(() => render('${MY_HOST')).toThrow('Invalid variable reference "${MY_HOST" (write $$ for a literal $)');
+    expect(() => render('${MY_HOST/local/remote}')).toThrow(/Invalid variable reference/);
+  });
+
+  it('keeps references to unset variables with keepUndefined', () => {
+    expect(render('$MY_HOST/${UNDEFINED:-x | upper}/$$', { keepUndefined: true })).toBe('localhost/${UNDEFINED:-x | upper}/$');
+  });
+
+  it('produces a template again with escape', () => {
+    expect(render('${PRICE} $$ $UNDEFINED', { keepUndefined: true, escape: true })).toBe('costs $$5 $$ $UNDEFINED');
+    expect(render('$PRICE', { escape: true })).toBe('costs $$5');
+  });
+});
+
+// ── Filters ───────────────────────────────────────────────────────────────────
+
+describe('renderTemplate – filters', () => {
+  it('applies upper, lower and trim', () => {
+    expect(render('${MY_HOST | upper}')).toBe('LOCALHOST');
+    expect(render('${UNDEFINED:- MiXed | lower}')).toBe('mixed');
+    expect(render('[${UNDEFINED:-  x   | trim}]')).toBe('[x]');
+  });
+
+  it('applies base64 and urlencode', () => {
+    expect(render('Basic ${API_TOKEN | base64}')).toBe('Basic c2VjcmV0');
+    expect(render('?q=${PRICE | urlencode}')).toBe('?q=costs%20%245');
+  });
+
+  it('writes any value as JSON with json', () => {
+    expect(render('{"name": ${MY_HOST | json}}')).toBe('{"name": "localhost"}');
+    expect(render('${COUNT | json}')).toBe('3');
+  });
+
+  it('chains filters left to right', () => {
+    expect(render('${USER | json | base64}')).toBe(Buffer.from('{"id":7,"name":"ada"}').toString('base64'));
+    expect(render('${MY_HOST|upper|json}')).toBe('"LOCALHOST"');
+  });
+
+  it('rejects unknown filters', () => {
+    expect(() => render('${MY_HOST | reverse}')).toThrow(
+      'Unknown filter "reverse" in "${MY_HOST | reverse}" (use one of: upper, lower, trim, base64, urlencode, json)'
+    );
+  });
+});
+
+// ── Functions ─────────────────────────────────────────────────────────────────
+
+describe('renderTemplate – functions', () => {
+  const seeded = (source) => renderTemplate(source, lookup, { random: seededRandom('fixed') });
+
+  it('generates v4 UUIDs', () => {
+    expect(render('${uuid()}')).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(render('${uuid()}')).not.toBe(render('${uuid()}'));
+  });
+
+  it('formats the current time', () => {
+    expect(render("${now('ISO')}")).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+    expect(render('${now()}')).toMatch(/T/);
+    expect(render('${now("date")}')).toBe(new Date().toISOString().slice(0, 10));
+    expect(render("${now('TIME')}")).toMatch(/^\d{2}:\d{2}:\d{2}$/);
+    expect(Math.abs(render('${timestamp()}') - Date.now() / 1000)).toBeLessThan(5);
+  });
+
+  it('generates random numbers and strings', () => {
+    const values = new Set(Array.from({ length: 50 }, () => render('${randomInt(1, 3)}')));
+    expect([...values].sort()).toEqual([1, 2, 3]);
+    expect(render('${randomString(12)}')).toMatch(/^[A-Za-z0-9]{12}$/);
+    expect(render('${randomString(0)}')).toBe('');
+  });
+
+  it('hashes and encodes text', () => {
+    expect(render('${sha256("abc")}')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(render('${base64($API_TOKEN)}')).toBe('c2VjcmV0');
+    expect(render('${base64(${MY_HOST})}')).toBe('bG9jYWxob3N0');
+    expect(render("${base64('a}b, c')}")).toBe(Buffer.from('a}b, c').toString('base64'));
+  });
+
+  it('nests calls, takes variables as arguments and applies filters to the result', () => {
+    expect(render('id-${randomInt($COUNT, $COUNT)}')).toBe('id-3');
+    expect(seeded('${sha256(uuid()) | upper}')).toMatch(/^[0-9A-F]{64}$/);
+  });
+
+  it('repeats the same values for the same seed', () => {
+    const template = '${uuid()} ${randomInt(1, 1000000)} ${randomString(16)}';
+    expect(seeded(template)).toBe(seeded(template));
+    expect(renderTemplate(template, lookup, { random: seededRandom('other') })).not.toBe(seeded(template));
+  });
+
+  it('rejects unknown functions, wrong arguments and unset variables', () => {
+    expect(() => render('${uuidv7()}')).toThrow('Unknown function "uuidv7()" (use one of: uuid(), now(), timestamp(), randomInt(), randomString(), sha256(), base64())');
+    expect(() => render('${randomInt(1)}')).toThrow('randomInt(min, max) takes 2 arguments, got 1');
+    expect(() => render('${uuid(1)}')).toThrow('uuid() takes no arguments, got 1');
+    expect(() => render('${randomInt(5, 1)}')).toThrow('randomInt(5, 1): min is greater than max');
+    expect(() => render('${randomString("ten")}')).toThrow('randomString(length): expected a length, got "ten"');
+    expect(() => render("${now('week')}")).toThrow('Unknown format "week" for now() (use ISO, DATE or TIME)');
+    expect(() => render('${sha256($MISSING)}')).toThrow('Variable MISSING is not set');
+    expect(() => render('${sha256($MY_HOST}')).toThrow(/Invalid variable reference "\$\{sha256\(\$MY_HOST\}": expected "," or "\)"/);
+  });
+
+  it('keeps calls as written with keepFunctions, and calls with unset variables with keepUndefined', () => {
+    expect(render('${uuid()}-$MY_PORT', { keepFunctions: true })).toBe('${uuid()}-8080');
+    expect(render('${sha256($MISSING)}', { keepUndefined: true })).toBe('${sha256($MISSING)}');
+  });
+});
+
+// ── Nested values ─────────────────────────────────────────────────────────────
+
+describe('renderTemplates', () => {
+  it('renders every string nested in objects and arrays', () => {
+    const value = { url: 'http://$MY_HOST', params: { n: '$COUNT' }, list: ['$MY_PORT', 1, true, null] };
+    expect(renderTemplates(value, lookup)).toEqual({
+      url: 'http://localhost', params: { n: 3 }, list: ['8080', 1, true, null],
+    });
+  });
+
+  it('names the field of a failing reference', () => {
+    const value = { headers: { Authorization: 'Bearer $MISSING' } };
+    expect(() => renderTemplates(value, lookup, {}, 'http')).toThrow('http.headers.Authorization: Variable MISSING is not set');
+    expect(() => renderTemplates({ list: ['ok', '$MISSING'] }, lookup)).toThrow('list[1]: Variable MISSING is not set');
+  });
+});
+
+describe('templateVariables', () => {
+  it('lists the referenced names, ignoring escapes and invalid references', () => {
+    expect(templateVariables('$A ${B:-x | upper} $$C ${D/x} $.e')).toEqual(['A', 'B']);
+  });
+
+  it('lists the variables passed to functions', () => {
+    expect(templateVariables('${sha256($A)} ${base64(sha256(${B}))} ${uuid()}')).toEqual(['A', 'B']);
+  });
+});
@@ -1,7 +1,7 @@
 'use strict';
 
 import { describe, it, expect } from 'vitest';
-import { validateTestDefinitions } from '../../src/validate.js';
+import { validateTestDefinitions, validateSuite } from '../../src/validate.js';
 import fs from 'fs';
 import path from 'path';
 import yaml from 'js-yaml';
@@ -88,6 +88,12 @@ describe('validateTestDefinitions – valid inputs', () => {
     expectValid([{
       name: 'full-http',
       retries: 3,
+      timeoutSeconds: 2.5,
+      continueOnFailure: true,
+      tags: ['smoke', 'api'],
+      only: true,
+      skip: false,
+      if: "$SCHEME == 'https' && !$SKIP_TLS",
       source: { type: 'local' },
       http: {
         url: 'https://api.example.com',
@@ -377,6 +383,58 @@ describe('validateTestDefinitions – type errors', () => {
     );
   });
 
+  it('rejects continueOnFailure that is not a boolean', () => {
+    expectInvalid(
+      [{ ...minimalHttp, continueOnFailure: 'yes' }],
+      'boolean',
+    );
+  });
+
+  it('rejects an invalid retry policy', () => {
+    expectInvalid([{ ...minimalHttp, retry: {} }], 'missing required property "attempts"');
+    expectInvalid([{ ...minimalHttp, retry: { attempts: 0 } }], '>= 1');
+    expectInvalid([{ ...minimalHttp, retry: { attempts: 2, backoff: 'random' } }], 'must be one of: constant, linear, exponential');
+    expectInvalid([{ ...minimalHttp, retry: { attempts: 2, on: ['timeout'] } }], 'must be "connectionError" or an HTTP status code');
+    expectInvalid([{ ...minimalHttp, retry: { attempts: 2, jitter: true } }], 'unknown property "jitter"');
+  });
+
+  it('rejects a timeoutSeconds that is not a positive number', () => {
+    expectInvalid([{ ...minimalHttp, timeoutSeconds: 0 }], 'must be > 0');
+    expectInvalid([{ ...minimalHttp, timeoutSeconds: '5' }], 'must be number');
+  });
+
+  it('rejects a skip that is neither a boolean nor a reason', () => {
+    expectInvalid([{ ...minimalHttp, skip: 1 }], '/skip: must be a boolean or a reason');
+    expectValid([{ ...minimalHttp, skip: 'flaky upstream' }]);
+  });
+
+  it('rejects an only that is not a boolean', () => {
+    expectInvalid([{ ...minimalHttp, only: 'yes' }], '/only: must be boolean');
+  });
+
+  it('rejects an if condition with a syntax error', () => {
+    expectInvalid(
+      [{ ...minimalHttp, if: 'SCHEME == 1' }],
+      '/if: Invalid condition "SCHEME == 1": unexpected "SCHEME" at position 1',
+    );
+    expectInvalid([{ ...minimalHttp, if: 42 }], '/if: must be string');
+  });
+
+  it('rejects retries together with retry', () => {
+    expectInvalid([{ ...minimalHttp, retries: 1, retry: { attempts: 2 } }], 'use either retries or retry, not both');
+  });
+
+  it('rejects tags that are not an array of strings', () => {
+    expectInvalid(
+      [{ ...minimalHttp, tags: 'smoke' }],
+      'array',
+    );
+    expectInvalid(
+      [{ ...minimalHttp, tags: [1] }],
+      'string',
+    );
+  });
+
   it('rejects invalid HTTP method', () => {
     expectInvalid(
       [{
@@ -581,6 +639,34 @@ describe('validateTestDefinitions – error messages', () => {
   });
 });
 
+// ── Suites ───────────────────────────────────────────────────────────
+
+describe('validateSuite', () => {
+  it('accepts a suite with setup, tests and teardown', () => {
+    expect(() => validateSuite({ setup: [minimalHttp], tests: [minimalHttp], teardown: [minimalHttp] })).not.toThrow();
+  });
+
+  it('accepts empty setup and teardown', () => {
+    expect(() => validateSuite({ setup: [], tests: [minimalHttp], teardown: [] })).not.toThrow();
+  });
+
+  it('labels errors with the phase they come from', () => {
+    try {
+      validateSuite({
+        setup: [{ name: 'create-ns', source: { type: 'local' } }],
+        tests: [minimalHttp, { source: { type: 'local' } }],
+        teardown: [minimalHttp, { ...minimalHttp, retries: 'x' }],
+      });
+      expect.fail('should throw');
+    } catch (err) {
+      expect(err.message).toMatch(/^Validation failed:/);
+      expect(err.message).toContain('Setup #1 ("create-ns")');
+      expect(err.message).toContain('Test #2');
+      expect(err.message).toContain('Teardown #2 /retries');
+    }
+  });
+});
+
 // ── Empty/edge cases ─────────────────────────────────────────────────
 
 describe('validateTestDefinitions – edge cases', () => {